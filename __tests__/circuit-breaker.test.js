@@ -0,0 +1,108 @@
+const { CIRCUIT_STATES, createCircuitBreaker, createCircuitBreakerGroup, createCircuitOpenError } = require('../src/circuit-breaker');
+
+describe('createCircuitBreaker', () => {
+  let currentTime;
+  let transitions;
+  let breaker;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    transitions = [];
+    breaker = createCircuitBreaker({
+      failureThreshold: 3,
+      resetTimeoutMs: 10000,
+      now: () => currentTime,
+      onStateChange: (state, previousState) => transitions.push(`${previousState}->${state}`)
+    });
+  });
+
+  const fail = times => {
+    for (let i = 0; i < times; i += 1) {
+      expect(breaker.allowRequest().allowed).toBe(true);
+      breaker.recordFailure();
+    }
+  };
+
+  it('opens after consecutive failures and refuses requests until the reset timeout', () => {
+    fail(2);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    fail(1);
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.allowRequest()).toEqual({ allowed: false, retryAfterSeconds: 10 });
+    currentTime += 7500;
+    expect(breaker.allowRequest()).toEqual({ allowed: false, retryAfterSeconds: 3 });
+    expect(transitions).toEqual(['closed->open']);
+  });
+
+  it('resets the failure count on success', () => {
+    fail(2);
+    breaker.recordSuccess();
+    fail(2);
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('lets one trial request through once half-open, and closes when it succeeds', () => {
+    fail(3);
+    currentTime += 10000;
+
+    expect(breaker.allowRequest().allowed).toBe(true);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.allowRequest()).toEqual({ allowed: false, retryAfterSeconds: 1 });
+    breaker.recordSuccess();
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.allowRequest().allowed).toBe(true);
+    expect(transitions).toEqual(['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+
+  it('reopens when the trial request fails', () => {
+    fail(3);
+    currentTime += 10000;
+    fail(1);
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.allowRequest()).toEqual({ allowed: false, retryAfterSeconds: 10 });
+  });
+
+  it('does not extend the open period with late failures', () => {
+    fail(3);
+    currentTime += 5000;
+    breaker.recordFailure();
+
+    expect(breaker.allowRequest().retryAfterSeconds).toBe(5);
+  });
+
+  it('rejects invalid options', () => {
+    expect(() => createCircuitBreaker({ failureThreshold: 0 })).toThrow('Invalid circuit breaker failure threshold: 0');
+    expect(() => createCircuitBreaker({ resetTimeoutMs: -1 })).toThrow('Invalid circuit breaker reset timeout: -1');
+  });
+});
+
+describe('createCircuitBreakerGroup', () => {
+  it('keeps one breaker per key and reports transitions with the key', () => {
+    const onStateChange = jest.fn();
+    const group = createCircuitBreakerGroup({ failureThreshold: 1, onStateChange });
+
+    group.get('http://inventory.internal').recordFailure();
+
+    expect(group.get('http://inventory.internal').getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(group.get('http://sales.internal').getState()).toBe(CIRCUIT_STATES.CLOSED);
+    expect(onStateChange).toHaveBeenCalledWith('http://inventory.internal', 'open', 'closed');
+  });
+
+  it('validates the options up front', () => {
+    expect(() => createCircuitBreakerGroup({ failureThreshold: 'five' }))
+      .toThrow('Invalid circuit breaker failure threshold: five');
+  });
+});
+
+describe('createCircuitOpenError', () => {
+  it('carries the code and the retry delay', () => {
+    const error = createCircuitOpenError('inventory', 12);
+
+    expect(error.message).toBe('Upstream inventory is unavailable');
+    expect(error).toMatchObject({ code: 'CIRCUIT_OPEN', retryAfterSeconds: 12 });
+  });
+});
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_CLAIMS_MAPPING,
+  loadClaimsMapping,
+  mapClaims,
+  parseClaimsMapping
+} = require('../src/claims-mapping');
+
+const MAPPING = {
+  claims: {
+    userId: { from: 'id', required: true },
+    role: { from: 'role', default: 'customer' },
+    storeId: 'store.id',
+    tier: { from: 'customer.tier', default: 'standard' }
+  },
+  scopes: {
+    roles: { customer: ['cars:read'], manager: ['cars:read', 'cars:write'], auditor: ['reports:read'] }
+  }
+};
+
+describe('claims-mapping', () => {
+  describe('parseClaimsMapping', () => {
+    it('normalizes shorthand rules', () => {
+      const mapping = parseClaimsMapping(MAPPING);
+
+      expect(mapping.claims).toContainEqual({ name: 'storeId', from: 'store.id', required: false, default: undefined });
+      expect(mapping.scopes).toEqual({ claim: 'scope', format: 'string', roleClaim: 'role', roles: MAPPING.scopes.roles });
+    });
+
+    it.each([
+      [null, 'Claims mapping must have a "claims" object'],
+      [{ claims: { email: 'email' } }, 'Claims mapping must map userId'],
+      [{ claims: { userId: { required: true } } }, 'Claim userId needs a "from" path'],
+      [{ claims: { userId: { from: 'id', default: 'guest' } } }, 'Claim userId identifies the client and cannot have a default'],
+      [{ claims: { userId: 'id', exp: 'expiresAt' } }, 'Claim exp is set by the token issuer and cannot be mapped'],
+      [{ claims: { userId: 'id' }, scopes: { roles: { admin: 'all' } } }, 'Scopes need a "roles" object of role names to scope lists'],
+      [{ claims: { userId: 'id' }, scopes: { format: 'csv', roles: {} } }, 'Unknown scope format: csv (expected one of: string, array)']
+    ])('rejects %j', (config, message) => {
+      expect(() => parseClaimsMapping(config)).toThrow(message);
+    });
+  });
+
+  describe('loadClaimsMapping', () => {
+    it('parses inline JSON', () => {
+      expect(loadClaimsMapping(` ${JSON.stringify(MAPPING)} `).claims).toHaveLength(4);
+    });
+
+    it('reads a JSON file', () => {
+      const filePath = path.join(os.tmpdir(), `claims-${process.pid}.json`);
+      fs.writeFileSync(filePath, JSON.stringify(MAPPING));
+      try {
+        expect(loadClaimsMapping(filePath).claims).toHaveLength(4);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('mapClaims', () => {
+    const mapping = parseClaimsMapping(MAPPING);
+
+    it('maps nested fields and expands role scopes', () => {
+      const client = { id: 42, role: 'manager', store: { id: 'sp-01' }, customer: { tier: 'gold' }, cpf: '12345678909' };
+
+      expect(mapClaims(mapping, client)).toEqual({
+        valid: true,
+        claims: { userId: 42, role: 'manager', storeId: 'sp-01', tier: 'gold', scope: 'cars:read cars:write' }
+      });
+    });
+
+    it('applies defaults and leaves out optional fields without a value', () => {
+      expect(mapClaims(mapping, { id: 7, store: null, customer: { tier: '' } })).toEqual({
+        valid: true,
+        claims: { userId: 7, role: 'customer', tier: 'standard', scope: 'cars:read' }
+      });
+    });
+
+    it('merges the scopes of several roles', () => {
+      const arrayMapping = parseClaimsMapping({ ...MAPPING, scopes: { ...MAPPING.scopes, format: 'array' } });
+
+      expect(mapClaims(arrayMapping, { id: 1, role: ['manager', 'auditor', 'customer'] }).claims.scope)
+        .toEqual(['cars:read', 'cars:write', 'reports:read']);
+      expect(mapClaims(arrayMapping, { id: 1, role: 'guest' }).claims.scope).toEqual([]);
+    });
+
+    it('always requires userId', () => {
+      const shorthand = parseClaimsMapping({ claims: { userId: 'customer.id', email: 'email' } });
+
+      expect(shorthand.claims).toContainEqual({ name: 'userId', from: 'customer.id', required: true, default: undefined });
+      expect(mapClaims(shorthand, { email: 'ana@example.com', customer: {} })).toEqual({
+        valid: false,
+        reason: 'Client data missing required fields (customer.id)'
+      });
+    });
+
+    it('reports every missing required field', () => {
+      const defaults = parseClaimsMapping(DEFAULT_CLAIMS_MAPPING);
+
+      expect(mapClaims(defaults, { role: 'admin' })).toEqual({
+        valid: false,
+        reason: 'Client data missing required fields (id, email)'
+      });
+      expect(mapClaims(defaults, undefined).valid).toBe(false);
+    });
+
+    it('keeps the default claims of /auth', () => {
+      const defaults = parseClaimsMapping(DEFAULT_CLAIMS_MAPPING);
+
+      expect(mapClaims(defaults, { id: 42, email: 'ana@example.com', name: 'Ana' }).claims)
+        .toEqual({ userId: 42, email: 'ana@example.com', role: 'user' });
+    });
+  });
+});
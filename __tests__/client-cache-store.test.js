@@ -0,0 +1,57 @@
+const { createMemoryClientCacheStore } = require('../src/client-cache-store');
+
+describe('createMemoryClientCacheStore', () => {
+  let currentTime;
+  let store;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryClientCacheStore({ now: () => currentTime, maxEntries: 3 });
+  });
+
+  it('returns stored values until they expire', async () => {
+    await store.set('client:a', { status: 200 }, 5000);
+
+    expect(await store.get('client:a')).toEqual({ status: 200 });
+    expect(await store.get('client:b')).toBeNull();
+    currentTime += 5000;
+    expect(await store.get('client:a')).toBeNull();
+    expect(store.size()).toBe(0);
+  });
+
+  it('deletes values', async () => {
+    await store.set('client:a', { status: 200 }, 5000);
+
+    expect(await store.delete('client:a')).toBe(true);
+    expect(await store.delete('client:a')).toBe(false);
+    expect(await store.get('client:a')).toBeNull();
+  });
+
+  it('evicts expired entries, then the oldest, when full', async () => {
+    await store.set('client:a', { status: 200 }, 5000);
+    await store.set('client:b', { status: 404 }, 500);
+    await store.set('client:c', { status: 200 }, 5000);
+
+    currentTime += 1000;
+    await store.set('client:d', { status: 200 }, 5000);
+    expect(store.size()).toBe(3);
+    expect(await store.get('client:a')).not.toBeNull();
+
+    await store.set('client:e', { status: 200 }, 5000);
+    expect(store.size()).toBe(3);
+    expect(await store.get('client:a')).toBeNull();
+    expect(await store.get('client:e')).not.toBeNull();
+  });
+
+  it('does not evict when replacing a value', async () => {
+    await store.set('client:a', { status: 200 }, 5000);
+    await store.set('client:b', { status: 200 }, 5000);
+    await store.set('client:c', { status: 200 }, 5000);
+    await store.set('client:a', { status: 404 }, 5000);
+
+    expect(await store.get('client:b')).not.toBeNull();
+    expect(await store.get('client:a')).toEqual({ status: 404 });
+    store.clear();
+    expect(store.size()).toBe(0);
+  });
+});
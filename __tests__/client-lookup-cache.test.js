@@ -0,0 +1,112 @@
+const { clientCacheKey, createClientLookupCache } = require('../src/client-lookup-cache');
+const { createMemoryClientCacheStore } = require('../src/client-cache-store');
+
+const CPF = '12345678909';
+
+describe('createClientLookupCache', () => {
+  let currentTime;
+  let store;
+  let cache;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryClientCacheStore({ now: () => currentTime });
+    cache = createClientLookupCache({ store, ttlSeconds: 60, notFoundTtlSeconds: 5 });
+  });
+
+  it('caches found clients for the lifetime', async () => {
+    const fetchClient = jest.fn().mockResolvedValue({ status: 200, data: { data: { id: 42 } } });
+
+    expect(await cache.lookup(CPF, fetchClient)).toEqual({ status: 200, data: { data: { id: 42 } }, cached: false });
+    expect(await cache.lookup(CPF, fetchClient)).toEqual({ status: 200, data: { data: { id: 42 } }, cached: true });
+    currentTime += 60000;
+    expect((await cache.lookup(CPF, fetchClient)).cached).toBe(false);
+    expect(fetchClient).toHaveBeenCalledTimes(2);
+  });
+
+  it('caches unknown CPFs briefly', async () => {
+    const fetchClient = jest.fn().mockResolvedValue({ status: 404, data: { message: 'Client not found' } });
+
+    await cache.lookup(CPF, fetchClient);
+    expect((await cache.lookup(CPF, fetchClient)).cached).toBe(true);
+    currentTime += 5000;
+    await cache.lookup(CPF, fetchClient);
+    expect(fetchClient).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache other responses or errors', async () => {
+    const fetchClient = jest.fn()
+      .mockResolvedValueOnce({ status: 503, data: {} })
+      .mockRejectedValueOnce(new Error('timeout of 30000ms exceeded'))
+      .mockResolvedValueOnce({ status: 200, data: {} });
+
+    await cache.lookup(CPF, fetchClient);
+    await expect(cache.lookup(CPF, fetchClient)).rejects.toThrow('timeout of 30000ms exceeded');
+    expect((await cache.lookup(CPF, fetchClient)).cached).toBe(false);
+  });
+
+  it('shares one upstream call between concurrent lookups of a CPF', async () => {
+    const resolvers = [];
+    const fetchClient = jest.fn(() => new Promise(resolve => resolvers.push(resolve)));
+
+    const first = cache.lookup(CPF, fetchClient);
+    const second = cache.lookup(CPF, fetchClient);
+    const other = cache.lookup('52998224725', fetchClient);
+    await new Promise(setImmediate);
+    expect(fetchClient).toHaveBeenCalledTimes(2);
+
+    resolvers[0]({ status: 200, data: { id: 42 } });
+    resolvers[1]({ status: 200, data: { id: 7 } });
+    expect(await first).toEqual({ status: 200, data: { id: 42 }, cached: false });
+    expect(await second).toEqual(await first);
+    expect((await other).data).toEqual({ id: 7 });
+  });
+
+  it('invalidates cached and in-flight lookups', async () => {
+    let resolve;
+    const slowFetch = jest.fn(() => new Promise(done => { resolve = done; }));
+    const fetchClient = jest.fn().mockResolvedValue({ status: 200, data: { id: 42 } });
+
+    await cache.lookup(CPF, fetchClient);
+    expect(await cache.invalidate(CPF)).toBe(true);
+    expect(await cache.invalidate(CPF)).toBe(false);
+
+    const inFlight = cache.lookup(CPF, slowFetch);
+    await new Promise(setImmediate);
+    expect(await cache.invalidate(CPF)).toBe(true);
+    resolve({ status: 200, data: { id: 'stale' } });
+    expect((await inFlight).data).toEqual({ id: 'stale' });
+
+    expect((await cache.lookup(CPF, fetchClient)).data).toEqual({ id: 42 });
+    expect(fetchClient).toHaveBeenCalledTimes(2);
+  });
+
+  it('goes upstream when the store fails', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const failing = {
+      get: jest.fn().mockRejectedValue(new Error('connection refused')),
+      set: jest.fn().mockRejectedValue(new Error('connection refused')),
+      delete: jest.fn()
+    };
+    const fetchClient = jest.fn().mockResolvedValue({ status: 200, data: { id: 42 } });
+
+    try {
+      const result = await createClientLookupCache({ store: failing }).lookup(CPF, fetchClient);
+      expect(result).toEqual({ status: 200, data: { id: 42 }, cached: false });
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+    } finally {
+      warnSpy.mockRestore();
+    }
+  });
+
+  it('does not keep CPFs in store keys', () => {
+    expect(clientCacheKey(CPF)).toMatch(/^client:[0-9a-f]{64}$/);
+  });
+
+  it.each([
+    [{ ttlSeconds: 0 }, 'Invalid client cache lifetime: 0'],
+    [{ notFoundTtlSeconds: -1 }, 'Invalid client cache not-found lifetime: -1']
+  ])('rejects %j', (options, message) => {
+    expect(() => createClientLookupCache({ store, ...options })).toThrow(message);
+  });
+});
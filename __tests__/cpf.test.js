@@ -0,0 +1,61 @@
+const { maskCpf, maskCpfs, normalizeCpf, validateCpf } = require('../src/cpf');
+
+describe('cpf', () => {
+  describe('validateCpf', () => {
+    it.each([
+      ['12345678909', '12345678909'],
+      ['123.456.789-09', '12345678909'],
+      [' 529.982.247-25 ', '52998224725'],
+      ['111.444.777-35', '11144477735'],
+      ['00000000191', '00000000191']
+    ])('accepts %s', (value, cpf) => {
+      expect(validateCpf(value)).toEqual({ valid: true, cpf });
+    });
+
+    it.each([
+      ['', 'CPF is required'],
+      [undefined, 'CPF is required'],
+      ['..-', 'CPF is required'],
+      ['123.456.789/09', 'CPF must contain only digits, dots and dashes'],
+      ['../../admin', 'CPF must contain only digits, dots and dashes'],
+      ['1234567890', 'CPF must have 11 digits'],
+      ['123456789012', 'CPF must have 11 digits'],
+      ['000.000.000-00', 'CPF is a known invalid sequence'],
+      ['99999999999', 'CPF is a known invalid sequence'],
+      ['12345678900', 'CPF check digits do not match'],
+      ['12345678919', 'CPF check digits do not match']
+    ])('rejects %s', (value, reason) => {
+      expect(validateCpf(value)).toEqual({ valid: false, reason });
+    });
+  });
+
+  describe('normalizeCpf', () => {
+    it('removes dots, dashes and whitespace', () => {
+      expect(normalizeCpf('123.456.789-09')).toBe('12345678909');
+    });
+  });
+
+  describe('maskCpf', () => {
+    it('keeps only the middle digits', () => {
+      expect(maskCpf('12345678909')).toBe('***.456.789-**');
+      expect(maskCpf('123.456.789-09')).toBe('***.456.789-**');
+    });
+
+    it('masks anything that is not a CPF completely', () => {
+      expect(maskCpf('../../admin')).toBe('***');
+      expect(maskCpf(undefined)).toBe('***');
+    });
+  });
+
+  describe('maskCpfs', () => {
+    it('masks plain and formatted occurrences', () => {
+      expect(maskCpfs('/api/v1/client/cpf/12345678909')).toBe('/api/v1/client/cpf/***.456.789-**');
+      expect(maskCpfs('no client 123.456.789-09 or 52998224725')).toBe('no client ***.456.789-** or ***.982.247-**');
+      expect(maskCpfs('{"cpf":"12345678909","id":1}')).toBe('{"cpf":"***.456.789-**","id":1}');
+    });
+
+    it('leaves longer numbers alone', () => {
+      expect(maskCpfs('at 1714564800000 (id 123456789091)')).toBe('at 1714564800000 (id 123456789091)');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { createMemoryDenylistStore } = require('../src/denylist-store');
+
+describe('createMemoryDenylistStore', () => {
+  let currentTime;
+  let store;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryDenylistStore({ now: () => currentTime, sweepIntervalMs: 1000 });
+  });
+
+  it('returns stored values until they expire', async () => {
+    await store.set('jti:a', 1, 5000);
+
+    expect(await store.get('jti:a')).toBe(1);
+    expect(await store.get('jti:b')).toBeNull();
+    currentTime += 5000;
+    expect(await store.get('jti:a')).toBeNull();
+  });
+
+  it('replaces previous values', async () => {
+    await store.set('user:42', 100, 5000);
+    await store.set('user:42', 200, 5000);
+
+    expect(await store.get('user:42')).toBe(200);
+  });
+
+  it('removes expired entries on the next sweep', async () => {
+    await store.set('jti:a', 1, 500);
+    await store.set('jti:b', 1, 5000);
+
+    currentTime += 1000;
+    await store.set('jti:c', 1, 5000);
+
+    expect(store.size()).toBe(2);
+    store.clear();
+    expect(store.size()).toBe(0);
+  });
+});
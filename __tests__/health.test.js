@@ -0,0 +1,39 @@
+const { runReadinessChecks } = require('../src/health');
+
+describe('runReadinessChecks', () => {
+  it('is ready when every check passes, with the details of each', async () => {
+    const result = await runReadinessChecks([
+      { check: 'secret', name: 'carshop/hmac', run: async () => {} },
+      { check: 'upstream', name: 'cars', run: async () => ({ httpStatus: 204 }) }
+    ]);
+
+    expect(result.ready).toBe(true);
+    expect(result.checks).toEqual([
+      { check: 'secret', name: 'carshop/hmac', status: 'ok', durationMs: expect.any(Number) },
+      { check: 'upstream', name: 'cars', httpStatus: 204, status: 'ok', durationMs: expect.any(Number) }
+    ]);
+  });
+
+  it('reports the error of failed checks', async () => {
+    const result = await runReadinessChecks([
+      { check: 'secret', name: 'carshop/hmac', run: async () => {} },
+      { check: 'lambda', name: 'carshop-jwt', run: async () => { throw new Error('Function not found'); } }
+    ]);
+
+    expect(result.ready).toBe(false);
+    expect(result.checks[1]).toMatchObject({ check: 'lambda', status: 'error', error: 'Function not found' });
+  });
+
+  it('fails checks that do not finish in time', async () => {
+    const result = await runReadinessChecks([
+      { check: 'upstream', name: 'cars', run: () => new Promise(resolve => setTimeout(resolve, 1000)) }
+    ], { timeoutMs: 10 });
+
+    expect(result.ready).toBe(false);
+    expect(result.checks[0]).toMatchObject({ status: 'error', error: 'Timed out after 10ms' });
+  });
+
+  it('is ready without checks', async () => {
+    expect(await runReadinessChecks([])).toEqual({ ready: true, checks: [] });
+  });
+});
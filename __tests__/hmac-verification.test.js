@@ -0,0 +1,143 @@
+const express = require('express');
+const request = require('supertest');
+const { createHmacVerificationMiddleware } = require('../src/hmac-verification');
+const { createSignatureHeaders } = require('../src/signing');
+const { createMemoryNonceStore } = require('../src/nonce-store');
+
+const SECRET = 'internal-secret';
+
+describe('createHmacVerificationMiddleware', () => {
+  let app;
+  let getSecret;
+
+  beforeEach(() => {
+    getSecret = jest.fn().mockResolvedValue(SECRET);
+    app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use('/internal', createHmacVerificationMiddleware({ getSecret, maxSkewMs: 60000 }));
+    app.all('*', (req, res) => res.status(200).json({ ok: true }));
+  });
+
+  it('passes requests with a valid signature', async () => {
+    const body = '{"job":"sync"}';
+    const headers = createSignatureHeaders(SECRET, {
+      method: 'POST',
+      originalUrl: '/internal/jobs',
+      headers: {},
+      rawBody: Buffer.from(body)
+    }, { version: 'v2' });
+
+    const response = await request(app)
+      .post('/internal/jobs')
+      .set(headers)
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    expect(response.status).toBe(200);
+    expect(getSecret).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns 401 for unsigned requests', async () => {
+    const response = await request(app).get('/internal/jobs');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      error: 'Unauthorized',
+      message: 'Missing x-hmac-signature or x-hmac-timestamp header'
+    });
+  });
+
+  it('returns 401 for stale signatures', async () => {
+    const headers = createSignatureHeaders(SECRET, { method: 'GET', originalUrl: '/internal/jobs', headers: {} }, {
+      timestamp: new Date(Date.now() - 120000).toISOString()
+    });
+
+    const response = await request(app).get('/internal/jobs').set(headers);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Request timestamp is outside the allowed clock skew');
+  });
+
+  it('returns 500 when the secret cannot be fetched', async () => {
+    getSecret.mockRejectedValue(new Error('Failed to fetch secret'));
+
+    const response = await request(app).get('/internal/jobs');
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Failed to verify signature');
+  });
+
+  it('accepts any non-retired key of a keyring', async () => {
+    getSecret.mockResolvedValue(JSON.stringify({
+      keys: [
+        { id: 'k2', secret: 'new-secret', status: 'active' },
+        { id: 'k1', secret: SECRET, status: 'verify-only' }
+      ]
+    }));
+    const headers = createSignatureHeaders(SECRET, { method: 'GET', originalUrl: '/internal/jobs', headers: {} }, {
+      keyId: 'k1'
+    });
+
+    const response = await request(app).get('/internal/jobs').set(headers);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('does not apply to other paths', async () => {
+    const response = await request(app).get('/public/cars');
+
+    expect(response.status).toBe(200);
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  describe('with a nonce store', () => {
+    let nonceStore;
+
+    beforeEach(() => {
+      nonceStore = createMemoryNonceStore();
+      app = express();
+      app.use('/internal', createHmacVerificationMiddleware({ getSecret, maxSkewMs: 60000, nonceStore }));
+      app.all('*', (req, res) => res.status(200).json({ ok: true }));
+    });
+
+    function signedHeaders(options = {}) {
+      return createSignatureHeaders(SECRET, { method: 'GET', originalUrl: '/internal/jobs', headers: {} }, options);
+    }
+
+    it('accepts a nonce once and rejects the replay', async () => {
+      const headers = signedHeaders({ nonce: true });
+
+      const first = await request(app).get('/internal/jobs').set(headers);
+      const replay = await request(app).get('/internal/jobs').set(headers);
+
+      expect(first.status).toBe(200);
+      expect(replay.status).toBe(401);
+      expect(replay.body.message).toBe('Nonce has already been used');
+    });
+
+    it('requires a nonce', async () => {
+      const response = await request(app).get('/internal/jobs').set(signedHeaders());
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toBe('Missing x-hmac-nonce header');
+    });
+
+    it('does not record nonces of requests with an invalid signature', async () => {
+      const headers = { ...signedHeaders({ nonce: 'n-1' }), 'x-hmac-signature': 'forged' };
+
+      const response = await request(app).get('/internal/jobs').set(headers);
+
+      expect(response.status).toBe(401);
+      expect(nonceStore.size()).toBe(0);
+    });
+
+    it('returns 500 when the store fails', async () => {
+      nonceStore.add = jest.fn().mockRejectedValue(new Error('store unavailable'));
+
+      const response = await request(app).get('/internal/jobs').set(signedHeaders({ nonce: true }));
+
+      expect(response.status).toBe(500);
+      expect(response.body.message).toBe('store unavailable');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createJwtAuthMiddleware, getBearerToken } = require('../src/jwt-auth');
+
+const SECRET = 'jwt-secret';
+
+function sign(payload, options = {}) {
+  return jwt.sign(payload, SECRET, { expiresIn: 300, issuer: 'carshop-proxy', audience: 'carshop-api', ...options });
+}
+
+describe('createJwtAuthMiddleware', () => {
+  let app;
+  let getSecret;
+  let route;
+
+  beforeEach(() => {
+    getSecret = jest.fn().mockResolvedValue(SECRET);
+    route = { name: 'default', roles: null };
+    app = express();
+    app.use((req, res, next) => {
+      req.proxyRoute = route;
+      next();
+    });
+    app.use(createJwtAuthMiddleware({
+      getSecret,
+      issuer: 'carshop-proxy',
+      audience: 'carshop-api',
+      anonymousPaths: ['/public', '/api/catalog']
+    }));
+    app.all('*', (req, res) => res.status(200).json({
+      userId: req.headers['x-user-id'],
+      role: req.headers['x-user-role'],
+      user: req.user
+    }));
+  });
+
+  it('passes valid tokens and sets the identity headers', async () => {
+    const token = sign({ sub: '42', role: 'admin' });
+
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.userId).toBe('42');
+    expect(response.body.role).toBe('admin');
+    expect(response.body.user).toMatchObject({ id: '42', role: 'admin' });
+  });
+
+  it('reads userId from tokens without a subject', async () => {
+    const token = sign({ userId: 7, role: 'user' });
+
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${token}`);
+
+    expect(response.body.userId).toBe('7');
+  });
+
+  it('returns 401 without a bearer token', async () => {
+    const response = await request(app).get('/api/cars').set('Authorization', 'Basic dXNlcjpwYXNz');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toBe('Bearer');
+    expect(response.body).toEqual({ error: 'Unauthorized', message: 'Missing bearer token' });
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  it('returns 401 for expired tokens', async () => {
+    const token = sign({ sub: '42' }, { expiresIn: -10 });
+
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Token has expired');
+  });
+
+  it.each([
+    ['a wrong signature', () => jwt.sign({ sub: '42' }, 'other-secret', { issuer: 'carshop-proxy', audience: 'carshop-api' }), 'Invalid token: invalid signature'],
+    ['a wrong issuer', () => sign({ sub: '42' }, { issuer: 'someone-else' }), 'Invalid token: jwt issuer invalid. expected: carshop-proxy'],
+    ['a wrong audience', () => sign({ sub: '42' }, { audience: 'other-api' }), 'Invalid token: jwt audience invalid. expected: carshop-api'],
+    ['the none algorithm', () => jwt.sign({ sub: '42' }, null, { algorithm: 'none' }), 'Invalid token: jwt signature is required'],
+    ['no subject', () => sign({ role: 'admin' }), 'Invalid token: no subject']
+  ])('returns 401 for %s', async (name, createToken, message) => {
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${createToken()}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'Unauthorized', message });
+  });
+
+  it('returns 403 when the role is not allowed on the route', async () => {
+    route = { name: 'admin', roles: ['admin'] };
+    const token = sign({ sub: '42', role: 'user' });
+
+    const response = await request(app).get('/admin/users').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({ error: 'Forbidden', message: 'Role user is not allowed on route admin' });
+  });
+
+  it('never forwards identity headers sent by the caller', async () => {
+    const token = sign({ sub: '42' });
+
+    const response = await request(app)
+      .get('/api/cars')
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-User-Id', '1')
+      .set('X-User-Role', 'admin');
+
+    expect(response.body.userId).toBe('42');
+    expect(response.body.role).toBeUndefined();
+  });
+
+  it('lets anonymous paths through without identity headers', async () => {
+    const response = await request(app).get('/api/catalog/models?page=2').set('X-User-Id', '1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.userId).toBeUndefined();
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  it('matches anonymous paths on segment boundaries', async () => {
+    const response = await request(app).get('/publicity');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('returns 401 for revoked tokens', async () => {
+    const denylist = { isRevoked: jest.fn().mockResolvedValue(true) };
+    app = express();
+    app.use(createJwtAuthMiddleware({ getSecret, denylist }));
+    app.all('*', (req, res) => res.status(200).json({ ok: true }));
+    const token = jwt.sign({ sub: '42', jti: 't-1' }, SECRET);
+
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Token has been revoked');
+    expect(denylist.isRevoked).toHaveBeenCalledWith(expect.objectContaining({ sub: '42', jti: 't-1' }));
+  });
+
+  it('returns 500 when the denylist cannot be checked', async () => {
+    const denylist = { isRevoked: jest.fn().mockRejectedValue(new Error('connection refused')) };
+    app = express();
+    app.use(createJwtAuthMiddleware({ getSecret, denylist }));
+    const token = jwt.sign({ sub: '42' }, SECRET);
+
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Failed to verify token', message: 'connection refused' });
+  });
+
+  it('returns 500 when the verification key cannot be loaded', async () => {
+    getSecret.mockRejectedValue(new Error('Failed to fetch secret from AWS Secrets Manager: timeout'));
+
+    const response = await request(app).get('/api/cars').set('Authorization', `Bearer ${sign({ sub: '42' })}`);
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Failed to verify token');
+  });
+});
+
+describe('getBearerToken', () => {
+  it('extracts bearer tokens case-insensitively', () => {
+    expect(getBearerToken({ authorization: 'bearer abc.def.ghi' })).toBe('abc.def.ghi');
+    expect(getBearerToken({ authorization: 'Bearer' })).toBeNull();
+    expect(getBearerToken({})).toBeNull();
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  getActiveKey,
+  getVerificationKeys,
+  parseKeyring,
+  verifyWithKeyring
+} = require('../src/keyring');
+const { createSignatureHeaders } = require('../src/signing');
+
+const KEYRING = JSON.stringify({
+  keys: [
+    { id: '2024-06', secret: 'new-secret', status: 'active' },
+    { id: '2024-01', secret: 'previous-secret', status: 'verify-only' },
+    { id: '2023-01', secret: 'old-secret', status: 'retired' }
+  ]
+});
+
+function signed(secret, keyId) {
+  const req = { method: 'GET', originalUrl: '/internal/jobs', headers: {} };
+  return { ...req, headers: createSignatureHeaders(secret, req, { keyId }) };
+}
+
+describe('keyring', () => {
+  describe('parseKeyring', () => {
+    it('treats a plain secret as a single active key without an id', () => {
+      const keyring = parseKeyring('plain-secret');
+
+      expect(keyring.keys).toEqual([{ id: null, secret: 'plain-secret', status: 'active' }]);
+      expect(getActiveKey(keyring).secret).toBe('plain-secret');
+    });
+
+    it('treats JSON without a keys array as a plain secret', () => {
+      expect(getActiveKey(parseKeyring('{"hmac":"x"}')).secret).toBe('{"hmac":"x"}');
+    });
+
+    it('parses a JSON keyring', () => {
+      const keyring = parseKeyring(KEYRING);
+
+      expect(getActiveKey(keyring)).toEqual({ id: '2024-06', secret: 'new-secret', status: 'active' });
+      expect(getVerificationKeys(keyring).map(key => key.id)).toEqual(['2024-06', '2024-01']);
+    });
+
+    it.each([
+      [{ keys: [{ secret: 's', status: 'active' }] }, 'key at index 0 has no id'],
+      [{ keys: [{ id: 'a', status: 'active' }] }, 'key a has no secret'],
+      [{ keys: [{ id: 'a', secret: 's', status: 'paused' }] }, 'key a has unknown status paused'],
+      [{ keys: [{ id: 'a', secret: 's', status: 'active' }, { id: 'a', secret: 't', status: 'verify-only' }] }, 'duplicate key id a'],
+      [{ keys: [{ id: 'a', secret: 's', status: 'verify-only' }] }, 'expected exactly one active key, found 0'],
+      [{ keys: [{ id: 'a', secret: 's', status: 'active' }, { id: 'b', secret: 't', status: 'active' }] }, 'expected exactly one active key, found 2']
+    ])('rejects invalid keyrings (%#)', (value, message) => {
+      expect(() => parseKeyring(JSON.stringify(value))).toThrow(`Invalid keyring: ${message}`);
+    });
+  });
+
+  describe('verifyWithKeyring', () => {
+    const keyring = parseKeyring(KEYRING);
+
+    it('accepts active and verify-only keys named by x-hmac-key-id', () => {
+      expect(verifyWithKeyring(keyring, signed('new-secret', '2024-06'))).toMatchObject({ valid: true, keyId: '2024-06' });
+      expect(verifyWithKeyring(keyring, signed('previous-secret', '2024-01'))).toMatchObject({ valid: true, keyId: '2024-01' });
+    });
+
+    it('rejects retired and unknown key ids', () => {
+      expect(verifyWithKeyring(keyring, signed('old-secret', '2023-01')))
+        .toEqual({ valid: false, reason: 'Unknown or retired key id: 2023-01' });
+      expect(verifyWithKeyring(keyring, signed('new-secret', 'nope')).reason)
+        .toBe('Unknown or retired key id: nope');
+    });
+
+    it('only tries the named key', () => {
+      expect(verifyWithKeyring(keyring, signed('previous-secret', '2024-06')))
+        .toMatchObject({ valid: false, reason: 'Signature mismatch', keyId: '2024-06' });
+    });
+
+    it('tries every verification key when no key id is sent', () => {
+      expect(verifyWithKeyring(keyring, signed('previous-secret'))).toMatchObject({ valid: true, keyId: '2024-01' });
+      expect(verifyWithKeyring(keyring, signed('old-secret')))
+        .toEqual({ valid: false, reason: 'Signature mismatch' });
+    });
+
+    it('verifies requests against a plain secret', () => {
+      expect(verifyWithKeyring(parseKeyring('plain-secret'), signed('plain-secret')))
+        .toMatchObject({ valid: true, keyId: null });
+    });
+  });
+});
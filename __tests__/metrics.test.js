@@ -0,0 +1,121 @@
+const { createMetricsRegistry, createProxyMetrics, upstreamErrorKind } = require('../src/metrics');
+
+describe('createMetricsRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = createMetricsRegistry();
+  });
+
+  it('renders counters with their labels', () => {
+    const requests = registry.counter({
+      name: 'http_requests_total',
+      help: 'Requests handled',
+      labelNames: ['route', 'status']
+    });
+    requests.inc({ route: 'cars', status: 200 });
+    requests.inc({ route: 'cars', status: 200 }, 2);
+    requests.inc({ route: 'quotes', status: 502 });
+
+    expect(requests.get({ route: 'cars', status: 200 })).toBe(3);
+    expect(registry.render()).toBe([
+      '# HELP http_requests_total Requests handled',
+      '# TYPE http_requests_total counter',
+      'http_requests_total{route="cars",status="200"} 3',
+      'http_requests_total{route="quotes",status="502"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('renders cumulative histogram buckets, sum and count', () => {
+    const duration = registry.histogram({
+      name: 'request_duration_seconds',
+      help: 'Request duration',
+      labelNames: ['route'],
+      buckets: [0.1, 1]
+    });
+    duration.observe({ route: 'cars' }, 0.05);
+    duration.observe({ route: 'cars' }, 0.5);
+    duration.observe({ route: 'cars' }, 3);
+
+    expect(duration.get({ route: 'cars' })).toEqual({ count: 3, sum: 3.55 });
+    expect(registry.render()).toBe([
+      '# HELP request_duration_seconds Request duration',
+      '# TYPE request_duration_seconds histogram',
+      'request_duration_seconds_bucket{route="cars",le="0.1"} 1',
+      'request_duration_seconds_bucket{route="cars",le="1"} 2',
+      'request_duration_seconds_bucket{route="cars",le="+Inf"} 3',
+      'request_duration_seconds_sum{route="cars"} 3.55',
+      'request_duration_seconds_count{route="cars"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('escapes label values', () => {
+    const counter = registry.counter({ name: 'paths_total', help: 'Paths', labelNames: ['path'] });
+    counter.inc({ path: 'a"b\\c\nd' });
+
+    expect(registry.render()).toContain('paths_total{path="a\\"b\\\\c\\nd"} 1');
+  });
+
+  it('rejects invalid definitions and updates', () => {
+    expect(() => registry.counter({ name: 'bad-name', help: 'Bad' })).toThrow('Invalid metric name: bad-name');
+    expect(() => registry.counter({ name: 'no_help' })).toThrow('Metric no_help needs a help text');
+    expect(() => registry.histogram({ name: 'unsorted', help: 'Unsorted', buckets: [1, 0.5] }))
+      .toThrow('Histogram unsorted buckets must be in increasing order');
+
+    const counter = registry.counter({ name: 'labelled_total', help: 'Labelled', labelNames: ['route'] });
+    expect(() => counter.inc({})).toThrow('Metric labelled_total is missing label route');
+    expect(() => counter.inc({ route: 'cars' }, -1)).toThrow('Counter labelled_total can only increase');
+  });
+
+  it('clears every series on reset', () => {
+    const counter = registry.counter({ name: 'events_total', help: 'Events' });
+    counter.inc();
+    registry.reset();
+
+    expect(counter.get()).toBe(0);
+    expect(registry.render()).toBe('# HELP events_total Events\n# TYPE events_total counter\n');
+  });
+});
+
+describe('upstreamErrorKind', () => {
+  const errorWithCode = code => Object.assign(new Error(code), { code });
+
+  it('classifies connection failures and timeouts', () => {
+    expect(upstreamErrorKind({ error: errorWithCode('ECONNREFUSED') })).toBe('connection_refused');
+    expect(upstreamErrorKind({ error: errorWithCode('ETIMEDOUT') })).toBe('timeout');
+    expect(upstreamErrorKind({ error: errorWithCode('ECONNABORTED') })).toBe('timeout');
+    expect(upstreamErrorKind({ error: errorWithCode('ECONNRESET') })).toBe('other');
+  });
+
+  it('only counts 5xx responses as upstream errors', () => {
+    expect(upstreamErrorKind({ status: 503 })).toBe('upstream_5xx');
+    expect(upstreamErrorKind({ status: 404 })).toBeNull();
+    expect(upstreamErrorKind({ error: Object.assign(new Error('failed'), { response: { status: 500 } }) }))
+      .toBe('upstream_5xx');
+    expect(upstreamErrorKind({ error: Object.assign(new Error('failed'), { response: { status: 400 } }) }))
+      .toBeNull();
+  });
+});
+
+describe('createProxyMetrics', () => {
+  it('registers the proxy metrics in one registry', () => {
+    const metrics = createProxyMetrics();
+    metrics.authOutcomes.inc({ endpoint: 'token', outcome: 'issued' });
+
+    const text = metrics.registry.render();
+    [
+      'http_requests_total counter',
+      'http_request_duration_seconds histogram',
+      'upstream_request_duration_seconds histogram',
+      'upstream_errors_total counter',
+      'upstream_retries_total counter',
+      'upstream_circuit_open_total counter',
+      'secret_cache_requests_total counter',
+      'secret_refreshes_total counter',
+      'auth_requests_total counter'
+    ].forEach(type => expect(text).toContain(`# TYPE ${type}`));
+    expect(text).toContain('auth_requests_total{endpoint="token",outcome="issued"} 1');
+  });
+});
@@ -0,0 +1,46 @@
+const { createMemoryNonceStore } = require('../src/nonce-store');
+
+describe('createMemoryNonceStore', () => {
+  let currentTime;
+  let store;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryNonceStore({ now: () => currentTime, sweepIntervalMs: 1000 });
+  });
+
+  it('accepts a new nonce and rejects it while it is remembered', async () => {
+    expect(await store.add('n-1', 5000)).toBe(true);
+    expect(await store.add('n-1', 5000)).toBe(false);
+    expect(await store.add('n-2', 5000)).toBe(true);
+  });
+
+  it('accepts a nonce again once its ttl has passed', async () => {
+    await store.add('n-1', 5000);
+
+    currentTime += 4999;
+    expect(await store.add('n-1', 5000)).toBe(false);
+
+    currentTime += 1;
+    expect(await store.add('n-1', 5000)).toBe(true);
+  });
+
+  it('removes expired nonces on the next sweep', async () => {
+    await store.add('n-1', 500);
+    await store.add('n-2', 5000);
+    expect(store.size()).toBe(2);
+
+    currentTime += 1000;
+    await store.add('n-3', 5000);
+
+    expect(store.size()).toBe(2);
+  });
+
+  it('clears all nonces', async () => {
+    await store.add('n-1', 5000);
+    store.clear();
+
+    expect(store.size()).toBe(0);
+    expect(await store.add('n-1', 5000)).toBe(true);
+  });
+});
@@ -0,0 +1,185 @@
+const {
+  createAuthRateLimiter,
+  createLockout,
+  createRouteRateLimitMiddleware,
+  createTokenBucketLimiter,
+  parseRateLimit
+} = require('../src/rate-limiter');
+const { createMemoryTtlStore } = require('../src/ttl-store');
+
+describe('rate-limiter', () => {
+  let currentTime;
+  let store;
+  const now = () => currentTime;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryTtlStore({ now });
+  });
+
+  describe('parseRateLimit', () => {
+    it('defaults to limiting by IP', () => {
+      expect(parseRateLimit({ burst: 5, perMinute: 0.5 }, 'Route a')).toEqual({ burst: 5, perMinute: 0.5, by: 'ip' });
+    });
+
+    it.each([
+      [{ perMinute: 1 }, 'Route a has an invalid rate limit burst: undefined'],
+      [{ burst: 1.5, perMinute: 1 }, 'Route a has an invalid rate limit burst: 1.5'],
+      [{ burst: 1, perMinute: '10' }, 'Route a has an invalid rate limit perMinute: 10'],
+      [{ burst: 1, perMinute: 1, by: 'cpf' }, 'Route a has an invalid rate limit key: cpf (expected one of: ip, user)']
+    ])('rejects %j', (config, message) => {
+      expect(() => parseRateLimit(config, 'Route a')).toThrow(message);
+    });
+  });
+
+  describe('createTokenBucketLimiter', () => {
+    it('allows a burst and then refills at the sustained rate', async () => {
+      const limiter = createTokenBucketLimiter({ store, now, burst: 3, perMinute: 6 });
+
+      expect(await limiter.consume('a')).toEqual({ allowed: true, remaining: 2, retryAfterSeconds: 0 });
+      await limiter.consume('a');
+      await limiter.consume('a');
+      expect(await limiter.consume('a')).toEqual({ allowed: false, remaining: 0, retryAfterSeconds: 10 });
+      expect((await limiter.consume('b')).allowed).toBe(true);
+
+      currentTime += 4000;
+      expect((await limiter.consume('a')).retryAfterSeconds).toBe(6);
+      currentTime += 6000;
+      expect(await limiter.consume('a')).toEqual({ allowed: true, remaining: 0, retryAfterSeconds: 0 });
+    });
+
+    it('never holds more than the burst', async () => {
+      const limiter = createTokenBucketLimiter({ store, now, burst: 2, perMinute: 60 });
+
+      await limiter.consume('a');
+      currentTime += 600000;
+      expect((await limiter.consume('a')).remaining).toBe(1);
+    });
+  });
+
+  describe('createLockout', () => {
+    it('locks out after repeated failures, twice as long each time', async () => {
+      const lockout = createLockout({ store, now, maxFailures: 2, lockoutSeconds: 30, maxLockoutSeconds: 90 });
+
+      expect(await lockout.recordFailure('ip')).toEqual({ locked: false, retryAfterSeconds: 0 });
+      expect(await lockout.recordFailure('ip')).toEqual({ locked: true, retryAfterSeconds: 30 });
+      expect(await lockout.check('ip')).toEqual({ locked: true, retryAfterSeconds: 30 });
+      expect((await lockout.check('other')).locked).toBe(false);
+
+      currentTime += 30000;
+      expect((await lockout.check('ip')).locked).toBe(false);
+      await lockout.recordFailure('ip');
+      expect(await lockout.recordFailure('ip')).toEqual({ locked: true, retryAfterSeconds: 60 });
+
+      currentTime += 60000;
+      await lockout.recordFailure('ip');
+      expect(await lockout.recordFailure('ip')).toEqual({ locked: true, retryAfterSeconds: 90 });
+    });
+
+    it('forgets failures after a quiet period', async () => {
+      const lockout = createLockout({ store, now, maxFailures: 2, lockoutSeconds: 30, maxLockoutSeconds: 90 });
+
+      await lockout.recordFailure('ip');
+      currentTime += 90000;
+      expect((await lockout.recordFailure('ip')).locked).toBe(false);
+    });
+
+    it('rejects invalid settings', () => {
+      expect(() => createLockout({ store, maxFailures: 0 })).toThrow('Invalid lockout maxFailures: 0');
+    });
+  });
+
+  describe('createAuthRateLimiter', () => {
+    function createLimiter(overrides = {}) {
+      return createAuthRateLimiter({
+        store,
+        now,
+        ip: { burst: 3, perMinute: 3 },
+        cpf: { burst: 1, perMinute: 1 },
+        lockout: { maxFailures: 2, lockoutSeconds: 60 },
+        ...overrides
+      });
+    }
+
+    it('limits IPs and CPFs separately', async () => {
+      const limiter = createLimiter();
+
+      expect(await limiter.checkIp('10.0.0.1')).toBeNull();
+      expect(await limiter.checkCpf('12345678909')).toBeNull();
+      expect(await limiter.checkCpf('12345678909')).toEqual({ retryAfterSeconds: 60, message: 'Too many requests for this CPF' });
+      expect(await limiter.checkCpf('52998224725')).toBeNull();
+
+      await limiter.checkIp('10.0.0.1');
+      await limiter.checkIp('10.0.0.1');
+      expect(await limiter.checkIp('10.0.0.1')).toEqual({ retryAfterSeconds: 20, message: 'Too many requests' });
+      expect(await limiter.checkIp('10.0.0.2')).toBeNull();
+    });
+
+    it('rejects locked out IPs', async () => {
+      const limiter = createLimiter();
+
+      await limiter.recordFailure('10.0.0.1');
+      expect(await limiter.recordFailure('10.0.0.1')).toEqual({ locked: true, retryAfterSeconds: 60 });
+      expect(await limiter.checkIp('10.0.0.1')).toEqual({ retryAfterSeconds: 60, message: 'Too many failed attempts' });
+    });
+
+    it('lets requests through when the store fails', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const failing = { get: jest.fn().mockRejectedValue(new Error('connection refused')), set: jest.fn() };
+
+      try {
+        const limiter = createLimiter({ store: failing });
+        expect(await limiter.checkIp('10.0.0.1')).toBeNull();
+        expect(await limiter.recordFailure('10.0.0.1')).toBeNull();
+        expect(warnSpy).toHaveBeenCalledTimes(2);
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('createRouteRateLimitMiddleware', () => {
+    function createResponse() {
+      return {
+        headers: {},
+        setHeader(name, value) { this.headers[name] = value; },
+        status: jest.fn(function status(code) { this.statusCode = code; return this; }),
+        json: jest.fn()
+      };
+    }
+
+    async function run(middleware, req) {
+      const res = createResponse();
+      const next = jest.fn();
+      await middleware({ method: 'GET', originalUrl: '/cars', ip: '10.0.0.1', ...req }, res, next);
+      return { res, next };
+    }
+
+    it('skips routes without a rate limit', async () => {
+      const middleware = createRouteRateLimitMiddleware({ store, now });
+
+      const { next, res } = await run(middleware, { proxyRoute: { name: 'cars', rateLimit: null } });
+
+      expect(next).toHaveBeenCalled();
+      expect(res.headers).toEqual({});
+    });
+
+    it('counts requests by user when the route asks for it', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const middleware = createRouteRateLimitMiddleware({ store, now });
+      const proxyRoute = { name: 'cars', rateLimit: { burst: 1, perMinute: 1, by: 'user' } };
+
+      try {
+        expect((await run(middleware, { proxyRoute, user: { id: '42' } })).next).toHaveBeenCalled();
+        expect((await run(middleware, { proxyRoute, user: { id: '7' } })).next).toHaveBeenCalled();
+        const { next, res } = await run(middleware, { proxyRoute, user: { id: '42' }, ip: '10.0.0.2' });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(429);
+        expect(res.headers['Retry-After']).toBe('60');
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { createMemoryRefreshTokenStore } = require('../src/refresh-token-store');
+
+describe('createMemoryRefreshTokenStore', () => {
+  let currentTime;
+  let store;
+  const record = { familyId: 'f-1', claims: { userId: 42 } };
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryRefreshTokenStore({ now: () => currentTime, sweepIntervalMs: 1000 });
+  });
+
+  it('consumes a saved token once and reports later uses as reuse', async () => {
+    await store.save('t-1', record, 5000);
+
+    expect(await store.consume('t-1')).toEqual({ record, reused: false });
+    expect(await store.consume('t-1')).toEqual({ record, reused: true });
+  });
+
+  it('returns null for unknown and expired tokens', async () => {
+    await store.save('t-1', record, 5000);
+
+    expect(await store.consume('t-2')).toBeNull();
+    currentTime += 5000;
+    expect(await store.consume('t-1')).toBeNull();
+  });
+
+  it('revokes families until the ttl has passed', async () => {
+    await store.revokeFamily('f-1', 5000);
+
+    expect(await store.isFamilyRevoked('f-1')).toBe(true);
+    expect(await store.isFamilyRevoked('f-2')).toBe(false);
+    currentTime += 5000;
+    expect(await store.isFamilyRevoked('f-1')).toBe(false);
+  });
+
+  it('removes expired tokens on the next sweep', async () => {
+    await store.save('t-1', record, 500);
+    await store.save('t-2', record, 5000);
+    expect(store.size()).toBe(2);
+
+    currentTime += 1000;
+    await store.save('t-3', record, 5000);
+
+    expect(store.size()).toBe(2);
+  });
+
+  it('clears all tokens and revocations', async () => {
+    await store.save('t-1', record, 5000);
+    await store.revokeFamily('f-1', 5000);
+
+    store.clear();
+
+    expect(store.size()).toBe(0);
+    expect(await store.isFamilyRevoked('f-1')).toBe(false);
+  });
+});
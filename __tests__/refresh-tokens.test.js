@@ -0,0 +1,98 @@
+const { createRefreshTokenService, hashRefreshToken } = require('../src/refresh-tokens');
+const { createMemoryRefreshTokenStore } = require('../src/refresh-token-store');
+const { createTokenDenylist } = require('../src/token-denylist');
+const { createMemoryDenylistStore } = require('../src/denylist-store');
+
+const CLAIMS = { userId: 42, email: 'ana@example.com', role: 'user' };
+
+describe('createRefreshTokenService', () => {
+  let store;
+  let service;
+
+  beforeEach(() => {
+    store = createMemoryRefreshTokenStore();
+    service = createRefreshTokenService({ store, ttlSeconds: 3600 });
+  });
+
+  it('issues opaque tokens stored under their hash', async () => {
+    const saveSpy = jest.spyOn(store, 'save');
+
+    const { refreshToken, expiresIn } = await service.issue(CLAIMS);
+
+    expect(refreshToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(expiresIn).toBe(3600);
+    expect(saveSpy).toHaveBeenCalledWith(hashRefreshToken(refreshToken), expect.objectContaining({ claims: CLAIMS }), 3600000);
+  });
+
+  it('rotates a token into a new one with the same claims', async () => {
+    const first = await service.issue(CLAIMS);
+
+    const result = await service.rotate(first.refreshToken);
+
+    expect(result).toMatchObject({ valid: true, claims: CLAIMS, expiresIn: 3600 });
+    expect(result.refreshToken).not.toBe(first.refreshToken);
+    expect((await service.rotate(result.refreshToken)).valid).toBe(true);
+  });
+
+  it('rejects unknown tokens', async () => {
+    expect(await service.rotate('not-a-token')).toEqual({
+      valid: false,
+      reason: 'Invalid or expired refresh token',
+      reused: false
+    });
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const first = await service.issue(CLAIMS);
+    const second = await service.rotate(first.refreshToken);
+
+    expect(await service.rotate(first.refreshToken)).toEqual({
+      valid: false,
+      reason: 'Refresh token has already been used',
+      reused: true
+    });
+    expect(await service.rotate(second.refreshToken)).toEqual({
+      valid: false,
+      reason: 'Refresh token has been revoked',
+      reused: false
+    });
+  });
+
+  it('keeps other families valid after a reuse', async () => {
+    const first = await service.issue(CLAIMS);
+    const other = await service.issue(CLAIMS);
+    await service.rotate(first.refreshToken);
+    await service.rotate(first.refreshToken);
+
+    expect((await service.rotate(other.refreshToken)).valid).toBe(true);
+  });
+
+  it('revokes the family of a token', async () => {
+    const first = await service.issue(CLAIMS);
+    const second = await service.rotate(first.refreshToken);
+
+    expect(await service.revoke(second.refreshToken)).toBe(true);
+    expect(await service.revoke('unknown')).toBe(false);
+    expect((await service.rotate(second.refreshToken)).valid).toBe(false);
+  });
+
+  it('rejects families started before their user was revoked', async () => {
+    const denylist = createTokenDenylist({ store: createMemoryDenylistStore(), maxTokenLifetimeSeconds: 3600 });
+    service = createRefreshTokenService({ store, ttlSeconds: 3600, denylist });
+    const other = await service.issue({ ...CLAIMS, userId: 7 });
+    const first = await service.issue(CLAIMS);
+
+    await denylist.revokeUser('42');
+
+    expect(await service.rotate(first.refreshToken)).toEqual({
+      valid: false,
+      reason: 'Refresh token has been revoked',
+      reused: false
+    });
+    expect((await service.rotate(other.refreshToken)).valid).toBe(true);
+  });
+
+  it('rejects invalid lifetimes', () => {
+    expect(() => createRefreshTokenService({ store, ttlSeconds: 0 })).toThrow('Invalid refresh token lifetime: 0');
+  });
+});
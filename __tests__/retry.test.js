@@ -0,0 +1,114 @@
+const {
+  backoffDelayMs,
+  isRetryableFailure,
+  isRetryableRequest,
+  parseRetryPolicy,
+  retryWithBackoff
+} = require('../src/retry');
+
+describe('retry', () => {
+  const errorWithCode = code => Object.assign(new Error(code), { code });
+
+  describe('parseRetryPolicy', () => {
+    it('applies the default delays', () => {
+      expect(parseRetryPolicy({ retries: 2 }, 'Route cars')).toEqual({ retries: 2, baseDelayMs: 100, maxDelayMs: 2000 });
+    });
+
+    it.each([
+      [{ retries: -1 }, 'Route cars has an invalid retry count: -1'],
+      [{ retries: 1.5 }, 'Route cars has an invalid retry count: 1.5'],
+      [{ retries: 1, baseDelayMs: 0 }, 'Route cars has an invalid retry baseDelayMs: 0'],
+      [{ retries: 1, baseDelayMs: 500, maxDelayMs: 100 }, 'Route cars has an invalid retry maxDelayMs: 100 (must be at least baseDelayMs)']
+    ])('rejects an invalid policy %#', (config, message) => {
+      expect(() => parseRetryPolicy(config, 'Route cars')).toThrow(message);
+    });
+  });
+
+  describe('isRetryableRequest', () => {
+    it('allows idempotent methods and requests with an idempotency key', () => {
+      expect(isRetryableRequest('GET')).toBe(true);
+      expect(isRetryableRequest('put')).toBe(true);
+      expect(isRetryableRequest('DELETE', {})).toBe(true);
+      expect(isRetryableRequest('POST', {})).toBe(false);
+      expect(isRetryableRequest('PATCH', { 'content-type': 'application/json' })).toBe(false);
+      expect(isRetryableRequest('POST', { 'idempotency-key': 'order-42' })).toBe(true);
+    });
+  });
+
+  describe('isRetryableFailure', () => {
+    it('retries connection failures, timeouts and 502/503/504', () => {
+      expect(isRetryableFailure({ error: errorWithCode('ECONNREFUSED') })).toBe(true);
+      expect(isRetryableFailure({ error: errorWithCode('ECONNABORTED') })).toBe(true);
+      expect(isRetryableFailure({ response: { status: 503 } })).toBe(true);
+      expect(isRetryableFailure({ error: Object.assign(new Error('failed'), { response: { status: 504 } }) })).toBe(true);
+    });
+
+    it('does not retry other failures', () => {
+      expect(isRetryableFailure({ error: new Error('Invalid URL') })).toBe(false);
+      expect(isRetryableFailure({ error: errorWithCode('CIRCUIT_OPEN') })).toBe(false);
+      expect(isRetryableFailure({ response: { status: 500 } })).toBe(false);
+      expect(isRetryableFailure({ response: { status: 200 } })).toBe(false);
+    });
+  });
+
+  describe('backoffDelayMs', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    it('picks a random delay up to an exponentially growing cap', () => {
+      expect(backoffDelayMs(0, policy, () => 0.999)).toBe(99);
+      expect(backoffDelayMs(2, policy, () => 0.5)).toBe(200);
+      expect(backoffDelayMs(10, policy, () => 0.999)).toBe(999);
+      expect(backoffDelayMs(3, policy, () => 0)).toBe(0);
+    });
+  });
+
+  describe('retryWithBackoff', () => {
+    let delays;
+    const options = extra => ({
+      retries: 2,
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      random: () => 0.5,
+      sleep: async (ms) => { delays.push(ms); },
+      ...extra
+    });
+
+    beforeEach(() => {
+      delays = [];
+    });
+
+    it('retries retryable failures with growing delays until an attempt succeeds', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(errorWithCode('ECONNREFUSED'))
+        .mockResolvedValueOnce({ status: 503 })
+        .mockResolvedValueOnce({ status: 200 });
+      const onRetry = jest.fn();
+
+      const response = await retryWithBackoff(operation, options({ onRetry }));
+
+      expect(response).toEqual({ status: 200 });
+      expect(operation.mock.calls.map(([attempt]) => attempt)).toEqual([0, 1, 2]);
+      expect(delays).toEqual([50, 100]);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 2, delayMs: 100, response: { status: 503 } }));
+    });
+
+    it('returns or throws the last outcome once the retries are used up', async () => {
+      await expect(retryWithBackoff(jest.fn().mockResolvedValue({ status: 502 }), options()))
+        .resolves.toEqual({ status: 502 });
+      await expect(retryWithBackoff(jest.fn().mockRejectedValue(errorWithCode('ETIMEDOUT')), options()))
+        .rejects.toThrow('ETIMEDOUT');
+      expect(delays).toHaveLength(4);
+    });
+
+    it('does not retry failures that are not retryable, or without retries', async () => {
+      const failing = jest.fn().mockRejectedValue(new Error('Invalid URL'));
+      const refused = jest.fn().mockRejectedValue(errorWithCode('ECONNREFUSED'));
+
+      await expect(retryWithBackoff(failing, options())).rejects.toThrow('Invalid URL');
+      await expect(retryWithBackoff(refused, options({ retries: 0 }))).rejects.toThrow('ECONNREFUSED');
+      expect(failing).toHaveBeenCalledTimes(1);
+      expect(refused).toHaveBeenCalledTimes(1);
+      expect(delays).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  buildUpstreamPath,
+  hasDotSegments,
+  hasEncodedUnreservedCharacters,
+  loadRoutingTable,
+  matchRoute,
+  parseRoutingTable
+} = require('../src/routing');
+
+const TABLE = [
+  { name: 'inventory', pathPrefix: '/inventory', target: 'http://inventory.internal/', secretName: 'carshop/app#inventory', stripPrefix: true },
+  { name: 'inventory-reports', pathPrefix: '/inventory/reports', target: 'http://reports.internal', secretName: 'carshop/reports', timeoutMs: 120000 },
+  { name: 'sales', host: 'sales.carshop.com', target: 'http://sales.internal', secretName: 'carshop/app#sales' },
+  { name: 'workshop', pathPrefix: '/workshop', target: 'https://workshop.internal' }
+];
+
+describe('routing', () => {
+  describe('parseRoutingTable', () => {
+    it('normalizes routes and applies defaults', () => {
+      const routes = parseRoutingTable(TABLE, { secretName: 'carshop/default' });
+
+      expect(routes[0]).toEqual({
+        name: 'inventory',
+        pathPrefix: '/inventory',
+        host: null,
+        target: 'http://inventory.internal',
+        secretName: 'carshop/app#inventory',
+        timeoutMs: 30000,
+        stripPrefix: true,
+        roles: null,
+        rateLimit: null,
+        retry: null,
+        rewrite: [],
+        requestHeaders: { remove: [], rename: {}, add: {} },
+        responseHeaders: { remove: [], rename: {}, add: {} }
+      });
+      expect(routes[1].timeoutMs).toBe(120000);
+      expect(routes[2]).toMatchObject({ pathPrefix: '/', host: 'sales.carshop.com' });
+      expect(routes[3].secretName).toBe('carshop/default');
+    });
+
+    it('parses rate limits', () => {
+      const [route] = parseRoutingTable([{ ...TABLE[0], rateLimit: { burst: 20, perMinute: 60 } }]);
+
+      expect(route.rateLimit).toEqual({ burst: 20, perMinute: 60, by: 'ip' });
+    });
+
+    it('parses retry policies', () => {
+      const [route] = parseRoutingTable([{ ...TABLE[0], retry: { retries: 2, maxDelayMs: 500 } }]);
+
+      expect(route.retry).toEqual({ retries: 2, baseDelayMs: 100, maxDelayMs: 500 });
+    });
+
+    it('accepts an object with a routes array', () => {
+      const routes = parseRoutingTable({ routes: [TABLE[0]] });
+
+      expect(routes.map(route => route.name)).toEqual(['inventory']);
+    });
+
+    it('names unnamed routes by position and normalizes prefixes', () => {
+      const [route] = parseRoutingTable([{ pathPrefix: 'api/', target: 'http://api.internal', secretName: 's' }]);
+
+      expect(route.name).toBe('route-0');
+      expect(route.pathPrefix).toBe('/api');
+    });
+
+    it.each([
+      [[], 'Routing table must contain at least one route'],
+      [{ routes: 'x' }, 'Routing table must contain at least one route'],
+      [[{ name: 'a', target: 'http://a', secretName: 's' }], 'Route a needs a pathPrefix or a host'],
+      [[{ name: 'a', pathPrefix: '/a', target: 'a.internal', secretName: 's' }], 'Route a needs an http(s) target URL'],
+      [[{ name: 'a', pathPrefix: '/a', target: 'http://a' }], 'Route a needs a secretName'],
+      [[{ name: 'a', pathPrefix: '/a', target: 'http://a', secretName: 's', timeoutMs: 0 }], 'Route a has an invalid timeoutMs'],
+      [[{ name: 'a', pathPrefix: '/a', target: 'http://a', secretName: 's', roles: 'admin' }], 'Route a has invalid roles (expected a list of role names)'],
+      [[{ name: 'a', pathPrefix: '/a', target: 'http://a', secretName: 's', rateLimit: { burst: 5, perMinute: 0 } }], 'Route a has an invalid rate limit perMinute: 0'],
+      [[{ name: 'a', pathPrefix: '/a', target: 'http://a', secretName: 's', retry: { retries: -1 } }], 'Route a has an invalid retry count: -1']
+    ])('rejects an invalid table %#', (config, message) => {
+      expect(() => parseRoutingTable(config)).toThrow(message);
+    });
+  });
+
+  describe('loadRoutingTable', () => {
+    it('parses inline JSON', () => {
+      const routes = loadRoutingTable(` ${JSON.stringify(TABLE)} `, { secretName: 'carshop/default' });
+
+      expect(routes).toHaveLength(4);
+    });
+
+    it('reads a JSON file', () => {
+      const filePath = path.join(os.tmpdir(), `routes-${process.pid}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({ routes: TABLE }));
+      try {
+        expect(loadRoutingTable(filePath, { secretName: 'carshop/default' })).toHaveLength(4);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('matchRoute', () => {
+    const routes = parseRoutingTable(TABLE, { secretName: 'carshop/default' });
+    const match = (request) => {
+      const route = matchRoute(routes, request);
+      return route && route.name;
+    };
+
+    it('matches path prefixes on segment boundaries', () => {
+      expect(match({ path: '/inventory' })).toBe('inventory');
+      expect(match({ path: '/inventory/cars?make=vw' })).toBe('inventory');
+      expect(match({ path: '/inventoryx/cars' })).toBeNull();
+    });
+
+    it('prefers the longest matching prefix', () => {
+      expect(match({ path: '/inventory/reports/monthly' })).toBe('inventory-reports');
+    });
+
+    it('matches hosts case-insensitively and ignores the port', () => {
+      expect(match({ host: 'Sales.Carshop.com:443', path: '/orders' })).toBe('sales');
+    });
+
+    it('prefers host routes over path-only routes', () => {
+      expect(match({ host: 'sales.carshop.com', path: '/workshop/jobs' })).toBe('sales');
+    });
+
+    it('returns null when nothing matches', () => {
+      expect(match({ host: 'other.carshop.com', path: '/orders' })).toBeNull();
+    });
+  });
+
+  describe('hasDotSegments', () => {
+    it('detects plain, percent-encoded and backslash-separated dot segments', () => {
+      ['/a/../b', '/a/./b', '/a/%2e%2e/b', '/a/%2E', '/a/.%2e?x=1', '/a\\..\\b'].forEach(path => {
+        expect(hasDotSegments(path)).toBe(true);
+      });
+    });
+
+    it('ignores dots inside names, double-encoded dots and the query string', () => {
+      ['/a/...', '/a/.hidden', '/files/v1.2', '/a/%252e%252e', '/a?next=/../b', '/a/%zz'].forEach(path => {
+        expect(hasDotSegments(path)).toBe(false);
+      });
+    });
+  });
+
+  describe('hasEncodedUnreservedCharacters', () => {
+    it('detects percent-encoded letters, digits and -._~', () => {
+      ['/%69nternal/x', '/api/%4Frders', '/v%31/cars', '/a%2Db', '/a/%2e%2e', '/a%5f', '/%7Euser'].forEach(path => {
+        expect(hasEncodedUnreservedCharacters(path)).toBe(true);
+      });
+    });
+
+    it('allows encoded reserved characters, spaces, UTF-8 and encoded query strings', () => {
+      ['/files/a%20b', '/a%2Fb', '/cars/s%C3%A3o', '/a/%25', '/search?q=%69', '/internal/x'].forEach(path => {
+        expect(hasEncodedUnreservedCharacters(path)).toBe(false);
+      });
+    });
+  });
+
+  describe('buildUpstreamPath', () => {
+    const [inventory, reports] = parseRoutingTable(TABLE, { secretName: 'carshop/default' });
+
+    it('strips the prefix when configured', () => {
+      expect(buildUpstreamPath(inventory, '/inventory/cars?make=vw')).toBe('/cars?make=vw');
+      expect(buildUpstreamPath(inventory, '/inventory?make=vw')).toBe('/?make=vw');
+      expect(buildUpstreamPath(inventory, '/inventory')).toBe('/');
+    });
+
+    it('keeps the path otherwise', () => {
+      expect(buildUpstreamPath(reports, '/inventory/reports/monthly')).toBe('/inventory/reports/monthly');
+    });
+
+    it('applies rewrite rules after stripping the prefix', () => {
+      const [route] = parseRoutingTable([{
+        pathPrefix: '/inventory',
+        target: 'http://inventory.internal',
+        secretName: 's',
+        stripPrefix: true,
+        rewrite: { from: '/cars/:id', to: '/api/v1/vehicles/:id' }
+      }]);
+
+      expect(buildUpstreamPath(route, '/inventory/cars/7?expand=photos')).toBe('/api/v1/vehicles/7?expand=photos');
+      expect(buildUpstreamPath(route, '/inventory/dealers')).toBe('/dealers');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createEnvProvider,
+  createFileProvider,
+  createMemoryProvider,
+  createSecretProvider,
+  parseDotenv,
+  toEnvName
+} = require('../src/secret-providers');
+
+describe('secret providers', () => {
+  describe('createEnvProvider', () => {
+    it('reads a variable named exactly like the secret', async () => {
+      const provider = createEnvProvider({ env: { HMAC_SECRET: 'from-env' } });
+      expect(await provider.fetchSecret('HMAC_SECRET')).toBe('from-env');
+    });
+
+    it('falls back to the normalized variable name with the prefix', async () => {
+      const provider = createEnvProvider({ env: { SECRET_CARSHOP_HMAC_KEY: 'from-env' }, prefix: 'SECRET_' });
+      expect(await provider.fetchSecret('carshop/hmac-key')).toBe('from-env');
+    });
+
+    it('fails with the expected variable name when the secret is missing', async () => {
+      const provider = createEnvProvider({ env: {} });
+      await expect(provider.fetchSecret('carshop/jwt')).rejects.toThrow('Secret carshop/jwt not found (set CARSHOP_JWT)');
+    });
+  });
+
+  describe('createFileProvider', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secrets-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads secrets from a JSON file', async () => {
+      const filePath = path.join(dir, 'secrets.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        'carshop/hmac': 'hmac-value',
+        'carshop/keyring': { keys: [] }
+      }));
+      const provider = createFileProvider({ filePath });
+
+      expect(await provider.fetchSecret('carshop/hmac')).toBe('hmac-value');
+      expect(await provider.fetchSecret('carshop/keyring')).toBe('{"keys":[]}');
+    });
+
+    it('reads secrets from a dotenv file and picks up edits', async () => {
+      const filePath = path.join(dir, '.env.secrets');
+      fs.writeFileSync(filePath, 'HMAC_SECRET=first\n');
+      const provider = createFileProvider({ filePath });
+
+      expect(await provider.fetchSecret('HMAC_SECRET')).toBe('first');
+
+      fs.writeFileSync(filePath, 'HMAC_SECRET=second\n');
+      expect(await provider.fetchSecret('HMAC_SECRET')).toBe('second');
+    });
+
+    it('fails for missing secrets and missing files', async () => {
+      const filePath = path.join(dir, 'secrets.json');
+      fs.writeFileSync(filePath, '{}');
+
+      await expect(createFileProvider({ filePath }).fetchSecret('nope')).rejects.toThrow('Secret nope not found');
+      await expect(createFileProvider({ filePath: path.join(dir, 'missing.json') }).fetchSecret('nope'))
+        .rejects.toThrow('ENOENT');
+    });
+
+    it('requires a file path', () => {
+      expect(() => createFileProvider()).toThrow('File secret provider requires a file path');
+    });
+  });
+
+  describe('createMemoryProvider', () => {
+    it('serves, updates and deletes secrets', async () => {
+      const provider = createMemoryProvider({ a: '1' });
+      expect(await provider.fetchSecret('a')).toBe('1');
+
+      provider.set('a', '2');
+      expect(await provider.fetchSecret('a')).toBe('2');
+
+      provider.delete('a');
+      await expect(provider.fetchSecret('a')).rejects.toThrow('Secret a not found');
+    });
+  });
+
+  describe('version selection', () => {
+    it('is rejected by providers without versions', async () => {
+      const provider = createMemoryProvider({ a: '1' });
+      await expect(provider.fetchSecret('a', 'us-east-1', { versionStage: 'AWSPREVIOUS' }))
+        .rejects.toThrow('Secret a: version selection is only supported by AWS Secrets Manager');
+    });
+  });
+
+  describe('createSecretProvider', () => {
+    it('creates providers by type', () => {
+      expect(createSecretProvider().description).toBe('AWS Secrets Manager');
+      expect(createSecretProvider({ type: 'env' }).description).toBe('environment variables');
+      expect(createSecretProvider({ type: 'memory' }).description).toBe('in-memory secrets');
+      expect(createSecretProvider({ type: 'file', filePath: '/tmp/s.json' }).description).toBe('secrets file /tmp/s.json');
+    });
+
+    it('rejects unknown types', () => {
+      expect(() => createSecretProvider({ type: 'vault' }))
+        .toThrow('Unknown secret provider: vault (expected one of: aws, env, file, memory)');
+    });
+  });
+
+  describe('helpers', () => {
+    it('normalizes secret names into variable names', () => {
+      expect(toEnvName('carshop/hmac-secret')).toBe('CARSHOP_HMAC_SECRET');
+      expect(toEnvName('/prod//jwt.key/')).toBe('PROD_JWT_KEY');
+    });
+
+    it('parses dotenv content', () => {
+      const content = [
+        '# local secrets',
+        'export A=1',
+        'B = "two words"',
+        "C='x=y'",
+        '',
+        'not a pair'
+      ].join('\n');
+
+      expect(parseDotenv(content)).toEqual({ A: '1', B: 'two words', C: 'x=y' });
+    });
+  });
+});
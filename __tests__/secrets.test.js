@@ -1,4 +1,12 @@
-const { getSecret, clearCache } = require('../src/secrets');
+const {
+  getSecret,
+  clearCache,
+  configureSecretCache,
+  parseSecretReference,
+  setSecretProvider,
+  secretEvents
+} = require('../src/secrets');
+const { createAwsSecretsManagerProvider, createMemoryProvider } = require('../src/secret-providers');
 
 // Jest mock for the AWS SDK client used in secrets.js
 const mockSend = jest.fn();
@@ -64,3 +72,256 @@ describe('getSecret caching behavior', () => {
   });
 });
 
+
+describe('getSecret expiry and refresh', () => {
+  const TTL_MS = 60000;
+  const REFRESH_AHEAD_MS = 10000;
+  const MAX_STALE_MS = 120000;
+  const RETRY_INTERVAL_MS = 5000;
+  let currentTime;
+  let nowSpy;
+
+  // Lets a background refresh settle
+  const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    mockSend.mockReset();
+    clearCache();
+    configureSecretCache({
+      ttlMs: TTL_MS,
+      refreshAheadMs: REFRESH_AHEAD_MS,
+      maxStaleMs: MAX_STALE_MS,
+      retryIntervalMs: RETRY_INTERVAL_MS
+    });
+    currentTime = 1700000000000;
+    nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => currentTime);
+  });
+
+  afterEach(() => {
+    nowSpy.mockRestore();
+    secretEvents.removeAllListeners();
+  });
+
+  it('refetches once the ttl has passed', async () => {
+    mockSend.mockResolvedValueOnce({ SecretString: 'first-value' });
+    await getSecret('my-secret');
+
+    currentTime += TTL_MS;
+    mockSend.mockResolvedValueOnce({ SecretString: 'second-value' });
+
+    expect(await getSecret('my-secret')).toBe('second-value');
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it('refreshes in the background shortly before expiry', async () => {
+    mockSend.mockResolvedValueOnce({ SecretString: 'first-value' });
+    await getSecret('my-secret');
+
+    currentTime += TTL_MS - REFRESH_AHEAD_MS;
+    mockSend.mockResolvedValueOnce({ SecretString: 'second-value' });
+
+    // The cached value is returned immediately while the refresh runs
+    expect(await getSecret('my-secret')).toBe('first-value');
+    await flushPromises();
+
+    expect(mockSend).toHaveBeenCalledTimes(2);
+    expect(await getSecret('my-secret')).toBe('second-value');
+  });
+
+  it('serves the last good value while refreshes fail within the stale period', async () => {
+    const errors = [];
+    secretEvents.on('refreshError', event => errors.push(event));
+
+    mockSend.mockResolvedValueOnce({ SecretString: 'good-value' });
+    await getSecret('my-secret');
+
+    currentTime += TTL_MS + 1000;
+    mockSend.mockRejectedValue(new Error('Network down'));
+
+    expect(await getSecret('my-secret')).toBe('good-value');
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ secretName: 'my-secret', stale: true });
+    expect(errors[0].error.message).toBe('Failed to fetch secret from AWS Secrets Manager: Network down');
+  });
+
+  it('does not retry a failed refresh before the retry interval', async () => {
+    mockSend.mockResolvedValueOnce({ SecretString: 'good-value' });
+    await getSecret('my-secret');
+
+    currentTime += TTL_MS + 1000;
+    mockSend.mockRejectedValue(new Error('Network down'));
+    await getSecret('my-secret');
+    await getSecret('my-secret');
+    expect(mockSend).toHaveBeenCalledTimes(2);
+
+    currentTime += RETRY_INTERVAL_MS;
+    mockSend.mockResolvedValueOnce({ SecretString: 'new-value' });
+    expect(await getSecret('my-secret')).toBe('new-value');
+    expect(mockSend).toHaveBeenCalledTimes(3);
+  });
+
+  it('fails once the stale period is over', async () => {
+    mockSend.mockResolvedValueOnce({ SecretString: 'good-value' });
+    await getSecret('my-secret');
+
+    currentTime += TTL_MS + MAX_STALE_MS;
+    mockSend.mockRejectedValue(new Error('Network down'));
+
+    await expect(getSecret('my-secret'))
+      .rejects.toThrow('Failed to fetch secret from AWS Secrets Manager: Network down');
+  });
+
+  it('fails when nothing has been cached yet', async () => {
+    const errors = [];
+    secretEvents.on('refreshError', event => errors.push(event));
+    mockSend.mockRejectedValue(new Error('Access denied'));
+
+    await expect(getSecret('my-secret')).rejects.toThrow('Access denied');
+    expect(errors[0].stale).toBe(false);
+  });
+
+  it('emits a refresh event after each fetch', async () => {
+    const refreshes = [];
+    secretEvents.on('refresh', event => refreshes.push(event));
+    mockSend.mockResolvedValue({ SecretString: 'value' });
+
+    await getSecret('my-secret', 'sa-east-1');
+
+    expect(refreshes).toEqual([{ secretName: 'my-secret', region: 'sa-east-1' }]);
+  });
+
+  it('emits a miss when the secret is fetched and a hit when it is served from the cache', async () => {
+    const events = [];
+    secretEvents.on('miss', event => events.push(['miss', event]));
+    secretEvents.on('hit', event => events.push(['hit', event]));
+    mockSend.mockResolvedValue({ SecretString: 'value' });
+
+    await getSecret('my-secret', 'sa-east-1');
+    await getSecret('my-secret', 'sa-east-1');
+    currentTime += TTL_MS;
+    await getSecret('my-secret', 'sa-east-1');
+
+    expect(events).toEqual([
+      ['miss', { secretName: 'my-secret', region: 'sa-east-1' }],
+      ['hit', { secretName: 'my-secret', region: 'sa-east-1' }],
+      ['miss', { secretName: 'my-secret', region: 'sa-east-1' }]
+    ]);
+  });
+});
+
+describe('getSecret with another provider', () => {
+  beforeEach(() => {
+    mockSend.mockReset();
+  });
+
+  afterEach(() => {
+    setSecretProvider(createAwsSecretsManagerProvider());
+  });
+
+  it('loads secrets from the configured provider', async () => {
+    const provider = createMemoryProvider({ 'my-secret': ' memory-value\n' });
+    setSecretProvider(provider);
+
+    expect(await getSecret('my-secret')).toBe('memory-value');
+    expect(mockSend).not.toHaveBeenCalled();
+  });
+
+  it('names the provider in fetch errors', async () => {
+    setSecretProvider(createMemoryProvider());
+
+    await expect(getSecret('missing'))
+      .rejects.toThrow('Failed to fetch secret from in-memory secrets: Secret missing not found');
+  });
+
+  it('clears the cache when the provider changes', async () => {
+    setSecretProvider(createMemoryProvider({ 'my-secret': 'first' }));
+    await getSecret('my-secret');
+
+    setSecretProvider(createMemoryProvider({ 'my-secret': 'second' }));
+    expect(await getSecret('my-secret')).toBe('second');
+  });
+});
+
+describe('getSecret with JSON field selection', () => {
+  const { GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+  beforeEach(() => {
+    mockSend.mockReset();
+    GetSecretValueCommand.mockClear();
+    clearCache();
+  });
+
+  it('selects a field of a JSON secret', async () => {
+    mockSend.mockResolvedValue({ SecretString: '{"hmac":" hmac-value\\n","jwt":"jwt-value"}' });
+
+    expect(await getSecret('carshop/app#hmac')).toBe('hmac-value');
+    expect(GetSecretValueCommand).toHaveBeenCalledWith({ SecretId: 'carshop/app' });
+  });
+
+  it('caches each field separately', async () => {
+    mockSend.mockResolvedValueOnce({ SecretString: '{"hmac":"hmac-value","jwt":"jwt-value"}' });
+    mockSend.mockResolvedValueOnce({ SecretString: '{"hmac":"hmac-value","jwt":"jwt-value"}' });
+
+    expect(await getSecret('carshop/app#hmac')).toBe('hmac-value');
+    expect(await getSecret('carshop/app#jwt')).toBe('jwt-value');
+    expect(await getSecret('carshop/app#hmac')).toBe('hmac-value');
+    expect(mockSend).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns object fields as JSON', async () => {
+    mockSend.mockResolvedValue({ SecretString: '{"hmac":{"keys":[]}}' });
+
+    expect(await getSecret('carshop/app#hmac')).toBe('{"keys":[]}');
+  });
+
+  it('requests a version stage', async () => {
+    mockSend.mockResolvedValue({ SecretString: '{"hmac":"previous-value"}' });
+
+    expect(await getSecret('carshop/app?versionStage=AWSPREVIOUS#hmac')).toBe('previous-value');
+    expect(GetSecretValueCommand).toHaveBeenCalledWith({ SecretId: 'carshop/app', VersionStage: 'AWSPREVIOUS' });
+  });
+
+  it('reports a missing field with the available field names', async () => {
+    mockSend.mockResolvedValue({ SecretString: '{"hmac":"x","jwt":"y"}' });
+
+    await expect(getSecret('carshop/app#api')).rejects.toThrow(
+      'Failed to fetch secret from AWS Secrets Manager: Secret carshop/app has no field "api" (available: hmac, jwt)'
+    );
+  });
+
+  it('reports a secret that is not a JSON object', async () => {
+    mockSend.mockResolvedValue({ SecretString: 'plain-value' });
+
+    await expect(getSecret('carshop/app#hmac'))
+      .rejects.toThrow('Secret carshop/app is not a JSON object, cannot select field "hmac"');
+  });
+});
+
+describe('parseSecretReference', () => {
+  it('parses plain names', () => {
+    expect(parseSecretReference('carshop/hmac')).toEqual({
+      secretId: 'carshop/hmac',
+      field: undefined,
+      versionStage: undefined,
+      versionId: undefined
+    });
+  });
+
+  it('parses fields and versions', () => {
+    expect(parseSecretReference('carshop/app?versionStage=AWSPREVIOUS#hmac')).toEqual({
+      secretId: 'carshop/app',
+      field: 'hmac',
+      versionStage: 'AWSPREVIOUS',
+      versionId: undefined
+    });
+    expect(parseSecretReference('carshop/app?versionId=abc-123')).toMatchObject({ versionId: 'abc-123' });
+  });
+
+  it.each([
+    ['#hmac', 'Invalid secret reference: #hmac'],
+    ['carshop/app#', 'Invalid secret reference: carshop/app# (empty field name)'],
+    ['carshop/app?stage=x', 'Invalid secret reference: carshop/app?stage=x (unknown option stage=x)']
+  ])('rejects %s', (reference, message) => {
+    expect(() => parseSecretReference(reference)).toThrow(message);
+  });
+});
@@ -0,0 +1,710 @@
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { getSecret } = require('../src/secrets');
+const { invokeLambda } = require('../src/lambda-invoke');
+const { buildCanonicalString, canonicalizeHeaders, computeSignature } = require('../src/signing');
+
+const mockAxios = jest.fn();
+jest.mock('axios', () => mockAxios);
+jest.mock('../src/secrets');
+jest.mock('../src/lambda-invoke');
+
+const SECRETS = {
+  'carshop/hmac': 'hmac-secret',
+  'carshop/jwt': 'jwt-secret'
+};
+
+// supertest resolves dot segments before sending, so traversal paths are sent with http.get
+function getRawPath(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      http.get({ host: '127.0.0.1', port, path, headers, agent: false }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => server.close(() => resolve({ status: res.statusCode, body: JSON.parse(body) })));
+      }).on('error', error => server.close(() => reject(error)));
+    });
+  });
+}
+
+// The /auth flow with the in-process token issuer (so no Lambda is involved), and
+// proxied requests authenticated with the tokens it issues
+describe('Express HMAC Proxy Server (auth)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'carshop/hmac';
+    process.env.JWT_SECRET_NAME = 'carshop/jwt';
+    process.env.TOKEN_ISSUER = 'local';
+    process.env.JWT_EXPIRES_IN_SECONDS = '900';
+    process.env.JWT_ISSUER = 'carshop-proxy';
+    process.env.JWT_AUDIENCE = 'carshop-api';
+    process.env.REFRESH_TOKEN_ENABLED = 'true';
+    process.env.REFRESH_TOKEN_TTL_SECONDS = '7200';
+    process.env.METRICS_ENABLED = 'true';
+    app = require('../src/server');
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.JWT_SECRET_NAME;
+    delete process.env.TOKEN_ISSUER;
+    delete process.env.JWT_EXPIRES_IN_SECONDS;
+    delete process.env.JWT_ISSUER;
+    delete process.env.JWT_AUDIENCE;
+    delete process.env.REFRESH_TOKEN_ENABLED;
+    delete process.env.REFRESH_TOKEN_TTL_SECONDS;
+    delete process.env.METRICS_ENABLED;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  function mockClient(client) {
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { data: client } });
+  }
+
+  it('issues a token signed in-process', async () => {
+    mockClient({ id: 42, email: 'ana@example.com', role: 'admin' });
+
+    const response = await request(app).post('/auth/12345678909');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ token_type: 'Bearer', expires_in: 900 });
+    const payload = jwt.verify(response.body.token, 'jwt-secret', {
+      algorithms: ['HS256'],
+      issuer: 'carshop-proxy',
+      audience: 'carshop-api'
+    });
+    expect(payload).toMatchObject({ sub: '42', email: 'ana@example.com', role: 'admin' });
+    expect(invokeLambda).not.toHaveBeenCalled();
+  });
+
+  it('defaults the role to user', async () => {
+    mockClient({ id: 7, email: 'bia@example.com' });
+
+    const response = await request(app).post('/auth/12345678909');
+
+    expect(jwt.decode(response.body.token).role).toBe('user');
+  });
+
+  it('returns 500 when the token cannot be signed', async () => {
+    mockClient({ id: 42, email: 'ana@example.com' });
+    getSecret.mockImplementation(async (secretName) => {
+      if (secretName === 'carshop/jwt') {
+        throw new Error('Failed to fetch secret from AWS Secrets Manager: AccessDenied');
+      }
+      return SECRETS[secretName];
+    });
+
+    const response = await request(app).post('/auth/12345678909');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({
+      error: 'JWT generation failed',
+      message: 'Failed to fetch secret from AWS Secrets Manager: AccessDenied'
+    });
+  });
+
+  it('issues a refresh token that can be exchanged once', async () => {
+    mockClient({ id: 42, email: 'ana@example.com', role: 'admin' });
+    const login = await request(app).post('/auth/12345678909');
+
+    expect(login.body.refresh_expires_in).toBe(7200);
+    mockAxios.mockReset();
+
+    const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: login.body.refresh_token });
+
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body).toMatchObject({ token_type: 'Bearer', expires_in: 900, refresh_expires_in: 7200 });
+    expect(refreshed.body.refresh_token).not.toBe(login.body.refresh_token);
+    expect(jwt.verify(refreshed.body.token, 'jwt-secret')).toMatchObject({ sub: '42', role: 'admin' });
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('detects reuse of a rotated refresh token and revokes its family', async () => {
+    mockClient({ id: 42, email: 'ana@example.com' });
+    const login = await request(app).post('/auth/12345678909');
+    const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: login.body.refresh_token });
+
+    const reused = await request(app).post('/auth/refresh').send({ refresh_token: login.body.refresh_token });
+    const afterReuse = await request(app).post('/auth/refresh').send({ refresh_token: refreshed.body.refresh_token });
+
+    expect(reused.status).toBe(401);
+    expect(reused.body).toEqual({ error: 'Unauthorized', message: 'Refresh token has already been used' });
+    expect(afterReuse.status).toBe(401);
+    expect(afterReuse.body.message).toBe('Refresh token has been revoked');
+  });
+
+  it('ends the refresh token family on logout', async () => {
+    mockClient({ id: 42, email: 'ana@example.com' });
+    const login = await request(app).post('/auth/12345678909');
+
+    await request(app)
+      .post('/auth/logout')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ refresh_token: login.body.refresh_token })
+      .expect(204);
+    const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: login.body.refresh_token });
+
+    expect(refreshed.status).toBe(401);
+  });
+
+  it('accepts a login in the same second as a revocation of the user', async () => {
+    mockClient({ id: 1, email: 'admin@example.com', role: 'admin' });
+    const admin = await request(app).post('/auth/12345678909');
+    mockClient({ id: 42, email: 'ana@example.com' });
+    const revokedLogin = await request(app).post('/auth/12345678909');
+
+    // Start right after a second boundary, so the revocation and the new login share a second
+    await new Promise(resolve => setTimeout(resolve, 1000 - (Date.now() % 1000)));
+    const second = Math.floor(Date.now() / 1000);
+    await request(app)
+      .post('/auth/revoke')
+      .set('Authorization', `Bearer ${admin.body.token}`)
+      .send({ userId: '42' })
+      .expect(204);
+    const login = await request(app).post('/auth/12345678909');
+    const refreshed = await request(app).post('/auth/refresh').send({ refresh_token: login.body.refresh_token });
+    const revokedRefresh = await request(app).post('/auth/refresh').send({ refresh_token: revokedLogin.body.refresh_token });
+
+    expect(jwt.decode(login.body.token).iat).toBe(second);
+    expect(refreshed.status).toBe(200);
+    expect(revokedRefresh.status).toBe(401);
+    expect((await request(app).post('/auth/logout').set('Authorization', `Bearer ${login.body.token}`)).status).toBe(204);
+    expect((await request(app).post('/auth/logout').set('Authorization', `Bearer ${revokedLogin.body.token}`)).status).toBe(401);
+  });
+
+  it('rejects refresh requests without a token', async () => {
+    const response = await request(app).post('/auth/refresh').send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Bad Request', message: 'refresh_token is required' });
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    const response = await request(app).post('/auth/refresh').send({ refresh_token: 'made-up' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid or expired refresh token');
+  });
+
+  it('normalizes formatted CPFs before the lookup', async () => {
+    mockClient({ id: 42, email: 'ana@example.com' });
+
+    const response = await request(app).post('/auth/123.456.789-09');
+
+    expect(response.status).toBe(200);
+    expect(mockAxios.mock.calls[0][0].url).toBe('http://target.example.com/api/v1/client/cpf/12345678909');
+  });
+
+  it.each([
+    ['12345678900', 'CPF check digits do not match'],
+    ['111.111.111-11', 'CPF is a known invalid sequence'],
+    ['..%2F..%2Fadmin', 'CPF must contain only digits, dots and dashes'],
+    ['123', 'CPF must have 11 digits']
+  ])('returns 400 for %s without signing or calling upstream', async (cpf, message) => {
+    const response = await request(app).post(`/auth/${cpf}`);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Bad Request', message, field: 'cpf' });
+    expect(getSecret).not.toHaveBeenCalled();
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('masks the CPF in auth logs', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockAxios.mockResolvedValue({ status: 404, headers: {}, data: { message: 'No client with CPF 123.456.789-09' } });
+
+    try {
+      await request(app).post('/auth/12345678909');
+      await request(app).post('/auth/123.456.789-09');
+
+      const lines = [...logSpy.mock.calls, ...errorSpy.mock.calls].map(args => args.join(' '));
+      expect(lines.map(line => JSON.parse(line)).filter(entry => entry.component === 'auth').length).toBeGreaterThan(0);
+      expect(lines.join('\n')).not.toMatch(/12345678909|123\.456\.789-09/);
+      expect(lines.join('\n')).toContain('***.456.789-**');
+    } finally {
+      logSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
+  });
+
+  it('rejects clients without the required fields', async () => {
+    mockClient({ id: 42 });
+
+    const response = await request(app).post('/auth/12345678909');
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({
+      error: 'Invalid client data',
+      message: 'Client data missing required fields (email)'
+    });
+  });
+
+  it('counts the outcomes of the auth endpoints', async () => {
+    const outcomes = async () => {
+      const response = await request(app).get('/metrics');
+      return response.text.split('\n')
+        .filter(line => line.startsWith('auth_requests_total{'))
+        .reduce((counts, line) => {
+          const [series, value] = line.split(' ');
+          return { ...counts, [series]: Number(value) };
+        }, {});
+    };
+    const before = await outcomes();
+    const delta = (after, series) => after[series] - (before[series] || 0);
+
+    mockClient({ id: 42, email: 'ana@example.com' });
+    const login = await request(app).post('/auth/12345678909');
+    await request(app).post('/auth/11111111111');
+    mockAxios.mockResolvedValue({ status: 404, headers: {}, data: { message: 'Client not found' } });
+    await request(app).post('/auth/12345678909');
+    await request(app).post('/auth/refresh').send({ refresh_token: login.body.refresh_token });
+
+    const after = await outcomes();
+    expect(delta(after, 'auth_requests_total{endpoint="token",outcome="issued"}')).toBe(1);
+    expect(delta(after, 'auth_requests_total{endpoint="token",outcome="invalid_cpf"}')).toBe(1);
+    expect(delta(after, 'auth_requests_total{endpoint="token",outcome="not_found"}')).toBe(1);
+    expect(delta(after, 'auth_requests_total{endpoint="refresh",outcome="refreshed"}')).toBe(1);
+  });
+});
+
+describe('Express HMAC Proxy Server (claims mapping)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'carshop/hmac';
+    process.env.JWT_SECRET_NAME = 'carshop/jwt';
+    process.env.LAMBDA_FUNCTION_NAME = 'carshop-jwt';
+    process.env.JWT_CLAIMS_MAPPING = JSON.stringify({
+      claims: {
+        userId: { from: 'id', required: true },
+        role: { from: 'role', default: 'customer' },
+        storeId: { from: 'store.id', required: true },
+        tier: { from: 'customer.tier', default: 'standard' }
+      },
+      scopes: { roles: { customer: ['cars:read'], manager: ['cars:read', 'cars:write'] } }
+    });
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.JWT_SECRET_NAME;
+    delete process.env.LAMBDA_FUNCTION_NAME;
+    delete process.env.JWT_CLAIMS_MAPPING;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    invokeLambda.mockReset();
+    invokeLambda.mockResolvedValue({ statusCode: 200, body: { token: 'lambda-token' } });
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  it('sends the mapped claims to the token issuer', async () => {
+    mockAxios.mockResolvedValue({
+      status: 200,
+      headers: {},
+      data: { data: { id: 42, role: 'manager', store: { id: 'sp-01' }, customer: { tier: 'gold' } } }
+    });
+
+    const response = await request(app).post('/auth/12345678909');
+
+    expect(response.status).toBe(200);
+    expect(invokeLambda).toHaveBeenCalledWith('carshop-jwt', {
+      userId: 42,
+      role: 'manager',
+      storeId: 'sp-01',
+      tier: 'gold',
+      scope: 'cars:read cars:write',
+      jwtSecret: 'jwt-secret'
+    }, 'us-east-1');
+  });
+
+  it('uses the configured required fields and defaults', async () => {
+    mockAxios.mockResolvedValueOnce({ status: 200, headers: {}, data: { data: { id: 42, email: 'ana@example.com' } } });
+    mockAxios.mockResolvedValueOnce({ status: 200, headers: {}, data: { data: { id: 42, store: { id: 'sp-01' } } } });
+
+    const missingStore = await request(app).post('/auth/12345678909');
+    const withoutEmail = await request(app).post('/auth/12345678909');
+
+    expect(missingStore.status).toBe(500);
+    expect(missingStore.body.message).toBe('Client data missing required fields (store.id)');
+    expect(withoutEmail.status).toBe(200);
+    expect(invokeLambda.mock.calls[0][1]).toMatchObject({ role: 'customer', tier: 'standard', scope: 'cars:read' });
+  });
+});
+
+describe('Express HMAC Proxy Server (JWT-authenticated proxying)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.HMAC_SECRET_NAME = 'carshop/hmac';
+    process.env.JWT_SECRET_NAME = 'carshop/jwt';
+    process.env.JWT_ISSUER = 'carshop-proxy';
+    process.env.JWT_AUTH_ENABLED = 'true';
+    process.env.JWT_ANONYMOUS_PATHS = '/api/catalog';
+    process.env.PROXY_ROUTES = JSON.stringify([
+      { name: 'admin', pathPrefix: '/admin', target: 'http://admin.internal', roles: ['admin'] },
+      { name: 'default', pathPrefix: '/', target: 'http://target.example.com' }
+    ]);
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.JWT_SECRET_NAME;
+    delete process.env.JWT_ISSUER;
+    delete process.env.JWT_AUTH_ENABLED;
+    delete process.env.JWT_ANONYMOUS_PATHS;
+    delete process.env.PROXY_ROUTES;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { ok: true } });
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  function bearer(payload) {
+    return `Bearer ${jwt.sign(payload, 'jwt-secret', { issuer: 'carshop-proxy', expiresIn: 300 })}`;
+  }
+
+  it('forwards the identity headers inside the signed request', async () => {
+    const response = await request(app)
+      .get('/api/cars')
+      .set('Authorization', bearer({ sub: '42', role: 'user' }))
+      .set('X-User-Role', 'admin');
+
+    expect(response.status).toBe(200);
+    const headers = mockAxios.mock.calls[0][0].headers;
+    expect(headers['x-user-id']).toBe('42');
+    expect(headers['x-user-role']).toBe('user');
+    expect(headers['x-hmac-signed-headers']).toBe('x-user-id;x-user-role');
+
+    const canonical = buildCanonicalString('GET', '/api/cars', headers['x-hmac-timestamp'],
+      canonicalizeHeaders(headers, ['x-user-id', 'x-user-role']));
+    expect(headers['x-hmac-signature']).toBe(computeSignature('hmac-secret', canonical));
+  });
+
+  it('returns 401 without a token and does not forward the request', async () => {
+    const response = await request(app).get('/api/cars');
+
+    expect(response.status).toBe(401);
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('returns 403 for roles the route does not allow', async () => {
+    const response = await request(app).get('/admin/users').set('Authorization', bearer({ sub: '42', role: 'user' }));
+
+    expect(response.status).toBe(403);
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('does not offer refresh tokens unless enabled', async () => {
+    const response = await request(app).post('/auth/refresh').send({ refresh_token: 'x' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('Refresh tokens are not enabled');
+  });
+
+  it('rejects access tokens after logout', async () => {
+    const authorization = bearer({ sub: '42', role: 'user', jti: 'session-1' });
+    await request(app).get('/api/cars').set('Authorization', authorization).expect(200);
+
+    const logout = await request(app).post('/auth/logout').set('Authorization', authorization);
+    const afterLogout = await request(app).get('/api/cars').set('Authorization', authorization);
+
+    expect(logout.status).toBe(204);
+    expect(afterLogout.status).toBe(401);
+    expect(afterLogout.body.message).toBe('Token has been revoked');
+    expect(mockAxios).toHaveBeenCalledTimes(1);
+    expect((await request(app).get('/api/cars').set('Authorization', bearer({ sub: '42', jti: 'session-2' }))).status).toBe(200);
+  });
+
+  it('requires a valid token to log out', async () => {
+    const response = await request(app).post('/auth/logout');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('lets admins revoke all tokens of a user', async () => {
+    const victim = bearer({ sub: '77', role: 'user', jti: 'stolen' });
+
+    const response = await request(app)
+      .post('/auth/revoke')
+      .set('Authorization', bearer({ sub: '1', role: 'admin' }))
+      .send({ userId: '77' });
+
+    expect(response.status).toBe(204);
+    expect((await request(app).get('/api/cars').set('Authorization', victim)).status).toBe(401);
+  });
+
+  it('lets admins revoke a token by jti', async () => {
+    const token = bearer({ sub: '78', role: 'user', jti: 'leaked' });
+
+    await request(app)
+      .post('/auth/revoke')
+      .set('Authorization', bearer({ sub: '1', role: 'admin' }))
+      .send({ jti: 'leaked', expiresAt: Math.floor(Date.now() / 1000) + 300 })
+      .expect(204);
+
+    expect((await request(app).get('/api/cars').set('Authorization', token)).status).toBe(401);
+  });
+
+  it('rejects revocations by non-admins and without a target', async () => {
+    const forbidden = await request(app)
+      .post('/auth/revoke')
+      .set('Authorization', bearer({ sub: '42', role: 'user' }))
+      .send({ userId: '77' });
+    const empty = await request(app)
+      .post('/auth/revoke')
+      .set('Authorization', bearer({ sub: '1', role: 'admin' }))
+      .send({});
+
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.message).toBe('Revoking tokens requires the admin role');
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe('jti or userId is required');
+  });
+
+  it('proxies anonymous paths without identity headers', async () => {
+    const response = await request(app).get('/api/catalog/models').set('X-User-Id', '1');
+
+    expect(response.status).toBe(200);
+    expect(mockAxios.mock.calls[0][0].headers['x-user-id']).toBeUndefined();
+  });
+
+  it.each([
+    ['/api/catalog/../cars'],
+    ['/api/catalog/%2e%2e/cars'],
+    ['/api/catalog/%2E%2e/cars'],
+    ['/api/catalog/.%2E/cars'],
+    ['/api/catalog\\..\\cars']
+  ])('rejects %s instead of skipping the token check', async (path) => {
+    const response = await getRawPath(app, path);
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Bad Request', message: 'Path must not contain . or .. segments' });
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('rejects dot segments that would reach a route under another route\'s roles', async () => {
+    const authorization = bearer({ sub: '42', role: 'user' });
+
+    expect((await getRawPath(app, '/api/../admin/users', { authorization })).status).toBe(400);
+    expect((await getRawPath(app, '/api/./cars', { authorization })).status).toBe(400);
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+});
+
+describe('Express HMAC Proxy Server (client cache)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'carshop/hmac';
+    process.env.JWT_SECRET_NAME = 'carshop/jwt';
+    process.env.TOKEN_ISSUER = 'local';
+    process.env.CLIENT_CACHE_ENABLED = 'true';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.JWT_SECRET_NAME;
+    delete process.env.TOKEN_ISSUER;
+    delete process.env.CLIENT_CACHE_ENABLED;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  function bearer(role) {
+    return `Bearer ${jwt.sign({ sub: '1', role }, 'jwt-secret', { expiresIn: 300 })}`;
+  }
+
+  it('looks up each client once until the entry is invalidated', async () => {
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { data: { id: 42, email: 'ana@example.com' } } });
+
+    const responses = await Promise.all([
+      request(app).post('/auth/111.444.777-35'),
+      request(app).post('/auth/11144477735')
+    ]);
+    await request(app).post('/auth/11144477735').expect(200);
+
+    expect(responses.map(response => response.status)).toEqual([200, 200]);
+    expect(mockAxios).toHaveBeenCalledTimes(1);
+
+    const invalidation = await request(app).delete('/auth/clients/111.444.777-35').set('Authorization', bearer('admin'));
+    await request(app).post('/auth/11144477735').expect(200);
+
+    expect(invalidation.status).toBe(204);
+    expect(mockAxios).toHaveBeenCalledTimes(2);
+  });
+
+  it('caches unknown CPFs', async () => {
+    mockAxios.mockResolvedValue({ status: 404, headers: {}, data: { message: 'Client not found' } });
+
+    const first = await request(app).post('/auth/52998224725');
+    const second = await request(app).post('/auth/52998224725');
+
+    expect([first.status, second.status]).toEqual([404, 404]);
+    expect(second.body).toEqual(first.body);
+    expect(mockAxios).toHaveBeenCalledTimes(1);
+  });
+
+  it('only lets admins invalidate entries', async () => {
+    const forbidden = await request(app).delete('/auth/clients/52998224725').set('Authorization', bearer('user'));
+    const invalidCpf = await request(app).delete('/auth/clients/52998224700').set('Authorization', bearer('admin'));
+    const anonymous = await request(app).delete('/auth/clients/52998224725');
+
+    expect(forbidden.status).toBe(403);
+    expect(invalidCpf.status).toBe(400);
+    expect(anonymous.status).toBe(401);
+  });
+});
+
+describe('Express HMAC Proxy Server (auth rate limiting)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'carshop/hmac';
+    process.env.JWT_SECRET_NAME = 'carshop/jwt';
+    process.env.TOKEN_ISSUER = 'local';
+    process.env.AUTH_RATE_LIMIT_ENABLED = 'true';
+    process.env.AUTH_RATE_LIMIT_CPF_BURST = '2';
+    process.env.AUTH_LOCKOUT_MAX_FAILURES = '3';
+    process.env.TRUST_PROXY = 'true';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.JWT_SECRET_NAME;
+    delete process.env.TOKEN_ISSUER;
+    delete process.env.AUTH_RATE_LIMIT_ENABLED;
+    delete process.env.AUTH_RATE_LIMIT_CPF_BURST;
+    delete process.env.AUTH_LOCKOUT_MAX_FAILURES;
+    delete process.env.TRUST_PROXY;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  it('limits repeated logins with the same CPF', async () => {
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { data: { id: 42, email: 'ana@example.com' } } });
+
+    await request(app).post('/auth/12345678909').set('X-Forwarded-For', '203.0.113.1').expect(200);
+    await request(app).post('/auth/12345678909').set('X-Forwarded-For', '203.0.113.2').expect(200);
+    const limited = await request(app).post('/auth/123.456.789-09').set('X-Forwarded-For', '203.0.113.3');
+
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body).toEqual({ error: 'Too Many Requests', message: 'Too many requests for this CPF' });
+    expect(mockAxios).toHaveBeenCalledTimes(2);
+  });
+
+  it('locks out IPs that keep trying unknown or invalid CPFs', async () => {
+    mockAxios.mockResolvedValue({ status: 404, headers: {}, data: { message: 'Client not found' } });
+    const ip = '198.51.100.7';
+
+    await request(app).post('/auth/52998224725').set('X-Forwarded-For', ip).expect(404);
+    await request(app).post('/auth/11144477735').set('X-Forwarded-For', ip).expect(404);
+    await request(app).post('/auth/12345678900').set('X-Forwarded-For', ip).expect(400);
+    const locked = await request(app).post('/auth/00000000191').set('X-Forwarded-For', ip);
+
+    expect(locked.status).toBe(429);
+    expect(locked.headers['retry-after']).toBe('60');
+    expect(locked.body.message).toBe('Too many failed attempts');
+    expect(mockAxios).toHaveBeenCalledTimes(2);
+    await request(app).post('/auth/00000000191').set('X-Forwarded-For', '198.51.100.8').expect(404);
+  });
+});
+
+// The IP buckets behind API Gateway and the NLB, with TRUST_PROXY as set in infra/
+describe('Express HMAC Proxy Server (auth rate limiting per forwarded IP)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'carshop/hmac';
+    process.env.JWT_SECRET_NAME = 'carshop/jwt';
+    process.env.TOKEN_ISSUER = 'local';
+    process.env.AUTH_RATE_LIMIT_ENABLED = 'true';
+    process.env.AUTH_RATE_LIMIT_IP_BURST = '2';
+    process.env.TRUST_PROXY = '1';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.JWT_SECRET_NAME;
+    delete process.env.TOKEN_ISSUER;
+    delete process.env.AUTH_RATE_LIMIT_ENABLED;
+    delete process.env.AUTH_RATE_LIMIT_IP_BURST;
+    delete process.env.TRUST_PROXY;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { data: { id: 42, email: 'ana@example.com' } } });
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  it('gives clients behind the same proxy separate buckets', async () => {
+    await request(app).post('/auth/12345678909').set('X-Forwarded-For', '203.0.113.1').expect(200);
+    await request(app).post('/auth/52998224725').set('X-Forwarded-For', '203.0.113.1').expect(200);
+    const limited = await request(app).post('/auth/11144477735').set('X-Forwarded-For', '203.0.113.1');
+    const other = await request(app).post('/auth/11144477735').set('X-Forwarded-For', '203.0.113.2');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.message).toBe('Too many requests');
+    expect(other.status).toBe(200);
+  });
+
+  it('keys the bucket on the address the proxy appended, not on entries sent by the client', async () => {
+    await request(app).post('/auth/12345678909').set('X-Forwarded-For', '203.0.113.5').expect(200);
+    await request(app).post('/auth/52998224725').set('X-Forwarded-For', '198.51.100.1, 203.0.113.5').expect(200);
+    const limited = await request(app).post('/auth/11144477735').set('X-Forwarded-For', '198.51.100.2, 203.0.113.5');
+
+    expect(limited.status).toBe(429);
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const { getSecret } = require('../src/secrets');
+const { buildCanonicalString, computeSignature } = require('../src/signing');
+
+const mockAxios = jest.fn();
+jest.mock('axios', () => mockAxios);
+jest.mock('../src/secrets');
+
+const SECRETS = {
+  'carshop/inventory': 'inventory-secret',
+  'carshop/sales': 'sales-secret',
+  'carshop/workshop': 'workshop-secret'
+};
+
+describe('Express HMAC Proxy Server (routing table)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.PROXY_ROUTES = JSON.stringify([
+      {
+        name: 'inventory',
+        pathPrefix: '/inventory',
+        target: 'http://inventory.internal',
+        secretName: 'carshop/inventory',
+        timeoutMs: 5000,
+        stripPrefix: true,
+        rewrite: { from: '/vehicles/:id', to: '/api/v2/cars/:id' },
+        requestHeaders: { remove: ['cookie'], rename: { 'x-client': 'x-tenant-id' }, add: { 'x-api-version': '2' } },
+        responseHeaders: { remove: ['x-powered-by'], add: { 'cache-control': 'no-store' } }
+      },
+      { name: 'sales', host: 'sales.carshop.com', target: 'http://sales.internal', secretName: 'carshop/sales' },
+      { name: 'workshop', pathPrefix: '/workshop', target: 'http://workshop.internal', secretName: 'carshop/workshop' },
+      {
+        name: 'quotes',
+        pathPrefix: '/quotes',
+        target: 'http://workshop.internal',
+        secretName: 'carshop/workshop',
+        rateLimit: { burst: 2, perMinute: 1 }
+      },
+      {
+        name: 'clients',
+        pathPrefix: '/api/v1/client',
+        target: 'http://sales.internal',
+        secretName: 'carshop/sales',
+        timeoutMs: 2000,
+        rewrite: { from: '/api/v1/client/cpf/:cpf', to: '/clients/by-cpf/:cpf' },
+        requestHeaders: { add: { 'x-api-key': 'lookup' } }
+      }
+    ]);
+    process.env.READINESS_UPSTREAM_PATH = '/health';
+    app = require('../src/server');
+  });
+
+  afterAll(() => {
+    delete process.env.PROXY_ROUTES;
+    delete process.env.READINESS_UPSTREAM_PATH;
+  });
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { ok: true } });
+    getSecret.mockReset();
+    getSecret.mockImplementation(async (secretName) => SECRETS[secretName]);
+  });
+
+  it('forwards to the route target with its timeout and a stripped prefix', async () => {
+    const response = await request(app).get('/inventory/cars?make=vw');
+
+    expect(response.status).toBe(200);
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.url).toBe('http://inventory.internal/cars?make=vw');
+    expect(axiosCall.timeout).toBe(5000);
+  });
+
+  it('signs the upstream path with the route secret', async () => {
+    await request(app).get('/inventory/cars?make=vw');
+
+    const headers = mockAxios.mock.calls[0][0].headers;
+    const canonical = buildCanonicalString('GET', '/cars?make=vw', headers['x-hmac-timestamp']);
+    expect(getSecret).toHaveBeenCalledWith('carshop/inventory', 'us-east-1');
+    expect(headers['x-hmac-signature']).toBe(computeSignature('inventory-secret', canonical));
+  });
+
+  it('routes by host', async () => {
+    await request(app).post('/orders').set('Host', 'sales.carshop.com').send({ carId: 1 });
+
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.url).toBe('http://sales.internal/orders');
+    expect(axiosCall.timeout).toBe(30000);
+    const canonical = buildCanonicalString('POST', '/orders', axiosCall.headers['x-hmac-timestamp']);
+    expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature('sales-secret', canonical));
+  });
+
+  it('keeps the prefix when stripping is not configured', async () => {
+    await request(app).delete('/workshop/jobs/7');
+
+    expect(mockAxios.mock.calls[0][0].url).toBe('http://workshop.internal/workshop/jobs/7');
+    expect(getSecret).toHaveBeenCalledWith('carshop/workshop', 'us-east-1');
+  });
+
+  it('applies the route rate limit', async () => {
+    await request(app).get('/quotes/12').expect(200);
+    const second = await request(app).get('/quotes/12');
+    const limited = await request(app).get('/quotes/12');
+
+    expect(second.status).toBe(200);
+    expect(second.headers['ratelimit-remaining']).toBe('0');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('60');
+    expect(limited.body.error).toBe('Too Many Requests');
+    expect(mockAxios).toHaveBeenCalledTimes(2);
+    expect((await request(app).get('/workshop/jobs')).status).toBe(200);
+  });
+
+  it('returns 404 for unmatched paths without contacting an upstream', async () => {
+    const response = await request(app).get('/billing/invoices');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      error: 'Not Found',
+      message: 'No upstream route matches GET /billing/invoices'
+    });
+    expect(mockAxios).not.toHaveBeenCalled();
+    expect(getSecret).not.toHaveBeenCalled();
+  });
+
+  it('signs the rewritten path and applies header rules', async () => {
+    mockAxios.mockResolvedValue({ status: 200, headers: { 'x-powered-by': 'legacy', 'content-type': 'application/json' }, data: { id: 7 } });
+
+    const response = await request(app)
+      .get('/inventory/vehicles/7?expand=photos')
+      .set('Cookie', 'session=abc')
+      .set('X-Client', 'acme');
+
+    expect(response.headers['x-powered-by']).toBeUndefined();
+    expect(response.headers['cache-control']).toBe('no-store');
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.url).toBe('http://inventory.internal/api/v2/cars/7?expand=photos');
+    expect(axiosCall.headers.cookie).toBeUndefined();
+    expect(axiosCall.headers['x-client']).toBeUndefined();
+    expect(axiosCall.headers['x-tenant-id']).toBe('acme');
+    expect(axiosCall.headers['x-api-version']).toBe('2');
+    const canonical = buildCanonicalString('GET', '/api/v2/cars/7?expand=photos', axiosCall.headers['x-hmac-timestamp']);
+    expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature('inventory-secret', canonical));
+  });
+
+  it('routes the /auth client lookup through the table and its rules', async () => {
+    mockAxios.mockResolvedValue({ status: 404, headers: {}, data: { message: 'Client not found' } });
+
+    const response = await request(app).post('/auth/12345678909').set('X-Request-Id', 'login-1');
+
+    expect(response.status).toBe(404);
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.headers['x-request-id']).toBe('login-1');
+    expect(axiosCall.url).toBe('http://sales.internal/clients/by-cpf/12345678909');
+    expect(axiosCall.timeout).toBe(2000);
+    expect(axiosCall.headers['x-api-key']).toBe('lookup');
+    const canonical = buildCanonicalString('GET', '/clients/by-cpf/12345678909', axiosCall.headers['x-hmac-timestamp']);
+    expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature('sales-secret', canonical));
+  });
+
+  it('checks every route secret and probes every upstream for readiness', async () => {
+    const response = await request(app).get('/readyz');
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('ready');
+    expect(response.body.checks.map(({ check, name, status }) => `${check}:${name}:${status}`)).toEqual([
+      'secret:carshop/inventory:ok',
+      'secret:carshop/sales:ok',
+      'secret:carshop/workshop:ok',
+      'upstream:inventory:ok',
+      'upstream:sales:ok',
+      'upstream:workshop:ok',
+      'upstream:quotes:ok',
+      'upstream:clients:ok'
+    ]);
+
+    const inventoryProbe = mockAxios.mock.calls.map(([config]) => config)
+      .find(config => config.url === 'http://inventory.internal/health');
+    expect(inventoryProbe.headers['x-api-version']).toBe('2');
+    const canonical = buildCanonicalString('GET', '/health', inventoryProbe.headers['x-hmac-timestamp']);
+    expect(inventoryProbe.headers['x-hmac-signature']).toBe(computeSignature('inventory-secret', canonical));
+  });
+
+  it('is not ready while an upstream fails its probe', async () => {
+    mockAxios.mockImplementation(async (config) => {
+      if (config.url === 'http://workshop.internal/health') {
+        return { status: 503, headers: {}, data: {} };
+      }
+      return { status: 200, headers: {}, data: {} };
+    });
+
+    const response = await request(app).get('/readyz');
+
+    expect(response.status).toBe(503);
+    expect(response.body.status).toBe('not_ready');
+    const failed = response.body.checks.filter(check => check.status === 'error');
+    expect(failed.map(({ name, error }) => [name, error])).toEqual([
+      ['workshop', 'Upstream answered 503'],
+      ['quotes', 'Upstream answered 503']
+    ]);
+  });
+});
@@ -0,0 +1,110 @@
+const http = require('http');
+const zlib = require('zlib');
+const request = require('supertest');
+const { getSecret } = require('../src/secrets');
+
+// Streaming is exercised against a real upstream server instead of a mocked axios
+jest.mock('../src/secrets');
+
+describe('Express HMAC Proxy Server (streaming mode)', () => {
+  let app;
+  let upstream;
+  let upstreamRequests;
+  let upstreamHandler;
+
+  beforeAll(async () => {
+    upstream = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        upstreamRequests.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        upstreamHandler(req, res);
+      });
+    });
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+
+    process.env.TARGET_BASE_URL = `http://127.0.0.1:${upstream.address().port}`;
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.PROXY_STREAMING = 'true';
+    getSecret.mockResolvedValue('test-secret-key');
+
+    app = require('../src/server');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.PROXY_STREAMING;
+  });
+
+  beforeEach(() => {
+    upstreamRequests = [];
+    getSecret.mockResolvedValue('test-secret-key');
+  });
+
+  it('streams a large response body with its status and headers', async () => {
+    const payload = Buffer.alloc(5 * 1024 * 1024, 'a');
+    upstreamHandler = (req, res) => {
+      res.writeHead(206, { 'content-type': 'image/jpeg', 'x-photo-id': '42' });
+      res.end(payload);
+    };
+
+    const response = await request(app)
+      .get('/api/vehicles/1/photo')
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(206);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.headers['x-photo-id']).toBe('42');
+    expect(response.body.equals(payload)).toBe(true);
+  });
+
+  it('passes compressed responses through with their content encoding', async () => {
+    const compressed = zlib.gzipSync(JSON.stringify({ report: 'ok' }));
+    upstreamHandler = (req, res) => {
+      res.writeHead(200, { 'content-type': 'application/json', 'content-encoding': 'gzip' });
+      res.end(compressed);
+    };
+
+    const response = await request(app).get('/api/reports/export');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-encoding']).toBe('gzip');
+    expect(response.body).toEqual({ report: 'ok' });
+  });
+
+  it('pipes the request body unchanged and signs the request', async () => {
+    upstreamHandler = (req, res) => res.writeHead(201).end();
+    const body = '{"name":  "spaced"}';
+
+    const response = await request(app)
+      .post('/api/vehicles?page=1')
+      .set('Content-Type', 'application/json')
+      .send(body);
+
+    expect(response.status).toBe(201);
+    expect(upstreamRequests).toHaveLength(1);
+    const forwarded = upstreamRequests[0];
+    expect(forwarded.url).toBe('/api/vehicles?page=1');
+    expect(forwarded.body.toString()).toBe(body);
+    expect(forwarded.headers['content-length']).toBe(String(Buffer.byteLength(body)));
+    expect(forwarded.headers['x-hmac-signature']).toMatch(/^[a-f0-9]{64}$/);
+    expect(forwarded.headers['x-hmac-version']).toBe('v1');
+  });
+
+  it('keeps the error mapping for signature failures', async () => {
+    getSecret.mockRejectedValue(new Error('Failed to fetch secret'));
+
+    const response = await request(app).get('/api/vehicles');
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Failed to create signature');
+    expect(upstreamRequests).toHaveLength(0);
+  });
+});
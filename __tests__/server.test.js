@@ -1,5 +1,8 @@
+const http = require('http');
 const request = require('supertest');
+const zlib = require('zlib');
 const { getSecret, clearCache } = require('../src/secrets');
+const { buildCanonicalString, computeSignature, createSignatureHeaders, hashBody } = require('../src/signing');
 
 // Mock axios
 const mockAxios = jest.fn();
@@ -9,6 +12,21 @@ jest.mock('axios', () => mockAxios);
 jest.mock('../src/secrets');
 const mockedGetSecret = getSecret;
 
+// supertest resolves dot segments before sending, so traversal paths are sent with http.get
+function getRawPath(app, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      http.get({ host: '127.0.0.1', port, path, headers, agent: false }, res => {
+        let body = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => server.close(() => resolve({ status: res.statusCode, body: JSON.parse(body) })));
+      }).on('error', error => server.close(() => reject(error)));
+    });
+  });
+}
+
 describe('Express HMAC Proxy Server', () => {
   let app;
   let server;
@@ -71,7 +89,7 @@ describe('Express HMAC Proxy Server', () => {
       
       expect(axiosCall.method).toBe('POST');
       expect(axiosCall.url).toBe('http://target.example.com/api/users');
-      expect(axiosCall.data).toEqual(requestBody);
+      expect(JSON.parse(axiosCall.data.toString())).toEqual(requestBody);
       expect(axiosCall.headers['content-type']).toBe('application/json');
       expect(axiosCall.headers['x-hmac-signature']).toBeDefined();
       expect(axiosCall.headers['x-hmac-timestamp']).toBeDefined();
@@ -102,7 +120,7 @@ describe('Express HMAC Proxy Server', () => {
       
       expect(axiosCall.method).toBe('POST');
       expect(axiosCall.url).toBe('http://target.example.com/api/text');
-      expect(axiosCall.data).toBe(requestBody);
+      expect(axiosCall.data.toString()).toBe(requestBody);
       expect(axiosCall.headers['content-type']).toBe('text/plain');
     });
 
@@ -124,7 +142,7 @@ describe('Express HMAC Proxy Server', () => {
       const axiosCall = mockAxios.mock.calls[0][0];
       
       expect(axiosCall.url).toBe('http://target.example.com/api/users?page=1&limit=10');
-      expect(axiosCall.data).toEqual(requestBody);
+      expect(JSON.parse(axiosCall.data.toString())).toEqual(requestBody);
     });
 
     it('should forward POST request with empty body', async () => {
@@ -143,8 +161,8 @@ describe('Express HMAC Proxy Server', () => {
       const axiosCall = mockAxios.mock.calls[0][0];
       
       expect(axiosCall.method).toBe('POST');
-      // Express sets req.body to {} when there's no body, so we check for empty object
-      expect(axiosCall.data).toEqual({});
+      // No body bytes were received, so none are forwarded
+      expect(axiosCall.data).toBeUndefined();
     });
 
     it('should forward POST request with binary/raw body', async () => {
@@ -169,6 +187,109 @@ describe('Express HMAC Proxy Server', () => {
       expect(Buffer.isBuffer(axiosCall.data)).toBe(true);
     });
 
+    it('should forward multipart/form-data bodies byte for byte with their boundary', async () => {
+      mockAxios.mockResolvedValue({ status: 201, data: { uploaded: true } });
+
+      const response = await request(app)
+        .post('/api/vehicles/1/documents')
+        .field('title', 'Registration')
+        .attach('file', Buffer.from('%PDF-1.4 binary \x00\x01 content'), 'crlv.pdf');
+
+      expect(response.status).toBe(201);
+      const axiosCall = mockAxios.mock.calls[0][0];
+      const contentType = axiosCall.headers['content-type'];
+      const boundary = contentType.match(/boundary=(.+)$/)[1];
+
+      expect(contentType).toMatch(/^multipart\/form-data; boundary=/);
+      expect(Buffer.isBuffer(axiosCall.data)).toBe(true);
+      const forwarded = axiosCall.data.toString('latin1');
+      expect(forwarded).toContain(`--${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\nRegistration`);
+      expect(forwarded).toContain('filename="crlv.pdf"');
+      expect(forwarded).toContain('%PDF-1.4 binary \x00\x01 content');
+      expect(forwarded.trimEnd().endsWith(`--${boundary}--`)).toBe(true);
+    });
+
+    it('should forward gzip bodies compressed, as sent by the client', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { ok: true } });
+      const gzipped = zlib.gzipSync('vin,price\n9BWZZZ377VT004251,42000\n');
+
+      const response = await request(app)
+        .post('/api/vehicles/import')
+        .set('Content-Type', 'text/csv')
+        .set('Content-Encoding', 'gzip')
+        .send(gzipped);
+
+      expect(response.status).toBe(200);
+      const axiosCall = mockAxios.mock.calls[0][0];
+      expect(axiosCall.headers['content-encoding']).toBe('gzip');
+      expect(Buffer.compare(axiosCall.data, gzipped)).toBe(0);
+    });
+
+    it('should forward application/x-www-form-urlencoded bodies unchanged', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { ok: true } });
+
+      await request(app)
+        .post('/api/leads')
+        .set('Content-Type', 'application/x-www-form-urlencoded')
+        .send('name=Jo%C3%A3o+Silva&phone=%2B55+11&interest=suv');
+
+      const axiosCall = mockAxios.mock.calls[0][0];
+      expect(axiosCall.headers['content-type']).toBe('application/x-www-form-urlencoded');
+      expect(axiosCall.data.toString()).toBe('name=Jo%C3%A3o+Silva&phone=%2B55+11&interest=suv');
+    });
+
+    it('should forward JSON bodies without re-serializing them', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { ok: true } });
+      const rawJson = '{ "price": 1.50, "tags": [ ],\n  "name": "caf\u00e9" }';
+
+      await request(app)
+        .post('/api/vehicles')
+        .set('Content-Type', 'application/json; charset=utf-8')
+        .send(rawJson);
+
+      const axiosCall = mockAxios.mock.calls[0][0];
+      expect(axiosCall.headers['content-type']).toBe('application/json; charset=utf-8');
+      expect(axiosCall.data.toString()).toBe(rawJson);
+    });
+
+    it('should forward bodies of other content types', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: 'ok' });
+      const xml = '<?xml version="1.0"?><vehicle id="1"/>';
+
+      await request(app)
+        .put('/api/vehicles/1')
+        .set('Content-Type', 'application/xml')
+        .send(xml);
+
+      const axiosCall = mockAxios.mock.calls[0][0];
+      expect(axiosCall.headers['content-type']).toBe('application/xml');
+      expect(axiosCall.data.toString()).toBe(xml);
+    });
+
+    it('should forward bodies larger than the default parser limit', async () => {
+      mockAxios.mockResolvedValue({ status: 201, data: { ok: true } });
+      const largeBody = Buffer.alloc(2 * 1024 * 1024, 7);
+
+      const response = await request(app)
+        .post('/api/vehicles/1/photos')
+        .set('Content-Type', 'image/jpeg')
+        .send(largeBody);
+
+      expect(response.status).toBe(201);
+      expect(mockAxios.mock.calls[0][0].data.equals(largeBody)).toBe(true);
+    });
+
+    it('should reject bodies above the configured limit with 413', async () => {
+      const response = await request(app)
+        .post('/api/vehicles/1/photos')
+        .set('Content-Type', 'image/jpeg')
+        .send(Buffer.alloc(11 * 1024 * 1024, 7));
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toBe('Payload Too Large');
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
     it('should preserve custom headers in POST requests', async () => {
       const mockResponse = {
         status: 200,
@@ -236,6 +357,80 @@ describe('Express HMAC Proxy Server', () => {
       expect(axiosCall.headers['x-hmac-signature']).toBeDefined();
       expect(axiosCall.headers['x-hmac-timestamp']).toBeDefined();
     });
+
+    it('should sign the v1 canonical string by default', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+
+      await request(app)
+        .post('/api/users?page=1')
+        .set('Content-Type', 'application/json')
+        .send({ name: 'test' });
+
+      const axiosCall = mockAxios.mock.calls[0][0];
+      const timestamp = axiosCall.headers['x-hmac-timestamp'];
+
+      // Targets that predate v2 verify exactly this string, so it must never change
+      expect(axiosCall.headers['x-hmac-version']).toBe('v1');
+      expect(axiosCall.headers['x-hmac-content-sha256']).toBeUndefined();
+      expect(axiosCall.headers['x-hmac-nonce']).toBeUndefined();
+      expect(axiosCall.headers['x-hmac-signed-headers']).toBeUndefined();
+      expect(axiosCall.headers['x-hmac-signature'])
+        .toBe(computeSignature('test-secret-key', `POST\n/api/users?page=1\n${timestamp}\n`));
+    });
+
+    it('should replace signature headers supplied by the caller', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+
+      await request(app)
+        .get('/api/users')
+        .set('X-Hmac-Signature', 'forged')
+        .set('X-Hmac-Nonsense', 'forged');
+
+      const axiosCall = mockAxios.mock.calls[0][0];
+      expect(axiosCall.headers['x-hmac-signature']).not.toBe('forged');
+      expect(axiosCall.headers['x-hmac-nonsense']).toBeUndefined();
+    });
+
+    it('should sign with the active key of a keyring and send its key id', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+      mockedGetSecret.mockResolvedValue(JSON.stringify({
+        keys: [
+          { id: 'k2', secret: 'new-secret', status: 'active' },
+          { id: 'k1', secret: 'test-secret-key', status: 'verify-only' }
+        ]
+      }));
+
+      await request(app).get('/api/users');
+
+      const axiosCall = mockAxios.mock.calls[0][0];
+      expect(axiosCall.headers['x-hmac-key-id']).toBe('k2');
+
+      const canonicalString = buildCanonicalString(
+        'GET',
+        '/api/users',
+        axiosCall.headers['x-hmac-timestamp']
+      );
+      expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature('new-secret', canonicalString));
+    });
+
+    it('should not send a key id for a plain secret', async () => {
+      mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+
+      await request(app).get('/api/users');
+
+      expect(mockAxios.mock.calls[0][0].headers['x-hmac-key-id']).toBeUndefined();
+    });
+
+    it('should return 500 when the keyring is invalid', async () => {
+      mockedGetSecret.mockResolvedValue(JSON.stringify({ keys: [] }));
+
+      const response = await request(app).get('/api/users');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to create signature');
+      expect(response.body.message).toBe('Invalid keyring: expected exactly one active key, found 0');
+    });
+
   });
 
   describe('Other HTTP methods', () => {
@@ -278,7 +473,7 @@ describe('Express HMAC Proxy Server', () => {
       const axiosCall = mockAxios.mock.calls[0][0];
       
       expect(axiosCall.method).toBe('PUT');
-      expect(axiosCall.data).toEqual(requestBody);
+      expect(JSON.parse(axiosCall.data.toString())).toEqual(requestBody);
     });
 
     it('should forward PATCH requests with body correctly', async () => {
@@ -300,7 +495,7 @@ describe('Express HMAC Proxy Server', () => {
       const axiosCall = mockAxios.mock.calls[0][0];
       
       expect(axiosCall.method).toBe('PATCH');
-      expect(axiosCall.data).toEqual(requestBody);
+      expect(JSON.parse(axiosCall.data.toString())).toEqual(requestBody);
     });
 
     it('should forward DELETE requests correctly', async () => {
@@ -503,5 +698,571 @@ describe('Express HMAC Proxy Server', () => {
       expect(axiosCall.validateStatus(500)).toBe(true);
     });
   });
+
+  describe('Request IDs', () => {
+    beforeEach(() => {
+      mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { success: true } });
+    });
+
+    it('forwards the incoming request ID and returns it', async () => {
+      const response = await request(app).get('/api/test').set('X-Request-Id', 'req-123.abc');
+
+      expect(response.headers['x-request-id']).toBe('req-123.abc');
+      expect(mockAxios.mock.calls[0][0].headers['x-request-id']).toBe('req-123.abc');
+    });
+
+    it('generates an ID when none or a malformed one is sent', async () => {
+      const generated = await request(app).get('/api/test');
+      const replaced = await request(app).get('/api/test').set('X-Request-Id', 'bad id <script>');
+
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(mockAxios.mock.calls[1][0].headers['x-request-id']).toBe(replaced.headers['x-request-id']);
+    });
+
+    it('adds the request ID to log entries', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      try {
+        await request(app).get('/api/test').set('X-Request-Id', 'req-456');
+
+        const entries = logSpy.mock.calls.map(([line]) => JSON.parse(line));
+        expect(entries).toContainEqual(expect.objectContaining({
+          level: 'info',
+          component: 'proxy',
+          requestId: 'req-456',
+          message: 'Proxied request',
+          status: 200
+        }));
+      } finally {
+        logSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('Health checks', () => {
+    it('answers liveness checks without contacting the target', async () => {
+      const response = await request(app).get('/healthz');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ status: 'ok' });
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it('is ready when the HMAC secret can be loaded', async () => {
+      const response = await request(app).get('/readyz');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        status: 'ready',
+        checks: [{ check: 'secret', name: 'test-secret', status: 'ok', durationMs: expect.any(Number) }]
+      });
+      expect(mockAxios).not.toHaveBeenCalled();
+    });
+
+    it('is not ready when the HMAC secret cannot be loaded', async () => {
+      mockedGetSecret.mockRejectedValue(new Error('Failed to fetch secret from AWS Secrets Manager: AccessDenied'));
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      try {
+        const response = await request(app).get('/readyz');
+
+        expect(response.status).toBe(503);
+        expect(response.body.status).toBe('not_ready');
+        expect(response.body.checks[0]).toMatchObject({
+          check: 'secret',
+          status: 'error',
+          error: 'Failed to fetch secret from AWS Secrets Manager: AccessDenied'
+        });
+      } finally {
+        warnSpy.mockRestore();
+      }
+    });
+  });
+});
+
+describe('Express HMAC Proxy Server (v2 signatures, signed headers and nonces)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.HMAC_SIGNATURE_VERSION = 'v2';
+    process.env.HMAC_SIGNED_HEADERS = 'Content-Type, X-Tenant-Id';
+    process.env.HMAC_NONCE_ENABLED = 'true';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.AWS_REGION;
+    delete process.env.HMAC_SIGNATURE_VERSION;
+    delete process.env.HMAC_SIGNED_HEADERS;
+    delete process.env.HMAC_NONCE_ENABLED;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearCache();
+    mockedGetSecret.mockResolvedValue('test-secret-key');
+    mockAxios.mockReset();
+  });
+
+  it('should sign a digest of the forwarded body bytes with the v2 format', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+
+    const rawBody = '{"name":  "spaced",\n"age": 30}';
+    await request(app)
+      .post('/api/users?page=1')
+      .set('Content-Type', 'application/json')
+      .send(rawBody);
+
+    expect(mockAxios).toHaveBeenCalledTimes(1);
+    const axiosCall = mockAxios.mock.calls[0][0];
+    const contentHash = hashBody(Buffer.from(rawBody));
+
+    // The bytes are forwarded untouched, not re-serialized from the parsed object
+    expect(axiosCall.data.toString()).toBe(rawBody);
+    expect(axiosCall.headers['x-hmac-version']).toBe('v2');
+    expect(axiosCall.headers['x-hmac-content-sha256']).toBe(contentHash);
+
+    const canonicalString = buildCanonicalString(
+      'POST',
+      '/api/users?page=1',
+      axiosCall.headers['x-hmac-timestamp'],
+      {
+        contentHash,
+        nonce: axiosCall.headers['x-hmac-nonce'],
+        canonicalHeaders: 'content-type:application/json\nx-tenant-id:',
+        signedHeaders: 'content-type;x-tenant-id'
+      }
+    );
+    expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature('test-secret-key', canonicalString));
+  });
+
+  it('should sign the configured headers and name them in x-hmac-signed-headers', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+
+    await request(app)
+      .get('/api/users')
+      .set('X-Tenant-Id', ' tenant-7 ');
+
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.headers['x-hmac-signed-headers']).toBe('content-type;x-tenant-id');
+
+    const canonicalString = buildCanonicalString(
+      'GET',
+      '/api/users',
+      axiosCall.headers['x-hmac-timestamp'],
+      {
+        contentHash: hashBody(''),
+        nonce: axiosCall.headers['x-hmac-nonce'],
+        canonicalHeaders: 'content-type:\nx-tenant-id:tenant-7',
+        signedHeaders: 'content-type;x-tenant-id'
+      }
+    );
+    expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature('test-secret-key', canonicalString));
+  });
+
+  it('should send a new nonce with every request', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { success: true } });
+
+    await request(app).get('/api/users');
+    await request(app).get('/api/users');
+
+    const [first, second] = mockAxios.mock.calls.map(call => call[0].headers['x-hmac-nonce']);
+    expect(first).toMatch(/^[a-f0-9]{32}$/);
+    expect(second).toMatch(/^[a-f0-9]{32}$/);
+    expect(first).not.toBe(second);
+  });
+
+  it('should hash the forwarded multipart bytes', async () => {
+    mockAxios.mockResolvedValue({ status: 201, data: { uploaded: true } });
+
+    await request(app)
+      .post('/api/vehicles/1/documents')
+      .field('title', 'Registration')
+      .attach('file', Buffer.from('%PDF-1.4 binary \x00\x01 content'), 'crlv.pdf');
+
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.headers['x-hmac-content-sha256']).toBe(hashBody(axiosCall.data));
+  });
+
+  it('should hash gzip bodies as compressed, as they are forwarded', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { ok: true } });
+    const gzipped = zlib.gzipSync('vin,price\n9BWZZZ377VT004251,42000\n');
+
+    await request(app)
+      .post('/api/vehicles/import')
+      .set('Content-Type', 'text/csv')
+      .set('Content-Encoding', 'gzip')
+      .send(gzipped);
+
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.headers['x-hmac-content-sha256']).toBe(hashBody(gzipped));
+  });
+
+  it('should hash an empty payload when no body is sent', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { users: [] } });
+
+    await request(app).get('/api/users');
+
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.headers['x-hmac-content-sha256']).toBe(hashBody(''));
+  });
+});
+
+describe('Express HMAC Proxy Server (inbound signature verification)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.HMAC_VERIFY_PATHS = '/internal';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.AWS_REGION;
+    delete process.env.HMAC_VERIFY_PATHS;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearCache();
+    mockedGetSecret.mockResolvedValue('test-secret-key');
+    mockAxios.mockReset();
+  });
+
+  it('should reject unsigned requests on verified paths', async () => {
+    const response = await request(app).get('/internal/reports');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Unauthorized');
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('should proxy signed requests on verified paths with a fresh signature', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { ok: true } });
+    const inboundHeaders = createSignatureHeaders('test-secret-key', {
+      method: 'GET',
+      originalUrl: '/internal/reports',
+      headers: {}
+    });
+
+    const response = await request(app).get('/internal/reports').set(inboundHeaders);
+
+    expect(response.status).toBe(200);
+    expect(mockAxios).toHaveBeenCalledTimes(1);
+    const axiosCall = mockAxios.mock.calls[0][0];
+    expect(axiosCall.headers['x-hmac-signature']).toBe(computeSignature(
+      'test-secret-key',
+      buildCanonicalString('GET', '/internal/reports', axiosCall.headers['x-hmac-timestamp'])
+    ));
+  });
+
+  it('should reject dot segments that would reach a verified path unsigned', async () => {
+    const plain = await getRawPath(app, '/api/../internal/reports');
+    const encoded = await getRawPath(app, '/api/%2e%2e/internal/reports');
+
+    expect(plain.status).toBe(400);
+    expect(encoded.status).toBe(400);
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('should reject percent-encoded letters that would reach a verified path unsigned', async () => {
+    const response = await request(app).get('/%69nternal/reports');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Path must not percent-encode letters, digits or -._~');
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('should not require signatures on other paths', async () => {
+    mockAxios.mockResolvedValue({ status: 200, data: { ok: true } });
+
+    const response = await request(app).get('/api/cars');
+
+    expect(response.status).toBe(200);
+  });
+});
+
+describe('Express HMAC Proxy Server (metrics)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.METRICS_ENABLED = 'true';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.AWS_REGION;
+    delete process.env.METRICS_ENABLED;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    clearCache();
+    mockedGetSecret.mockResolvedValue('test-secret-key');
+    mockAxios.mockReset();
+  });
+
+  // Value of a series in the exposition text, or 0 when it has not been recorded yet
+  const metricValue = async (series) => {
+    const response = await request(app).get('/metrics');
+    const line = response.text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+  };
+
+  it('serves the metrics in the Prometheus text format without proxying the request', async () => {
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+
+  it('counts proxied requests and their latency by route, method and status', async () => {
+    const series = 'http_requests_total{route="default",method="GET",status="201"}';
+    const before = await metricValue(series);
+    mockAxios.mockResolvedValue({ status: 201, headers: {}, data: {} });
+
+    await request(app).get('/api/test');
+    await request(app).get('/api/test');
+
+    expect(await metricValue(series)).toBe(before + 2);
+    expect(await metricValue('http_request_duration_seconds_bucket{route="default",method="GET",status="201",le="+Inf"}'))
+      .toBe(before + 2);
+    expect(await metricValue('upstream_request_duration_seconds_count{route="default",method="GET",status="201"}'))
+      .toBe(before + 2);
+  });
+
+  it('counts upstream errors by kind', async () => {
+    const refused = 'upstream_errors_total{route="default",kind="connection_refused"}';
+    const serverErrors = 'upstream_errors_total{route="default",kind="upstream_5xx"}';
+    const refusedBefore = await metricValue(refused);
+    const serverErrorsBefore = await metricValue(serverErrors);
+
+    const error = new Error('connect ECONNREFUSED');
+    error.code = 'ECONNREFUSED';
+    mockAxios.mockRejectedValueOnce(error);
+    await request(app).get('/api/test');
+    mockAxios.mockResolvedValueOnce({ status: 503, headers: {}, data: {} });
+    await request(app).get('/api/test');
+    mockAxios.mockResolvedValueOnce({ status: 404, headers: {}, data: {} });
+    await request(app).get('/api/test');
+
+    expect(await metricValue(refused)).toBe(refusedBefore + 1);
+    expect(await metricValue(serverErrors)).toBe(serverErrorsBefore + 1);
+  });
+});
+
+describe('Express HMAC Proxy Server (metrics on a separate port)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.METRICS_ENABLED = 'true';
+    process.env.METRICS_PORT = '9464';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.AWS_REGION;
+    delete process.env.METRICS_ENABLED;
+    delete process.env.METRICS_PORT;
+  });
+
+  beforeEach(() => {
+    mockedGetSecret.mockResolvedValue('test-secret-key');
+    mockAxios.mockReset();
+  });
+
+  it('answers the metrics path with 404 on the main port instead of proxying it', async () => {
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: 'upstream metrics' });
+
+    const get = await request(app).get('/metrics');
+    const post = await request(app).post('/metrics').send('x');
+
+    expect(get.status).toBe(404);
+    expect(get.body).toEqual({ error: 'Not Found', message: 'Metrics are not served on this port' });
+    expect(post.status).toBe(404);
+    expect(mockAxios).not.toHaveBeenCalled();
+  });
+});
+
+describe('Express HMAC Proxy Server (debug logging)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.AWS_REGION = 'us-east-1';
+    process.env.LOG_LEVEL = 'debug';
+    process.env.LOG_BODY_FIELDS = 'vehicleId, total';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.AWS_REGION;
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_BODY_FIELDS;
+  });
+
+  let logSpy;
+
+  beforeEach(() => {
+    mockedGetSecret.mockResolvedValue('test-secret-key');
+    mockAxios.mockReset();
+    mockAxios.mockResolvedValue({ status: 200, headers: {}, data: { ok: true } });
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  const forwardingEntry = () => logSpy.mock.calls
+    .map(args => JSON.parse(args[0]))
+    .find(entry => entry.message === 'Forwarding request');
+
+  it('logs only the allowlisted fields of JSON bodies', async () => {
+    const body = '{"vehicleId":"v-9","total":42000,"cardNumber":"4111111111111111","buyer":{"name":"Ana"}}';
+    await request(app).post('/api/orders').set('Content-Type', 'application/json').send(body);
+
+    expect(forwardingEntry().body).toEqual({
+      size: Buffer.byteLength(body),
+      contentType: 'application/json',
+      fields: { vehicleId: 'v-9', total: 42000 }
+    });
+    expect(logSpy.mock.calls.join('\n')).not.toMatch(/4111111111111111|Ana/);
+  });
+
+  it('logs other bodies by size and content type only', async () => {
+    const body = 'vehicleId=v-9 card 4111111111111111';
+    await request(app).post('/api/orders').set('Content-Type', 'text/plain').send(body);
+
+    expect(forwardingEntry().body).toEqual({ size: Buffer.byteLength(body), contentType: 'text/plain' });
+    expect(logSpy.mock.calls.join('\n')).not.toContain('4111111111111111');
+  });
 });
 
+describe('Express HMAC Proxy Server (retries and circuit breaker)', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.TARGET_BASE_URL = 'http://target.example.com';
+    process.env.HMAC_SECRET_NAME = 'test-secret';
+    process.env.HMAC_NONCE_ENABLED = 'true';
+    process.env.UPSTREAM_RETRIES = '2';
+    process.env.UPSTREAM_RETRY_BASE_DELAY_MS = '1';
+    process.env.UPSTREAM_RETRY_MAX_DELAY_MS = '1';
+    process.env.CIRCUIT_BREAKER_ENABLED = 'true';
+    process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '3';
+    process.env.CIRCUIT_BREAKER_RESET_SECONDS = '30';
+    jest.isolateModules(() => {
+      app = require('../src/server');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.TARGET_BASE_URL;
+    delete process.env.HMAC_SECRET_NAME;
+    delete process.env.HMAC_NONCE_ENABLED;
+    delete process.env.UPSTREAM_RETRIES;
+    delete process.env.UPSTREAM_RETRY_BASE_DELAY_MS;
+    delete process.env.UPSTREAM_RETRY_MAX_DELAY_MS;
+    delete process.env.CIRCUIT_BREAKER_ENABLED;
+    delete process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD;
+    delete process.env.CIRCUIT_BREAKER_RESET_SECONDS;
+  });
+
+  let warnSpy;
+
+  beforeEach(() => {
+    mockAxios.mockReset();
+    mockedGetSecret.mockResolvedValue('test-secret-key');
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  const refused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+  it('retries idempotent requests, signing each attempt again', async () => {
+    mockAxios
+      .mockRejectedValueOnce(refused())
+      .mockResolvedValueOnce({ status: 503, headers: {}, data: {} })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: { ok: true } });
+
+    const response = await request(app).get('/api/cars');
+
+    expect(response.status).toBe(200);
+    expect(mockAxios).toHaveBeenCalledTimes(3);
+    const nonces = mockAxios.mock.calls.map(([config]) => config.headers['x-hmac-nonce']);
+    expect(new Set(nonces).size).toBe(3);
+  });
+
+  it('only retries other methods when they carry an idempotency key', async () => {
+    mockAxios.mockRejectedValueOnce(refused());
+    const plain = await request(app).post('/api/orders').send({ carId: 1 });
+
+    expect(plain.status).toBe(502);
+    expect(mockAxios).toHaveBeenCalledTimes(1);
+
+    mockAxios
+      .mockRejectedValueOnce(refused())
+      .mockResolvedValueOnce({ status: 201, headers: {}, data: { id: 9 } });
+    const keyed = await request(app).post('/api/orders').set('Idempotency-Key', 'order-1').send({ carId: 1 });
+
+    expect(keyed.status).toBe(201);
+    expect(mockAxios).toHaveBeenCalledTimes(3);
+    expect(mockAxios.mock.calls[2][0].data).toEqual(mockAxios.mock.calls[1][0].data);
+  });
+
+  it('fails fast with 503 once the upstream circuit is open, including the /auth client lookup', async () => {
+    mockAxios.mockRejectedValue(refused());
+
+    const failing = await request(app).get('/api/cars');
+    expect(failing.status).toBe(502);
+    expect(mockAxios).toHaveBeenCalledTimes(3);
+
+    const refusedFast = await request(app).get('/api/cars');
+    expect(refusedFast.status).toBe(503);
+    expect(refusedFast.headers['retry-after']).toBe('30');
+    expect(refusedFast.body).toEqual({ error: 'Service Unavailable', message: 'Upstream default is unavailable' });
+
+    const login = await request(app).post('/auth/12345678909');
+    expect(login.status).toBe(503);
+    expect(login.body.error).toBe('Client lookup failed');
+    expect(mockAxios).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,355 @@
+const {
+  buildCanonicalString,
+  canonicalizeHeaders,
+  computeSignature,
+  createSignatureHeaders,
+  extractPathAndQuery,
+  hashBody,
+  normalizePathAndQuery,
+  signRequest,
+  verifyRequest
+} = require('../src/signing');
+const pathVectors = require('./fixtures/path-normalization-vectors.json');
+
+const SECRET = 'test-secret-key';
+const TIMESTAMP = '2024-01-15T10:30:00.000Z';
+const EMPTY_SHA256 = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+describe('signing', () => {
+  describe('buildCanonicalString', () => {
+    it('builds the v1 format without a content hash', () => {
+      expect(buildCanonicalString('GET', '/api/users?page=1', TIMESTAMP))
+        .toBe(`GET\n/api/users?page=1\n${TIMESTAMP}\n`);
+    });
+
+    it('puts the version first and the content hash in its own line for the v2 format', () => {
+      expect(buildCanonicalString('POST', '/api/users', TIMESTAMP, { contentHash: EMPTY_SHA256 }))
+        .toBe(`v2\nPOST\n/api/users\n${TIMESTAMP}\n${EMPTY_SHA256}\n\n\n\n`);
+    });
+
+    it('appends the nonce before the signed headers for the v1 format', () => {
+      const canonicalString = buildCanonicalString('GET', '/api/users', TIMESTAMP, {
+        nonce: 'abc123',
+        canonicalHeaders: 'x-tenant-id:42',
+        signedHeaders: 'x-tenant-id'
+      });
+
+      expect(canonicalString).toBe(`GET\n/api/users\n${TIMESTAMP}\nabc123\nx-tenant-id:42\nx-tenant-id\n`);
+    });
+
+    it('appends the canonical headers and signed header list when headers are signed', () => {
+      const canonicalString = buildCanonicalString('POST', '/api/users', TIMESTAMP, {
+        contentHash: EMPTY_SHA256,
+        canonicalHeaders: 'content-type:application/json\nx-tenant-id:42',
+        signedHeaders: 'content-type;x-tenant-id'
+      });
+
+      expect(canonicalString).toBe(
+        `v2\nPOST\n/api/users\n${TIMESTAMP}\n${EMPTY_SHA256}\n\n` +
+        'content-type:application/json\nx-tenant-id:42\ncontent-type;x-tenant-id\n'
+      );
+    });
+
+    it('never gives a v2 string without nonce and a v1 string with the hash as nonce the same form', () => {
+      const v2 = buildCanonicalString('POST', '/api/users', TIMESTAMP, { version: 'v2', contentHash: EMPTY_SHA256 });
+      const v1 = buildCanonicalString('POST', '/api/users', TIMESTAMP, { version: 'v1', nonce: EMPTY_SHA256 });
+
+      expect(v1).not.toBe(v2);
+    });
+  });
+
+  describe('canonicalizeHeaders', () => {
+    it('lowercases, trims and sorts header names and normalizes values', () => {
+      const result = canonicalizeHeaders(
+        { 'X-Tenant-Id': '  42 ', 'Content-Type': 'application/json;   charset=utf-8' },
+        [' X-Tenant-ID', 'content-type', 'x-tenant-id']
+      );
+
+      expect(result.signedHeaders).toBe('content-type;x-tenant-id');
+      expect(result.canonicalHeaders).toBe('content-type:application/json; charset=utf-8\nx-tenant-id:42');
+    });
+
+    it('accepts a comma-separated list and signs missing headers as empty', () => {
+      const result = canonicalizeHeaders({ accept: ['a', ' b '] }, 'authorization, accept');
+
+      expect(result.signedHeaders).toBe('accept;authorization');
+      expect(result.canonicalHeaders).toBe('accept:a,b\nauthorization:');
+    });
+
+    it('returns empty values when no headers are signed', () => {
+      expect(canonicalizeHeaders({ accept: 'a' })).toEqual({ canonicalHeaders: '', signedHeaders: '' });
+    });
+  });
+
+  describe('hashBody', () => {
+    it('hashes a missing body as an empty payload', () => {
+      expect(hashBody()).toBe(EMPTY_SHA256);
+      expect(hashBody(Buffer.alloc(0))).toBe(EMPTY_SHA256);
+    });
+
+    it('hashes strings and buffers with the same bytes identically', () => {
+      expect(hashBody('{"a":1}')).toBe(hashBody(Buffer.from('{"a":1}')));
+    });
+  });
+
+  describe('normalizePathAndQuery', () => {
+    it.each(pathVectors.vectors.map(v => [v.name, v.input, v.expected]))(
+      '%s',
+      (name, input, expected) => {
+        expect(normalizePathAndQuery(input)).toBe(expected);
+      }
+    );
+
+    it('is idempotent', () => {
+      pathVectors.vectors.forEach(({ input, expected }) => {
+        expect(normalizePathAndQuery(expected)).toBe(expected);
+        expect(normalizePathAndQuery(normalizePathAndQuery(input))).toBe(normalizePathAndQuery(input));
+      });
+    });
+  });
+
+  describe('extractPathAndQuery', () => {
+    const req = { originalUrl: '/api//users?page=1&limit=10' };
+
+    it('returns the URL as received by default', () => {
+      expect(extractPathAndQuery(req)).toBe('/api//users?page=1&limit=10');
+    });
+
+    it('normalizes the URL when requested', () => {
+      expect(extractPathAndQuery(req, { normalize: true })).toBe('/api/users?limit=10&page=1');
+    });
+  });
+
+  describe('signRequest', () => {
+    const req = {
+      method: 'post',
+      originalUrl: '/api/users',
+      rawBody: Buffer.from('{"name":"John"}')
+    };
+
+    it('defaults to the v1 format and ignores the body', () => {
+      const expected = computeSignature(SECRET, buildCanonicalString('POST', '/api/users', TIMESTAMP));
+
+      expect(signRequest(SECRET, req, TIMESTAMP)).toBe(expected);
+      expect(signRequest(SECRET, { ...req, rawBody: Buffer.from('tampered') }, TIMESTAMP)).toBe(expected);
+    });
+
+    it('covers the raw body with the v2 format', () => {
+      const signature = signRequest(SECRET, req, TIMESTAMP, { version: 'v2' });
+      const expected = computeSignature(
+        SECRET,
+        buildCanonicalString('POST', '/api/users', TIMESTAMP, { contentHash: hashBody(req.rawBody) })
+      );
+
+      expect(signature).toBe(expected);
+      expect(signRequest(SECRET, { ...req, rawBody: Buffer.from('tampered') }, TIMESTAMP, { version: 'v2' }))
+        .not.toBe(signature);
+    });
+
+    it('uses a precomputed content hash when provided', () => {
+      const signature = signRequest(SECRET, req, TIMESTAMP, { version: 'v2', contentHash: EMPTY_SHA256 });
+      const expected = computeSignature(
+        SECRET,
+        buildCanonicalString('POST', '/api/users', TIMESTAMP, { contentHash: EMPTY_SHA256 })
+      );
+
+      expect(signature).toBe(expected);
+    });
+
+    it('covers the signed headers', () => {
+      const withHeaders = { ...req, headers: { 'x-tenant-id': '42' } };
+      const signature = signRequest(SECRET, withHeaders, TIMESTAMP, { signedHeaders: ['x-tenant-id'] });
+
+      expect(signature).toBe(computeSignature(
+        SECRET,
+        buildCanonicalString('POST', '/api/users', TIMESTAMP, {
+          canonicalHeaders: 'x-tenant-id:42',
+          signedHeaders: 'x-tenant-id'
+        })
+      ));
+      expect(signRequest(SECRET, { ...req, headers: { 'x-tenant-id': '43' } }, TIMESTAMP, { signedHeaders: ['x-tenant-id'] }))
+        .not.toBe(signature);
+    });
+
+    it('signs differently encoded equivalent URLs identically when normalizing', () => {
+      const a = { method: 'GET', originalUrl: '/api/search?q=fiat+uno&page=1' };
+      const b = { method: 'GET', originalUrl: '/api/search?page=1&q=fiat%20uno' };
+
+      expect(signRequest(SECRET, a, TIMESTAMP)).not.toBe(signRequest(SECRET, b, TIMESTAMP));
+      expect(signRequest(SECRET, a, TIMESTAMP, { normalizePath: true }))
+        .toBe(signRequest(SECRET, b, TIMESTAMP, { normalizePath: true }));
+    });
+
+    it('rejects unknown versions', () => {
+      expect(() => signRequest(SECRET, req, TIMESTAMP, { version: 'v9' }))
+        .toThrow('Unsupported signature version: v9');
+    });
+  });
+
+  describe('createSignatureHeaders', () => {
+    const req = {
+      method: 'PUT',
+      originalUrl: '/api/users/1',
+      headers: { 'content-type': 'application/json' },
+      rawBody: Buffer.from('{"name":"John"}')
+    };
+
+    it('returns the v1 headers by default', () => {
+      const headers = createSignatureHeaders(SECRET, req, { timestamp: TIMESTAMP });
+
+      expect(headers).toEqual({
+        'x-hmac-timestamp': TIMESTAMP,
+        'x-hmac-version': 'v1',
+        'x-hmac-signature': signRequest(SECRET, req, TIMESTAMP)
+      });
+    });
+
+    it('adds the content hash and signed header list for v2', () => {
+      const headers = createSignatureHeaders(SECRET, req, {
+        timestamp: TIMESTAMP,
+        version: 'v2',
+        signedHeaders: 'Content-Type'
+      });
+
+      expect(headers['x-hmac-content-sha256']).toBe(hashBody(req.rawBody));
+      expect(headers['x-hmac-signed-headers']).toBe('content-type');
+      expect(headers['x-hmac-signature']).toBe(
+        signRequest(SECRET, req, TIMESTAMP, { version: 'v2', signedHeaders: ['content-type'] })
+      );
+    });
+
+    it('generates a fresh nonce when requested', () => {
+      const first = createSignatureHeaders(SECRET, req, { timestamp: TIMESTAMP, nonce: true });
+      const second = createSignatureHeaders(SECRET, req, { timestamp: TIMESTAMP, nonce: true });
+
+      expect(first['x-hmac-nonce']).toMatch(/^[a-f0-9]{32}$/);
+      expect(first['x-hmac-nonce']).not.toBe(second['x-hmac-nonce']);
+      expect(first['x-hmac-signature']).not.toBe(second['x-hmac-signature']);
+      expect(first['x-hmac-signature']).toBe(
+        signRequest(SECRET, req, TIMESTAMP, { nonce: first['x-hmac-nonce'] })
+      );
+    });
+
+    it('generates a timestamp when none is given', () => {
+      const headers = createSignatureHeaders(SECRET, req);
+      expect(headers['x-hmac-timestamp']).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/);
+    });
+  });
+
+  describe('verifyRequest', () => {
+    const now = Date.parse(TIMESTAMP);
+
+    function signedRequest(signOptions = {}, overrides = {}) {
+      const req = {
+        method: 'POST',
+        originalUrl: '/internal/jobs?run=1',
+        headers: { 'content-type': 'application/json', 'x-tenant-id': '42' },
+        rawBody: Buffer.from('{"job":"sync"}'),
+        ...overrides
+      };
+      const signatureHeaders = createSignatureHeaders(SECRET, req, { timestamp: TIMESTAMP, ...signOptions });
+      return { ...req, headers: { ...req.headers, ...signatureHeaders } };
+    }
+
+    it('accepts a request signed by createSignatureHeaders', () => {
+      expect(verifyRequest(SECRET, signedRequest(), { now }).valid).toBe(true);
+      expect(verifyRequest(SECRET, signedRequest({ version: 'v2', signedHeaders: 'x-tenant-id' }), { now }).valid)
+        .toBe(true);
+    });
+
+    it('returns the nonce and the end of the skew window for valid requests', () => {
+      const result = verifyRequest(SECRET, signedRequest({ nonce: 'abc123' }), { now, maxSkewMs: 60000 });
+      expect(result).toEqual({ valid: true, nonce: 'abc123', expiresAt: now + 60000 });
+    });
+
+    it('detects a tampered nonce', () => {
+      const req = signedRequest({ nonce: true });
+      req.headers['x-hmac-nonce'] = 'replaced';
+      expect(verifyRequest(SECRET, req, { now }).reason).toBe('Signature mismatch');
+    });
+
+    it('rejects requests without a nonce when one is required', () => {
+      expect(verifyRequest(SECRET, signedRequest(), { now, requireNonce: true }).reason)
+        .toBe('Missing x-hmac-nonce header');
+      expect(verifyRequest(SECRET, signedRequest({ nonce: true }), { now, requireNonce: true }).valid).toBe(true);
+    });
+
+    it('rejects a request without signature headers', () => {
+      const result = verifyRequest(SECRET, { method: 'GET', originalUrl: '/', headers: {} }, { now });
+      expect(result).toEqual({ valid: false, reason: 'Missing x-hmac-signature or x-hmac-timestamp header' });
+    });
+
+    it('rejects a wrong secret', () => {
+      expect(verifyRequest('other-secret', signedRequest(), { now }))
+        .toEqual({ valid: false, reason: 'Signature mismatch' });
+    });
+
+    it('rejects a signature of a different length without throwing', () => {
+      const req = signedRequest();
+      req.headers['x-hmac-signature'] = 'abc';
+      expect(verifyRequest(SECRET, req, { now })).toEqual({ valid: false, reason: 'Signature mismatch' });
+    });
+
+    it('enforces the clock skew window in both directions', () => {
+      const req = signedRequest();
+      expect(verifyRequest(SECRET, req, { now: now + 60000, maxSkewMs: 60000 }).valid).toBe(true);
+      expect(verifyRequest(SECRET, req, { now: now + 60001, maxSkewMs: 60000 }).reason)
+        .toBe('Request timestamp is outside the allowed clock skew');
+      expect(verifyRequest(SECRET, req, { now: now - 60001, maxSkewMs: 60000 }).valid).toBe(false);
+    });
+
+    it('rejects an unparseable timestamp', () => {
+      const req = signedRequest({ timestamp: 'yesterday' });
+      expect(verifyRequest(SECRET, req, { now }).reason).toBe('Invalid x-hmac-timestamp header');
+    });
+
+    it('detects a tampered body with v2', () => {
+      const req = { ...signedRequest({ version: 'v2' }), rawBody: Buffer.from('{"job":"drop"}') };
+      expect(verifyRequest(SECRET, req, { now }).reason).toBe('Body does not match x-hmac-content-sha256');
+
+      delete req.headers['x-hmac-content-sha256'];
+      expect(verifyRequest(SECRET, req, { now }).reason).toBe('Signature mismatch');
+    });
+
+    it('rejects a v2 signature downgraded to v1 with the content hash sent as the nonce', () => {
+      const signed = signedRequest({ version: 'v2' }, { rawBody: Buffer.from('{"amount":1}') });
+      const forged = {
+        ...signed,
+        rawBody: Buffer.from('{"amount":999999}'),
+        headers: {
+          ...signed.headers,
+          'x-hmac-version': 'v1',
+          'x-hmac-nonce': signed.headers['x-hmac-content-sha256']
+        }
+      };
+      delete forged.headers['x-hmac-content-sha256'];
+
+      expect(verifyRequest(SECRET, forged, { now })).toEqual({ valid: false, reason: 'Signature mismatch' });
+      expect(verifyRequest(SECRET, forged, { now, requireNonce: true }).valid).toBe(false);
+    });
+
+    it('detects a tampered signed header', () => {
+      const req = signedRequest({ signedHeaders: 'x-tenant-id' });
+      req.headers['x-tenant-id'] = '43';
+      expect(verifyRequest(SECRET, req, { now }).reason).toBe('Signature mismatch');
+    });
+
+    it('requires the configured headers to be signed', () => {
+      const result = verifyRequest(SECRET, signedRequest(), { now, requiredSignedHeaders: ['X-Tenant-Id'] });
+      expect(result).toEqual({ valid: false, reason: 'Required headers are not signed: x-tenant-id' });
+    });
+
+    it('rejects versions that are not allowed', () => {
+      const result = verifyRequest(SECRET, signedRequest(), { now, allowedVersions: ['v2'] });
+      expect(result).toEqual({ valid: false, reason: 'Unsupported signature version: v1' });
+    });
+
+    it('applies path normalization when requested', () => {
+      const req = signedRequest({ normalizePath: true }, { originalUrl: '/internal//jobs?run=1&a=b' });
+      const received = { ...req, originalUrl: '/internal/jobs?a=b&run=%31' };
+
+      expect(verifyRequest(SECRET, received, { now }).valid).toBe(false);
+      expect(verifyRequest(SECRET, received, { now, normalizePath: true }).valid).toBe(true);
+    });
+  });
+});
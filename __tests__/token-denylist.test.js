@@ -0,0 +1,82 @@
+const { createTokenDenylist } = require('../src/token-denylist');
+const { createMemoryDenylistStore } = require('../src/denylist-store');
+
+describe('createTokenDenylist', () => {
+  let currentTime;
+  let store;
+  let denylist;
+
+  beforeEach(() => {
+    currentTime = 1700000000000;
+    store = createMemoryDenylistStore({ now: () => currentTime });
+    denylist = createTokenDenylist({ store, maxTokenLifetimeSeconds: 3600, now: () => currentTime });
+  });
+
+  const nowSeconds = () => Math.floor(currentTime / 1000);
+
+  it('revokes a single token until it expires', async () => {
+    const payload = { sub: '42', jti: 't-1', iat: nowSeconds(), exp: nowSeconds() + 60 };
+
+    await denylist.revokeToken('t-1', payload.exp);
+
+    expect(await denylist.isRevoked(payload)).toBe(true);
+    expect(await denylist.isRevoked({ ...payload, jti: 't-2' })).toBe(false);
+    currentTime += 60000;
+    expect(await denylist.isRevoked(payload)).toBe(false);
+  });
+
+  it('keeps token revocations without an expiry for the maximum lifetime', async () => {
+    const setSpy = jest.spyOn(store, 'set');
+
+    await denylist.revokeToken('t-1');
+
+    expect(setSpy).toHaveBeenCalledWith('jti:t-1', 1, 3600000);
+  });
+
+  it('skips tokens that have already expired', async () => {
+    const setSpy = jest.spyOn(store, 'set');
+
+    await denylist.revokeToken('t-1', nowSeconds() - 1);
+
+    expect(setSpy).not.toHaveBeenCalled();
+  });
+
+  it('revokes tokens a user was issued up to the revocation', async () => {
+    const before = { sub: '42', iat: nowSeconds() - 10 };
+    await denylist.revokeUser('42');
+
+    currentTime += 1000;
+    const after = { sub: '42', iat: nowSeconds() };
+
+    expect(await denylist.isRevoked(before)).toBe(true);
+    expect(await denylist.isRevoked(after)).toBe(false);
+    expect(await denylist.isRevoked({ sub: '7', iat: before.iat })).toBe(false);
+    expect(await denylist.isRevoked({ userId: 42, iat: before.iat })).toBe(true);
+  });
+
+  it('forgets user revocations after the maximum lifetime', async () => {
+    await denylist.revokeUser('42');
+
+    currentTime += 3600000;
+
+    expect(await denylist.isUserRevoked('42', currentTime - 3600000)).toBe(false);
+  });
+
+  it('accepts tokens issued later within the same second as the revocation', async () => {
+    currentTime += 300;
+    const before = { sub: '42', iat: nowSeconds(), iatMs: currentTime - 100 };
+    await denylist.revokeUser('42');
+
+    currentTime += 200;
+    const after = { sub: '42', iat: nowSeconds(), iatMs: currentTime };
+
+    expect(await denylist.isRevoked(before)).toBe(true);
+    expect(await denylist.isRevoked(after)).toBe(false);
+    // Without iatMs, the whole second of the revocation is rejected
+    expect(await denylist.isRevoked({ sub: '42', iat: nowSeconds() })).toBe(true);
+  });
+
+  it('rejects invalid lifetimes', () => {
+    expect(() => createTokenDenylist({ store, maxTokenLifetimeSeconds: 0 })).toThrow('Invalid token revocation lifetime: 0');
+  });
+});
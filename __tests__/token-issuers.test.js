@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { invokeLambda } = require('../src/lambda-invoke');
+const {
+  createLambdaTokenIssuer,
+  createLocalTokenIssuer,
+  createTokenIssuer
+} = require('../src/token-issuers');
+
+jest.mock('../src/lambda-invoke');
+
+const CLAIMS = { userId: 42, email: 'ana@example.com', role: 'admin' };
+
+describe('token issuers', () => {
+  beforeEach(() => {
+    invokeLambda.mockReset();
+  });
+
+  describe('createLambdaTokenIssuer', () => {
+    const issuer = createLambdaTokenIssuer({
+      functionName: 'carshop-jwt',
+      region: 'sa-east-1',
+      getSecret: async () => 'jwt-secret'
+    });
+
+    it('invokes the Lambda with the claims and the JWT secret', async () => {
+      invokeLambda.mockResolvedValue({ statusCode: 200, body: { token: 'abc', token_type: 'Bearer', expires_in: 3600 } });
+
+      await expect(issuer.issueToken(CLAIMS)).resolves.toEqual({ token: 'abc', token_type: 'Bearer', expires_in: 3600 });
+      expect(invokeLambda).toHaveBeenCalledWith('carshop-jwt', { ...CLAIMS, jwtSecret: 'jwt-secret' }, 'sa-east-1');
+      expect(issuer.description).toBe('Lambda carshop-jwt');
+    });
+
+    it('rejects unsuccessful Lambda responses', async () => {
+      invokeLambda.mockResolvedValue({ statusCode: 200 });
+
+      await expect(issuer.issueToken(CLAIMS)).rejects.toThrow('Lambda function returned an error');
+    });
+  });
+
+  describe('createLocalTokenIssuer', () => {
+    it('signs HS256 tokens with expiry, issuer and audience', async () => {
+      const issuer = createLocalTokenIssuer({
+        getSecret: async () => 'jwt-secret',
+        expiresInSeconds: 600,
+        issuer: 'carshop-proxy',
+        audience: 'carshop-api'
+      });
+
+      const response = await issuer.issueToken(CLAIMS);
+
+      expect(response).toMatchObject({ token_type: 'Bearer', expires_in: 600 });
+      const payload = jwt.verify(response.token, 'jwt-secret', {
+        algorithms: ['HS256'],
+        issuer: 'carshop-proxy',
+        audience: 'carshop-api'
+      });
+      expect(payload).toMatchObject({ sub: '42', email: 'ana@example.com', role: 'admin' });
+      expect(payload.exp - payload.iat).toBe(600);
+      expect(Math.floor(payload.iatMs / 1000)).toBe(payload.iat);
+      expect(payload.jti).toMatch(/^[0-9a-f-]{36}$/);
+      expect(invokeLambda).not.toHaveBeenCalled();
+    });
+
+    it('signs RS256 tokens with a private key', async () => {
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      });
+      const issuer = createLocalTokenIssuer({ getSecret: async () => privateKey, algorithm: 'RS256' });
+
+      const { token } = await issuer.issueToken(CLAIMS);
+
+      expect(jwt.decode(token, { complete: true }).header.alg).toBe('RS256');
+      expect(jwt.verify(token, publicKey, { algorithms: ['RS256'] }).sub).toBe('42');
+    });
+
+    it('omits iss and aud when not configured', async () => {
+      const issuer = createLocalTokenIssuer({ getSecret: async () => 'jwt-secret' });
+
+      const payload = jwt.decode((await issuer.issueToken(CLAIMS)).token);
+
+      expect(payload.iss).toBeUndefined();
+      expect(payload.aud).toBeUndefined();
+      expect(payload.exp - payload.iat).toBe(3600);
+    });
+
+    it('rejects unsupported algorithms and expiries', () => {
+      expect(() => createLocalTokenIssuer({ getSecret: jest.fn(), algorithm: 'none' }))
+        .toThrow('Unsupported JWT algorithm: none (expected one of: HS256, RS256)');
+      expect(() => createLocalTokenIssuer({ getSecret: jest.fn(), expiresInSeconds: 0 }))
+        .toThrow('Invalid JWT expiry: 0');
+    });
+  });
+
+  describe('createTokenIssuer', () => {
+    it('creates the configured issuer', () => {
+      expect(createTokenIssuer({ functionName: 'f' }).description).toBe('Lambda f');
+      expect(createTokenIssuer({ type: 'local', getSecret: jest.fn() }).description).toBe('local HS256');
+    });
+
+    it('rejects unknown types', () => {
+      expect(() => createTokenIssuer({ type: 'kms' }))
+        .toThrow('Unknown token issuer: kms (expected one of: lambda, local)');
+    });
+  });
+});
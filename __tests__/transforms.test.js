@@ -0,0 +1,126 @@
+const {
+  applyRequestHeaderRules,
+  applyResponseHeaderRules,
+  compilePathPattern,
+  fillPathTemplate,
+  parseTransforms,
+  rewritePath
+} = require('../src/transforms');
+
+describe('transforms', () => {
+  describe('compilePathPattern', () => {
+    it('captures named segments and a trailing wildcard', () => {
+      const { regex, names } = compilePathPattern('/cars/:id/photos/*');
+
+      expect(names).toEqual(['id', 'splat']);
+      expect('/cars/7/photos/front/large.jpg'.match(regex).slice(1)).toEqual(['7', 'front/large.jpg']);
+      expect(regex.test('/cars/7/docs/x')).toBe(false);
+    });
+
+    it('matches literal segments exactly', () => {
+      const { regex } = compilePathPattern('/v1.0/cars');
+
+      expect(regex.test('/v1.0/cars')).toBe(true);
+      expect(regex.test('/v1x0/cars')).toBe(false);
+    });
+
+    it.each([
+      ['cars/:id', 'must start with /'],
+      ['/cars/:id/:id', 'bad parameter :id'],
+      ['/cars/:1d', 'bad parameter :1d']
+    ])('rejects %s', (pattern, message) => {
+      expect(() => compilePathPattern(pattern)).toThrow(message);
+    });
+  });
+
+  describe('fillPathTemplate', () => {
+    it('fills placeholders', () => {
+      expect(fillPathTemplate('/api/v1/client/cpf/:cpf', { cpf: '12345678900' })).toBe('/api/v1/client/cpf/12345678900');
+    });
+
+    it('rejects missing values', () => {
+      expect(() => fillPathTemplate('/clients/:id', {})).toThrow('Missing value for :id in /clients/:id');
+    });
+  });
+
+  describe('parseTransforms', () => {
+    it('defaults to no rules', () => {
+      expect(parseTransforms({}, 'r')).toEqual({
+        rewrite: [],
+        requestHeaders: { remove: [], rename: {}, add: {} },
+        responseHeaders: { remove: [], rename: {}, add: {} }
+      });
+    });
+
+    it('lowercases header names and stringifies values', () => {
+      const transforms = parseTransforms({
+        requestHeaders: { remove: ['Cookie'], rename: { 'X-Client': 'X-Tenant-Id' }, add: { 'X-Api-Version': 2 } },
+        responseHeaders: { remove: ['Server'], add: { 'Cache-Control': 'no-store' } }
+      }, 'r');
+
+      expect(transforms.requestHeaders).toEqual({
+        remove: ['cookie'],
+        rename: { 'x-client': 'x-tenant-id' },
+        add: { 'x-api-version': '2' }
+      });
+      expect(transforms.responseHeaders.add).toEqual({ 'cache-control': 'no-store' });
+    });
+
+    it.each([
+      [{ rewrite: { from: '/a' } }, 'Route r has a rewrite without a "to" path'],
+      [{ rewrite: { from: '/a/:id', to: '/b/:key' } }, 'Route r rewrite to /b/:key uses :key, which /a/:id does not capture'],
+      [{ requestHeaders: { add: { 'X-HMAC-Signature': 'x' } } }, 'Route r cannot change header X-HMAC-Signature'],
+      [{ requestHeaders: { remove: ['host'] } }, 'Route r cannot change header host'],
+      [{ responseHeaders: { rename: { a: 'b' } } }, 'Route r cannot rename response headers']
+    ])('rejects invalid rules %#', (route, message) => {
+      expect(() => parseTransforms(route, 'r')).toThrow(message);
+    });
+  });
+
+  describe('rewritePath', () => {
+    const { rewrite } = parseTransforms({
+      rewrite: [
+        { from: '/cars/:id', to: '/api/v1/vehicles/:id' },
+        { from: '/legacy/*', to: '/api/:splat?source=legacy' },
+        { from: '/cars/:id/extra', to: '/never' }
+      ]
+    }, 'r');
+
+    it('applies the first matching rule and keeps the query string', () => {
+      expect(rewritePath(rewrite, '/cars/7')).toBe('/api/v1/vehicles/7');
+      expect(rewritePath(rewrite, '/cars/7?expand=photos')).toBe('/api/v1/vehicles/7?expand=photos');
+    });
+
+    it('merges the query string of the target', () => {
+      expect(rewritePath(rewrite, '/legacy/dealers/3?page=2')).toBe('/api/dealers/3?source=legacy&page=2');
+    });
+
+    it('leaves unmatched paths unchanged', () => {
+      expect(rewritePath(rewrite, '/dealers?page=2')).toBe('/dealers?page=2');
+    });
+  });
+
+  describe('header rules', () => {
+    it('removes, renames and adds request headers', () => {
+      const { requestHeaders } = parseTransforms({
+        requestHeaders: { remove: ['cookie'], rename: { 'x-client': 'x-tenant-id' }, add: { 'x-api-version': '2' } }
+      }, 'r');
+      const headers = { cookie: 'a=b', 'x-client': 'acme', accept: '*/*' };
+
+      expect(applyRequestHeaderRules(headers, requestHeaders)).toBe(headers);
+      expect(headers).toEqual({ 'x-tenant-id': 'acme', accept: '*/*', 'x-api-version': '2' });
+    });
+
+    it('removes and adds response headers', () => {
+      const { responseHeaders } = parseTransforms({
+        responseHeaders: { remove: ['server'], add: { 'cache-control': 'no-store' } }
+      }, 'r');
+      const res = { removeHeader: jest.fn(), setHeader: jest.fn() };
+
+      applyResponseHeaderRules(res, responseHeaders);
+
+      expect(res.removeHeader).toHaveBeenCalledWith('server');
+      expect(res.setHeader).toHaveBeenCalledWith('cache-control', 'no-store');
+    });
+  });
+});
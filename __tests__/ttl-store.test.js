@@ -0,0 +1,94 @@
+const { createMemoryTtlStore } = require('../src/ttl-store');
+
+describe('createMemoryTtlStore', () => {
+  let currentTime;
+  let store;
+
+  beforeEach(() => {
+    currentTime = 1000000;
+    store = createMemoryTtlStore({ now: () => currentTime, sweepIntervalMs: 1000 });
+  });
+
+  it('returns stored values until they expire', async () => {
+    await store.set('jti:a', { tokens: 3 }, 5000);
+
+    expect(await store.get('jti:a')).toEqual({ tokens: 3 });
+    expect(await store.get('jti:b')).toBeNull();
+    currentTime += 5000;
+    expect(await store.get('jti:a')).toBeNull();
+    expect(store.size()).toBe(0);
+  });
+
+  it('replaces previous values', async () => {
+    await store.set('user:42', 100, 5000);
+    await store.set('user:42', 200, 5000);
+
+    expect(await store.get('user:42')).toBe(200);
+  });
+
+  it('adds a value only while the key holds none', async () => {
+    expect(await store.add('n-1', true, 5000)).toBe(true);
+    expect(await store.add('n-1', true, 5000)).toBe(false);
+
+    currentTime += 4999;
+    expect(await store.add('n-1', true, 5000)).toBe(false);
+    currentTime += 1;
+    expect(await store.add('n-1', true, 5000)).toBe(true);
+  });
+
+  it('deletes values', async () => {
+    await store.set('client:a', { status: 200 }, 5000);
+    await store.set('client:b', { status: 200 }, 500);
+    currentTime += 500;
+
+    expect(await store.delete('client:a')).toBe(true);
+    expect(await store.delete('client:a')).toBe(false);
+    expect(await store.delete('client:b')).toBe(false);
+    expect(await store.get('client:a')).toBeNull();
+  });
+
+  it('removes expired entries on the next sweep', async () => {
+    await store.set('a', 1, 500);
+    await store.set('b', 1, 5000);
+    expect(store.size()).toBe(2);
+
+    currentTime += 1000;
+    await store.set('c', 1, 5000);
+
+    expect(store.size()).toBe(2);
+    store.clear();
+    expect(store.size()).toBe(0);
+  });
+
+  describe('with maxEntries', () => {
+    beforeEach(() => {
+      store = createMemoryTtlStore({ now: () => currentTime, maxEntries: 3 });
+    });
+
+    it('evicts expired entries, then the oldest, when full', async () => {
+      await store.set('client:a', { status: 200 }, 5000);
+      await store.set('client:b', { status: 404 }, 500);
+      await store.set('client:c', { status: 200 }, 5000);
+
+      currentTime += 1000;
+      await store.set('client:d', { status: 200 }, 5000);
+      expect(store.size()).toBe(3);
+      expect(await store.get('client:a')).not.toBeNull();
+
+      await store.set('client:e', { status: 200 }, 5000);
+      expect(store.size()).toBe(3);
+      expect(await store.get('client:a')).toBeNull();
+      expect(await store.get('client:e')).not.toBeNull();
+    });
+
+    it('does not evict when replacing a value', async () => {
+      await store.set('client:a', { status: 200 }, 5000);
+      await store.set('client:b', { status: 200 }, 5000);
+      await store.set('client:c', { status: 200 }, 5000);
+      await store.set('client:a', { status: 404 }, 5000);
+
+      expect(await store.get('client:b')).not.toBeNull();
+      expect(await store.get('client:a')).toEqual({ status: 404 });
+    });
+  });
+});
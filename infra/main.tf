@@ -9,15 +9,25 @@ locals {
     var.tags
   )
   secret_arns = concat(
-    # Include ARNs for secrets that exist externally
+    # Include ARNs for secrets that exist externally (dropping any ?version / #field selector)
     var.hmac_secret_name != "" ? [
-      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${var.hmac_secret_name}*"
+      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${split("?", split("#", var.hmac_secret_name)[0])[0]}*"
     ] : [],
     var.jwt_secret_name != "" ? [
-      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${var.jwt_secret_name}*"
+      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${split("?", split("#", var.jwt_secret_name)[0])[0]}*"
     ] : [],
+    [
+      for secret_name in local.proxy_route_secret_names :
+      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${split("?", split("#", secret_name)[0])[0]}*"
+    ],
     var.secrets_manager_resource_arns
   )
+  # Signing secrets of the routes in the inline routing table (a table read from a file
+  # inside the image needs its secrets listed in secrets_manager_resource_arns)
+  proxy_route_secret_names = var.proxy_routes == "" ? [] : distinct(compact([
+    for route in try(jsondecode(var.proxy_routes).routes, jsondecode(var.proxy_routes), []) :
+    try(route.secretName, "")
+  ]))
   # Extract Lambda function name from ARN if not explicitly provided
   # ARN format: arn:aws:lambda:REGION:ACCOUNT_ID:function:FUNCTION_NAME
   lambda_function_name = var.lambda_function_name != "" ? var.lambda_function_name : element(split(":", var.lambda_function_arn), length(split(":", var.lambda_function_arn)) - 1)
@@ -176,7 +186,7 @@ data "aws_iam_policy_document" "task_jwt_secret" {
   statement {
     actions = ["secretsmanager:GetSecretValue"]
     resources = var.jwt_secret_name != "" ? [
-      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${var.jwt_secret_name}*"
+      "arn:aws:secretsmanager:${var.region}:${data.aws_caller_identity.current.account_id}:secret:${split("?", split("#", var.jwt_secret_name)[0])[0]}*"
     ] : ["*"]
   }
 }
@@ -344,9 +354,11 @@ resource "aws_ecs_task_definition" "app" {
         { name = "PORT", value = tostring(var.container_port) },
         { name = "TARGET_BASE_URL", value = var.target_base_url },
         { name = "HMAC_SECRET_NAME", value = var.hmac_secret_name },
+        { name = "PROXY_ROUTES", value = var.proxy_routes },
         { name = "JWT_SECRET_NAME", value = var.jwt_secret_name },
         { name = "LAMBDA_FUNCTION_NAME", value = local.lambda_function_name },
-        { name = "AWS_REGION", value = var.region }
+        { name = "AWS_REGION", value = var.region },
+        { name = "TRUST_PROXY", value = var.trust_proxy }
       ]
       logConfiguration = {
         logDriver = "awslogs"
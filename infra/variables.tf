@@ -76,6 +76,18 @@ variable "hmac_secret_name" {
   default     = ""
 }
 
+variable "proxy_routes" {
+  description = "Routing table for several upstreams as inline JSON (leave empty to proxy everything to target_base_url)"
+  type        = string
+  default     = ""
+}
+
+variable "trust_proxy" {
+  description = "TRUST_PROXY for the container. API Gateway appends the caller to X-Forwarded-For and reaches the tasks through the VPC link, so 1 trusted hop gives the client IP that /auth rate limits are keyed on"
+  type        = string
+  default     = "1"
+}
+
 variable "secrets_manager_resource_arns" {
   description = "List of Secrets Manager ARNs tasks can read (leave empty to allow any - not recommended)"
   type        = list(string)
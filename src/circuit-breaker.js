@@ -0,0 +1,143 @@
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+// Code of the errors thrown instead of calling an upstream whose circuit is open
+const CIRCUIT_OPEN_ERROR_CODE = 'CIRCUIT_OPEN';
+
+/**
+ * Creates a circuit breaker for one upstream
+ * Closed: requests go through, and failureThreshold consecutive failures open the circuit.
+ * Open: requests are refused for resetTimeoutMs. Half-open: then a single trial request goes
+ * through; its success closes the circuit again and its failure reopens it.
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeoutMs=30000] - How long the circuit stays open before a trial
+ * @param {Function} [options.onStateChange] - Called with (state, previousState) on every transition
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {{allowRequest: Function, recordSuccess: Function, recordFailure: Function, getState: Function}} Circuit breaker
+ */
+function createCircuitBreaker(options = {}) {
+  const { failureThreshold = 5, resetTimeoutMs = 30000, onStateChange, now = Date.now } = options;
+  if (!Number.isInteger(failureThreshold) || failureThreshold <= 0) {
+    throw new Error(`Invalid circuit breaker failure threshold: ${failureThreshold}`);
+  }
+  if (!Number.isInteger(resetTimeoutMs) || resetTimeoutMs <= 0) {
+    throw new Error(`Invalid circuit breaker reset timeout: ${resetTimeoutMs}`);
+  }
+
+  let state = CIRCUIT_STATES.CLOSED;
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function transition(next) {
+    if (next !== state) {
+      const previous = state;
+      state = next;
+      if (onStateChange) {
+        onStateChange(next, previous);
+      }
+    }
+  }
+
+  /**
+   * Asks whether a request may be sent; every allowed request must be followed by
+   * recordSuccess or recordFailure
+   * @returns {{allowed: boolean, retryAfterSeconds: number}} Whether to send, and otherwise when to try again
+   */
+  function allowRequest() {
+    if (state === CIRCUIT_STATES.OPEN) {
+      const remainingMs = openedAt + resetTimeoutMs - now();
+      if (remainingMs > 0) {
+        return { allowed: false, retryAfterSeconds: Math.ceil(remainingMs / 1000) };
+      }
+      transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      if (trialInFlight) {
+        return { allowed: false, retryAfterSeconds: 1 };
+      }
+      trialInFlight = true;
+    }
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  function recordSuccess() {
+    failures = 0;
+    trialInFlight = false;
+    transition(CIRCUIT_STATES.CLOSED);
+  }
+
+  function recordFailure() {
+    // Late failures of requests sent before the circuit opened do not extend the open period
+    if (state === CIRCUIT_STATES.OPEN) {
+      return;
+    }
+    failures += 1;
+    if (state === CIRCUIT_STATES.HALF_OPEN || failures >= failureThreshold) {
+      trialInFlight = false;
+      openedAt = now();
+      transition(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  return {
+    allowRequest,
+    recordSuccess,
+    recordFailure,
+    getState: () => state
+  };
+}
+
+/**
+ * Creates circuit breakers on demand, one per key (e.g. upstream URL), all with the same options
+ * @param {Object} [options] - Breaker options (see createCircuitBreaker); onStateChange is called
+ *   with (key, state, previousState)
+ * @returns {{get: Function}} Circuit breaker group
+ */
+function createCircuitBreakerGroup(options = {}) {
+  const { onStateChange, ...breakerOptions } = options;
+  // Fail on invalid options now rather than on the first request
+  createCircuitBreaker(breakerOptions);
+  const breakers = new Map();
+
+  return {
+    /**
+     * Returns the circuit breaker of a key
+     * @param {string} key - Breaker key
+     * @returns {Object} Circuit breaker
+     */
+    get(key) {
+      if (!breakers.has(key)) {
+        breakers.set(key, createCircuitBreaker({
+          ...breakerOptions,
+          onStateChange: onStateChange && ((state, previousState) => onStateChange(key, state, previousState))
+        }));
+      }
+      return breakers.get(key);
+    }
+  };
+}
+
+/**
+ * Creates the error thrown instead of calling an upstream whose circuit is open
+ * @param {string} name - Upstream name
+ * @param {number} retryAfterSeconds - Seconds until the circuit lets a request through again
+ * @returns {Error} Error with code CIRCUIT_OPEN and retryAfterSeconds
+ */
+function createCircuitOpenError(name, retryAfterSeconds) {
+  const error = new Error(`Upstream ${name} is unavailable`);
+  error.code = CIRCUIT_OPEN_ERROR_CODE;
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+module.exports = {
+  CIRCUIT_OPEN_ERROR_CODE,
+  CIRCUIT_STATES,
+  createCircuitBreaker,
+  createCircuitBreakerGroup,
+  createCircuitOpenError
+};
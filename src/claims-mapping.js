@@ -0,0 +1,154 @@
+const fs = require('fs');
+
+/**
+ * Declarative mapping from the client record returned by the lookup to token claims:
+ *
+ *   {
+ *     "claims": {
+ *       "userId": { "from": "id", "required": true },
+ *       "email": { "from": "email", "required": true },
+ *       "role": { "from": "role", "default": "user" },
+ *       "storeId": "store.id"
+ *     },
+ *     "scopes": {
+ *       "claim": "scope",
+ *       "format": "string",
+ *       "roles": { "admin": ["cars:read", "cars:write"], "user": ["cars:read"] }
+ *     }
+ *   }
+ *
+ * `from` is a dot-separated path into the client record; a plain string is shorthand for it.
+ * Missing values (undefined, null or '') take the default; required claims without a value
+ * make the client invalid; userId is always required and has no default. The scopes of the
+ * mapped role claim (a role name or a list of them) are added as a space-separated string
+ * or, with format "array", a list.
+ */
+
+// Claims set by the issuers themselves
+const RESERVED_CLAIMS = ['sub', 'iss', 'aud', 'exp', 'nbf', 'iat', 'iatMs', 'jti'];
+const SCOPE_FORMATS = ['string', 'array'];
+
+// The claims /auth has always issued
+const DEFAULT_CLAIMS_MAPPING = {
+  claims: {
+    userId: { from: 'id', required: true },
+    email: { from: 'email', required: true },
+    role: { from: 'role', default: 'user' }
+  }
+};
+
+/**
+ * Reads a value at a dot-separated path
+ * @param {Object} record - Client record
+ * @param {string} path - Path such as 'store.id'
+ * @returns {*} Value, or undefined when any part of the path is missing
+ */
+function getPath(record, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    record
+  );
+}
+
+/**
+ * Validates a claims mapping
+ * @param {Object} config - Mapping configuration (see above)
+ * @returns {Object} Normalized mapping
+ */
+function parseClaimsMapping(config) {
+  if (!config || typeof config.claims !== 'object' || Array.isArray(config.claims)) {
+    throw new Error('Claims mapping must have a "claims" object');
+  }
+
+  const claims = Object.keys(config.claims).map(name => {
+    if (RESERVED_CLAIMS.includes(name)) {
+      throw new Error(`Claim ${name} is set by the token issuer and cannot be mapped`);
+    }
+    const rule = typeof config.claims[name] === 'string' ? { from: config.claims[name] } : config.claims[name];
+    if (!rule || typeof rule.from !== 'string' || rule.from === '') {
+      throw new Error(`Claim ${name} needs a "from" path`);
+    }
+    if (name === 'userId' && rule.default !== undefined) {
+      throw new Error('Claim userId identifies the client and cannot have a default');
+    }
+    // A token without userId would be signed for an empty subject shared by every such client
+    return { name, from: rule.from, required: name === 'userId' || Boolean(rule.required), default: rule.default };
+  });
+  if (!claims.some(claim => claim.name === 'userId')) {
+    throw new Error('Claims mapping must map userId');
+  }
+
+  let scopes = null;
+  if (config.scopes) {
+    const { claim = 'scope', format = 'string', roleClaim = 'role', roles } = config.scopes;
+    if (!SCOPE_FORMATS.includes(format)) {
+      throw new Error(`Unknown scope format: ${format} (expected one of: ${SCOPE_FORMATS.join(', ')})`);
+    }
+    if (!roles || typeof roles !== 'object' || Object.values(roles).some(list => !Array.isArray(list))) {
+      throw new Error('Scopes need a "roles" object of role names to scope lists');
+    }
+    if (RESERVED_CLAIMS.includes(claim)) {
+      throw new Error(`Claim ${claim} is set by the token issuer and cannot be mapped`);
+    }
+    scopes = { claim, format, roleClaim, roles };
+  }
+
+  return { claims, scopes };
+}
+
+/**
+ * Loads a claims mapping from inline JSON or from a JSON file
+ * @param {string} source - JSON text (starting with '{') or a file path
+ * @returns {Object} Normalized mapping
+ */
+function loadClaimsMapping(source) {
+  const trimmed = source.trim();
+  const text = trimmed.startsWith('{') ? trimmed : fs.readFileSync(trimmed, 'utf-8');
+  return parseClaimsMapping(JSON.parse(text));
+}
+
+/**
+ * Maps a client record to token claims
+ * @param {Object} mapping - Mapping from parseClaimsMapping
+ * @param {Object} client - Client record from the lookup
+ * @returns {Object} { valid: true, claims } or { valid: false, reason }
+ */
+function mapClaims(mapping, client) {
+  const record = client !== null && typeof client === 'object' ? client : {};
+  const claims = {};
+  const missing = [];
+
+  mapping.claims.forEach(rule => {
+    let value = getPath(record, rule.from);
+    if (value === undefined || value === null || value === '') {
+      value = rule.default;
+    }
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) {
+        missing.push(rule.from);
+      }
+      return;
+    }
+    claims[rule.name] = value;
+  });
+
+  if (missing.length > 0) {
+    return { valid: false, reason: `Client data missing required fields (${missing.join(', ')})` };
+  }
+
+  if (mapping.scopes) {
+    const { claim, format, roleClaim, roles } = mapping.scopes;
+    const roleNames = [].concat(claims[roleClaim] === undefined ? [] : claims[roleClaim]);
+    const scopeList = [...new Set(roleNames.flatMap(role => roles[role] || []))];
+    claims[claim] = format === 'array' ? scopeList : scopeList.join(' ');
+  }
+
+  return { valid: true, claims };
+}
+
+module.exports = {
+  DEFAULT_CLAIMS_MAPPING,
+  loadClaimsMapping,
+  mapClaims,
+  parseClaimsMapping
+};
@@ -0,0 +1,31 @@
+const { createMemoryTtlStore } = require('./ttl-store');
+
+/**
+ * Client cache stores hold client lookup results for the auth flow until they expire.
+ *
+ * Any object with the following methods can be used as a store (e.g. a Redis-backed one
+ * built on `SET key value PX ttl`, `GET key` and `DEL key`, with values serialized as JSON):
+ *
+ *   set(key: string, value: Object, ttlMs: number): Promise<void>
+ *     Stores the value for ttlMs, replacing any previous value.
+ *   get(key: string): Promise<Object|null>
+ *     Resolves the value, or null when it is missing or expired.
+ *   delete(key: string): Promise<boolean>
+ *     Removes the value and resolves whether one was stored.
+ */
+
+/**
+ * Creates an in-memory client cache store (see ttl-store.js)
+ * When maxEntries is reached, expired entries are removed first and then the oldest ones.
+ * @param {Object} [options] - Store options (see createMemoryTtlStore)
+ * @param {number} [options.maxEntries=10000] - Maximum number of cached lookups
+ * @returns {{set: Function, get: Function, delete: Function, size: Function, clear: Function}} Client cache store
+ */
+function createMemoryClientCacheStore(options = {}) {
+  const { set, get, delete: remove, size, clear } = createMemoryTtlStore({ ...options, maxEntries: options.maxEntries || 10000 });
+  return { set, get, delete: remove, size, clear };
+}
+
+module.exports = {
+  createMemoryClientCacheStore
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'client-cache' });
+
+/**
+ * Hashes a CPF into the key its lookup is cached under, so store keys do not show CPFs in clear
+ * @param {string} cpf - Normalized CPF
+ * @returns {string} Cache key
+ */
+function clientCacheKey(cpf) {
+  return `client:${crypto.createHash('sha256').update(cpf).digest('hex')}`;
+}
+
+/**
+ * Creates the cache of client lookups made by /auth
+ * Found clients are kept for ttlSeconds and unknown CPFs (404) for notFoundTtlSeconds; other
+ * responses and errors are never cached. Concurrent lookups of the same CPF in a process share
+ * one upstream call. The cache is best effort: when the store fails, the lookup goes upstream.
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Client cache store (see client-cache-store.js)
+ * @param {number} [options.ttlSeconds=60] - Lifetime of found clients
+ * @param {number} [options.notFoundTtlSeconds=10] - Lifetime of 404 responses (0 to not cache them)
+ * @returns {{lookup: Function, invalidate: Function}} Client lookup cache
+ */
+function createClientLookupCache(options) {
+  const { store, ttlSeconds = 60, notFoundTtlSeconds = 10 } = options;
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+    throw new Error(`Invalid client cache lifetime: ${ttlSeconds}`);
+  }
+  if (!Number.isInteger(notFoundTtlSeconds) || notFoundTtlSeconds < 0) {
+    throw new Error(`Invalid client cache not-found lifetime: ${notFoundTtlSeconds}`);
+  }
+  // Upstream calls in flight by cache key
+  const pending = new Map();
+
+  function ttlMsFor(status) {
+    if (status === 200) {
+      return ttlSeconds * 1000;
+    }
+    if (status === 404) {
+      return notFoundTtlSeconds * 1000;
+    }
+    return 0;
+  }
+
+  async function fetchAndStore(key, flight, fetchClient) {
+    const { status, data } = await fetchClient();
+    const ttlMs = ttlMsFor(status);
+    if (ttlMs > 0 && !flight.invalidated) {
+      try {
+        await store.set(key, { status, data }, ttlMs);
+      } catch (error) {
+        log.warn('Error storing client lookup', { error });
+      }
+    }
+    return { status, data, cached: false };
+  }
+
+  /**
+   * Looks up a client, from the cache when possible
+   * @param {string} cpf - Normalized CPF
+   * @param {Function} fetchClient - Async function making the upstream lookup, resolving to { status, data }
+   * @returns {Promise<Object>} { status, data, cached }
+   */
+  async function lookup(cpf, fetchClient) {
+    const key = clientCacheKey(cpf);
+
+    let entry = null;
+    try {
+      entry = await store.get(key);
+    } catch (error) {
+      log.warn('Error reading client lookup', { error });
+    }
+    if (entry) {
+      return { ...entry, cached: true };
+    }
+
+    if (!pending.has(key)) {
+      const flight = { invalidated: false };
+      flight.promise = fetchAndStore(key, flight, fetchClient).finally(() => {
+        if (pending.get(key) === flight) {
+          pending.delete(key);
+        }
+      });
+      pending.set(key, flight);
+    }
+    return pending.get(key).promise;
+  }
+
+  /**
+   * Removes a cached lookup, so the next /auth for the CPF goes upstream
+   * A lookup in flight is still returned to its callers but not cached.
+   * @param {string} cpf - Normalized CPF
+   * @returns {Promise<boolean>} Whether a lookup was cached or in flight
+   */
+  async function invalidate(cpf) {
+    const key = clientCacheKey(cpf);
+    const flight = pending.get(key);
+    if (flight) {
+      flight.invalidated = true;
+      pending.delete(key);
+    }
+    const removed = await store.delete(key);
+    return Boolean(flight) || removed;
+  }
+
+  return { lookup, invalidate };
+}
+
+module.exports = {
+  clientCacheKey,
+  createClientLookupCache
+};
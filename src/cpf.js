@@ -0,0 +1,86 @@
+// Characters accepted as CPF formatting (e.g. 123.456.789-09) and removed before validation
+const FORMATTING_PATTERN = /[.\-\s]/g;
+
+/**
+ * Computes a CPF check digit over the given digits
+ * @param {number[]} digits - First 9 (first check digit) or 10 (second check digit) digits
+ * @returns {number} Check digit
+ */
+function computeCheckDigit(digits) {
+  const weightStart = digits.length + 1;
+  const sum = digits.reduce((total, digit, index) => total + digit * (weightStart - index), 0);
+  const remainder = (sum * 10) % 11;
+  return remainder === 10 ? 0 : remainder;
+}
+
+/**
+ * Removes CPF formatting characters (dots, dashes and whitespace)
+ * @param {string} value - CPF as received
+ * @returns {string} Value without formatting
+ */
+function normalizeCpf(value) {
+  return String(value).replace(FORMATTING_PATTERN, '');
+}
+
+/**
+ * Validates a CPF: 11 digits after formatting is removed, not a repeated digit, matching check digits
+ * @param {string} value - CPF as received, formatted or not
+ * @returns {{valid: boolean, cpf?: string, reason?: string}} Normalized CPF, or the reason it is invalid
+ */
+function validateCpf(value) {
+  const cpf = normalizeCpf(value || '');
+  if (cpf === '') {
+    return { valid: false, reason: 'CPF is required' };
+  }
+  if (!/^\d+$/.test(cpf)) {
+    return { valid: false, reason: 'CPF must contain only digits, dots and dashes' };
+  }
+  if (cpf.length !== 11) {
+    return { valid: false, reason: 'CPF must have 11 digits' };
+  }
+  // Sequences such as 000.000.000-00 and 111.111.111-11 pass the check digit test but are never issued
+  if (/^(\d)\1{10}$/.test(cpf)) {
+    return { valid: false, reason: 'CPF is a known invalid sequence' };
+  }
+
+  const digits = cpf.split('').map(Number);
+  const firstCheck = computeCheckDigit(digits.slice(0, 9));
+  const secondCheck = computeCheckDigit(digits.slice(0, 10));
+  if (digits[9] !== firstCheck || digits[10] !== secondCheck) {
+    return { valid: false, reason: 'CPF check digits do not match' };
+  }
+
+  return { valid: true, cpf };
+}
+
+/**
+ * Masks a CPF for logs, keeping only the middle digits (e.g. ***.456.789-**)
+ * @param {string} value - CPF, formatted or not
+ * @returns {string} Masked CPF ('***' when the value is not an 11-digit CPF)
+ */
+function maskCpf(value) {
+  const cpf = normalizeCpf(value || '');
+  if (!/^\d{11}$/.test(cpf)) {
+    return '***';
+  }
+  return `***.${cpf.slice(3, 6)}.${cpf.slice(6, 9)}-**`;
+}
+
+// 11 digits, optionally formatted as 123.456.789-09, not part of a longer number
+const CPF_IN_TEXT_PATTERN = /(?<!\d)\d{3}\.?(\d{3})\.?(\d{3})-?\d{2}(?!\d)/g;
+
+/**
+ * Masks everything that looks like a CPF in a text, formatted or not (e.g. in URLs and bodies)
+ * @param {string} text - Text such as a log message
+ * @returns {string} Text with every CPF masked as ***.456.789-**
+ */
+function maskCpfs(text) {
+  return text.replace(CPF_IN_TEXT_PATTERN, '***.$1.$2-**');
+}
+
+module.exports = {
+  maskCpf,
+  maskCpfs,
+  normalizeCpf,
+  validateCpf
+};
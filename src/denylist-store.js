@@ -0,0 +1,27 @@
+const { createMemoryTtlStore } = require('./ttl-store');
+
+/**
+ * Denylist stores hold revocations of issued tokens until the tokens they cover have expired.
+ *
+ * Any object with the following methods can be used as a store (e.g. a Redis-backed one
+ * built on `SET key value PX ttl` and `GET key`):
+ *
+ *   set(key: string, value: number, ttlMs: number): Promise<void>
+ *     Stores the value for ttlMs, replacing any previous value.
+ *   get(key: string): Promise<number|null>
+ *     Resolves the value, or null when it is missing or expired.
+ */
+
+/**
+ * Creates an in-memory denylist store (see ttl-store.js)
+ * @param {Object} [options] - Store options (see createMemoryTtlStore)
+ * @returns {{set: Function, get: Function, size: Function, clear: Function}} Denylist store
+ */
+function createMemoryDenylistStore(options = {}) {
+  const { set, get, size, clear } = createMemoryTtlStore(options);
+  return { set, get, size, clear };
+}
+
+module.exports = {
+  createMemoryDenylistStore
+};
@@ -0,0 +1,69 @@
+const { getRequestLogger } = require('./logger');
+
+/**
+ * Runs readiness checks in parallel, each bounded by a timeout
+ * @param {Object[]} checks - Checks: { check, name, run }, where run is an async function that
+ *   throws when the dependency is not usable and may resolve to details to report
+ * @param {Object} [options] - Run options
+ * @param {number} [options.timeoutMs=2000] - Time each check gets before it counts as failed
+ * @returns {Promise<{ready: boolean, checks: Object[]}>} Whether every check passed, and the result of each
+ */
+async function runReadinessChecks(checks, options = {}) {
+  const { timeoutMs = 2000 } = options;
+
+  const results = await Promise.all(checks.map(async ({ check, name, run }) => {
+    const start = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    try {
+      const details = await Promise.race([run(), timeout]);
+      return { check, name, ...details, status: 'ok', durationMs: Date.now() - start };
+    } catch (error) {
+      return { check, name, status: 'error', durationMs: Date.now() - start, error: error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+
+  return { ready: results.every(result => result.status === 'ok'), checks: results };
+}
+
+/**
+ * Creates the handler of the liveness endpoint: answers as long as the process serves requests
+ * @returns {Function} Express handler
+ */
+function createLivenessHandler() {
+  return function livenessHandler(req, res) {
+    res.status(200).json({ status: 'ok' });
+  };
+}
+
+/**
+ * Creates the handler of the readiness endpoint: 200 when every check passes, 503 otherwise,
+ * with the result of each check
+ * @param {Object} options - Handler options
+ * @param {Object[]} options.checks - Checks to run (see runReadinessChecks)
+ * @param {number} [options.timeoutMs=2000] - Time each check gets before it counts as failed
+ * @returns {Function} Express handler
+ */
+function createReadinessHandler(options) {
+  const { checks: readinessChecks, timeoutMs } = options;
+
+  return async function readinessHandler(req, res) {
+    const { ready, checks } = await runReadinessChecks(readinessChecks, { timeoutMs });
+    if (!ready) {
+      getRequestLogger(req, 'health').warn('Not ready', {
+        failed: checks.filter(result => result.status !== 'ok').map(({ check, name, error }) => ({ check, name, error }))
+      });
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  };
+}
+
+module.exports = {
+  createLivenessHandler,
+  createReadinessHandler,
+  runReadinessChecks
+};
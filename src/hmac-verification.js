@@ -0,0 +1,73 @@
+const { parseKeyring, verifyWithKeyring } = require('./keyring');
+const { getRequestLogger } = require('./logger');
+
+/**
+ * Creates an Express middleware that rejects requests without a valid HMAC signature
+ * @param {Object} options - Middleware options
+ * @param {Function} options.getSecret - Async function returning the HMAC secret used by callers
+ *   (a plain secret or a JSON keyring, see keyring.js)
+ * @param {number} [options.maxSkewMs] - Accepted clock skew in milliseconds (see verifyRequest)
+ * @param {boolean} [options.normalizePath] - Normalize the path and query before verifying
+ * @param {string[]} [options.allowedVersions] - Accepted signature versions
+ * @param {string[]|string} [options.requiredSignedHeaders] - Headers that must be part of the signature
+ * @param {Object} [options.nonceStore] - Nonce store (see nonce-store.js); when set, every request
+ *   must carry an x-hmac-nonce that has not been seen inside the skew window
+ * @returns {Function} Express middleware
+ */
+function createHmacVerificationMiddleware(options) {
+  const { getSecret, nonceStore, ...verifyOptions } = options;
+  if (nonceStore) {
+    verifyOptions.requireNonce = true;
+  }
+
+  return async function hmacVerificationMiddleware(req, res, next) {
+    const log = getRequestLogger(req, 'verify');
+    let keyring;
+    try {
+      keyring = parseKeyring(await getSecret());
+    } catch (error) {
+      log.error('Error fetching verification secret', { error });
+      return res.status(500).json({
+        error: 'Failed to verify signature',
+        message: error.message
+      });
+    }
+
+    const result = verifyWithKeyring(keyring, req, verifyOptions);
+    if (!result.valid) {
+      log.warn('Rejected request', { method: req.method, path: req.originalUrl || req.url, reason: result.reason });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: result.reason
+      });
+    }
+
+    // Only nonces of correctly signed requests are recorded, so forged requests cannot fill the store
+    if (nonceStore) {
+      let isNew;
+      try {
+        isNew = await nonceStore.add(result.nonce, result.expiresAt - Date.now());
+      } catch (error) {
+        log.error('Error checking nonce', { error });
+        return res.status(500).json({
+          error: 'Failed to verify signature',
+          message: error.message
+        });
+      }
+
+      if (!isNew) {
+        log.warn('Rejected request', { method: req.method, path: req.originalUrl || req.url, reason: 'replayed nonce' });
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Nonce has already been used'
+        });
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createHmacVerificationMiddleware
+};
@@ -0,0 +1,161 @@
+const jwt = require('jsonwebtoken');
+const { getRequestLogger } = require('./logger');
+
+// Identity headers set for the upstream from a verified token (never taken from the caller)
+const USER_ID_HEADER = 'x-user-id';
+const USER_ROLE_HEADER = 'x-user-role';
+const IDENTITY_HEADERS = [USER_ID_HEADER, USER_ROLE_HEADER];
+
+/**
+ * Checks whether a path falls under one of the given prefixes, on a segment boundary
+ * @param {string} path - Request path (without query string)
+ * @param {string[]} prefixes - Path prefixes
+ * @returns {boolean} Whether the path matches
+ */
+function matchesAnyPrefix(path, prefixes) {
+  return prefixes.some(prefix => {
+    const normalized = prefix.length > 1 ? prefix.replace(/\/+$/, '') : prefix;
+    return normalized === '/' || path === normalized || path.startsWith(`${normalized}/`);
+  });
+}
+
+/**
+ * Extracts the token of an `Authorization: Bearer <token>` header
+ * @param {Object} headers - Request headers
+ * @returns {string|null} Token, or null when there is none
+ */
+function getBearerToken(headers) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Verifies a JWT and extracts the caller's identity
+ * @param {string} token - Encoded JWT
+ * @param {string} key - Verification key
+ * @param {Object} [options] - Verification options
+ * @param {string[]} [options.algorithms=['HS256']] - Accepted algorithms
+ * @param {string} [options.issuer] - Required iss claim
+ * @param {string} [options.audience] - Required aud claim
+ * @returns {Object} { valid: true, payload, userId, role } or { valid: false, reason }
+ */
+function verifyToken(token, key, options = {}) {
+  const { algorithms = ['HS256'], issuer, audience } = options;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, key, {
+      algorithms,
+      ...(issuer && { issuer }),
+      ...(audience && { audience })
+    });
+  } catch (error) {
+    return {
+      valid: false,
+      reason: error.name === 'TokenExpiredError' ? 'Token has expired' : `Invalid token: ${error.message}`
+    };
+  }
+
+  const userId = payload.sub !== undefined ? payload.sub : payload.userId;
+  if (userId === undefined || userId === null || userId === '') {
+    return { valid: false, reason: 'Invalid token: no subject' };
+  }
+  const role = payload.role === undefined ? '' : String(payload.role);
+  return { valid: true, payload, userId: String(userId), role };
+}
+
+/**
+ * Creates an Express middleware that requires a valid bearer JWT
+ * Verified requests get x-user-id (sub, or userId for older tokens) and x-user-role headers
+ * for the upstream; these headers are always removed from what the caller sent. When the
+ * matched route (req.proxyRoute) lists roles, other roles are rejected with 403.
+ * @param {Object} options - Middleware options
+ * @param {Function} options.getSecret - Async function returning the verification key
+ *   (the shared secret for HS256, a public or private PEM key for RS256)
+ * @param {string[]} [options.algorithms=['HS256']] - Accepted algorithms
+ * @param {string} [options.issuer] - Required iss claim
+ * @param {string} [options.audience] - Required aud claim
+ * @param {string[]} [options.anonymousPaths=[]] - Path prefixes that do not need a token
+ * @param {Object} [options.denylist] - Token denylist (see token-denylist.js); revoked tokens get 401
+ * @returns {Function} Express middleware
+ */
+function createJwtAuthMiddleware(options) {
+  const { getSecret, algorithms = ['HS256'], issuer, audience, anonymousPaths = [], denylist } = options;
+
+  function reject(req, res, status, message) {
+    getRequestLogger(req, 'jwt').warn('Rejected request', { method: req.method, path: req.originalUrl || req.url, status, reason: message });
+    if (status === 401) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    return res.status(status).json({
+      error: status === 401 ? 'Unauthorized' : 'Forbidden',
+      message
+    });
+  }
+
+  return async function jwtAuthMiddleware(req, res, next) {
+    IDENTITY_HEADERS.forEach(name => delete req.headers[name]);
+
+    const path = (req.originalUrl || req.url).split('?')[0];
+    if (matchesAnyPrefix(path, anonymousPaths)) {
+      return next();
+    }
+
+    const token = getBearerToken(req.headers);
+    if (!token) {
+      return reject(req, res, 401, 'Missing bearer token');
+    }
+
+    let key;
+    try {
+      key = await getSecret();
+    } catch (error) {
+      getRequestLogger(req, 'jwt').error('Error fetching verification key', { error });
+      return res.status(500).json({
+        error: 'Failed to verify token',
+        message: error.message
+      });
+    }
+
+    const result = verifyToken(token, key, { algorithms, issuer, audience });
+    if (!result.valid) {
+      return reject(req, res, 401, result.reason);
+    }
+    const { payload, userId, role } = result;
+
+    if (denylist) {
+      let revoked;
+      try {
+        revoked = await denylist.isRevoked(payload);
+      } catch (error) {
+        getRequestLogger(req, 'jwt').error('Error checking token denylist', { error });
+        return res.status(500).json({
+          error: 'Failed to verify token',
+          message: error.message
+        });
+      }
+      if (revoked) {
+        return reject(req, res, 401, 'Token has been revoked');
+      }
+    }
+
+    const route = req.proxyRoute;
+    if (route && route.roles && !route.roles.includes(role)) {
+      return reject(req, res, 403, `Role ${role || '(none)'} is not allowed on route ${route.name}`);
+    }
+
+    req.user = { id: userId, role, claims: payload };
+    req.headers[USER_ID_HEADER] = req.user.id;
+    if (role) {
+      req.headers[USER_ROLE_HEADER] = role;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  IDENTITY_HEADERS,
+  createJwtAuthMiddleware,
+  getBearerToken,
+  verifyToken
+};
@@ -0,0 +1,111 @@
+const { verifyRequest } = require('./signing');
+
+// Key states: active keys sign (exactly one), verify-only keys are still accepted, retired keys are not
+const KEY_STATUSES = {
+  ACTIVE: 'active',
+  VERIFY_ONLY: 'verify-only',
+  RETIRED: 'retired'
+};
+
+/**
+ * Parses an HMAC secret into a keyring
+ * A JSON secret of the form {"keys":[{"id":"2024-06","secret":"...","status":"active"}, ...]}
+ * holds several keys. Any other value is treated as a single active key without an ID,
+ * so plain-string secrets keep working.
+ * @param {string} secretValue - Secret value as returned by getSecret
+ * @returns {{keys: Array<{id: (string|null), secret: string, status: string}>}} Keyring
+ */
+function parseKeyring(secretValue) {
+  let parsed;
+  try {
+    parsed = JSON.parse(secretValue);
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!parsed || !Array.isArray(parsed.keys)) {
+    return { keys: [{ id: null, secret: secretValue, status: KEY_STATUSES.ACTIVE }] };
+  }
+
+  const seenIds = new Set();
+  const keys = parsed.keys.map((key, index) => {
+    if (!key || typeof key.id !== 'string' || key.id === '') {
+      throw new Error(`Invalid keyring: key at index ${index} has no id`);
+    }
+    if (seenIds.has(key.id)) {
+      throw new Error(`Invalid keyring: duplicate key id ${key.id}`);
+    }
+    if (typeof key.secret !== 'string' || key.secret === '') {
+      throw new Error(`Invalid keyring: key ${key.id} has no secret`);
+    }
+    if (!Object.values(KEY_STATUSES).includes(key.status)) {
+      throw new Error(`Invalid keyring: key ${key.id} has unknown status ${key.status}`);
+    }
+    seenIds.add(key.id);
+    return { id: key.id, secret: key.secret, status: key.status };
+  });
+
+  const activeCount = keys.filter(key => key.status === KEY_STATUSES.ACTIVE).length;
+  if (activeCount !== 1) {
+    throw new Error(`Invalid keyring: expected exactly one active key, found ${activeCount}`);
+  }
+
+  return { keys };
+}
+
+/**
+ * Returns the key used to sign outgoing requests
+ * @param {Object} keyring - Keyring from parseKeyring
+ * @returns {{id: (string|null), secret: string, status: string}} Active key
+ */
+function getActiveKey(keyring) {
+  return keyring.keys.find(key => key.status === KEY_STATUSES.ACTIVE);
+}
+
+/**
+ * Returns the keys that are accepted when verifying (every key that is not retired)
+ * @param {Object} keyring - Keyring from parseKeyring
+ * @returns {Array<{id: (string|null), secret: string, status: string}>} Verification keys
+ */
+function getVerificationKeys(keyring) {
+  return keyring.keys.filter(key => key.status !== KEY_STATUSES.RETIRED);
+}
+
+/**
+ * Verifies a request against a keyring
+ * When the request names a key in x-hmac-key-id only that key is tried; otherwise every
+ * verification key is tried, so callers that do not send a key ID keep working.
+ * @param {Object} keyring - Keyring from parseKeyring
+ * @param {Object} req - Express request object
+ * @param {Object} [options] - Options passed to verifyRequest
+ * @returns {{valid: boolean, reason?: string, keyId?: (string|null)}} Verification result
+ */
+function verifyWithKeyring(keyring, req, options = {}) {
+  const keyId = (req.headers || {})['x-hmac-key-id'];
+  const keys = getVerificationKeys(keyring);
+
+  if (keyId) {
+    const key = keys.find(candidate => candidate.id === keyId);
+    if (!key) {
+      return { valid: false, reason: `Unknown or retired key id: ${keyId}` };
+    }
+    return { ...verifyRequest(key.secret, req, options), keyId: key.id };
+  }
+
+  let result = { valid: false, reason: 'No verification keys available' };
+  for (const key of keys) {
+    result = verifyRequest(key.secret, req, options);
+    if (result.valid) {
+      return { ...result, keyId: key.id };
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  KEY_STATUSES,
+  getActiveKey,
+  getVerificationKeys,
+  parseKeyring,
+  verifyWithKeyring
+};
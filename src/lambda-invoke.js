@@ -1,4 +1,7 @@
-const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+const { GetFunctionCommand, LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'lambda-invoke' });
 
 /**
  * Invokes a Lambda function synchronously
@@ -9,20 +12,10 @@ const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
  */
 async function invokeLambda(functionName, payload, region = process.env.AWS_REGION || 'us-east-1') {
   try {
-    // Log payload details (mask jwtSecret for security)
-    const logPayload = { ...payload };
-    if (logPayload.jwtSecret) {
-      const secretPreview = logPayload.jwtSecret.length > 8 
-        ? `${logPayload.jwtSecret.slice(0, 8)}...` 
-        : '***';
-      logPayload.jwtSecret = secretPreview;
-      logPayload.jwtSecretLength = payload.jwtSecret.length;
-    }
-    console.log(`[lambda-invoke] Sending payload to ${functionName}:`, JSON.stringify(logPayload, null, 2));
-
     const client = new LambdaClient({ region });
     const payloadString = JSON.stringify(payload);
-    console.log(`[lambda-invoke] Payload size: ${payloadString.length} bytes`);
+    // The logger redacts the JWT secret and the issued token
+    log.debug('Sending payload', { functionName, payload, payloadBytes: payloadString.length });
     
     const command = new InvokeCommand({
       FunctionName: functionName,
@@ -36,14 +29,14 @@ async function invokeLambda(functionName, payload, region = process.env.AWS_REGI
     if (response.Payload) {
       const responseBody = JSON.parse(Buffer.from(response.Payload).toString());
       
-      console.log(`[lambda-invoke] Lambda response status: ${responseBody.statusCode || 'N/A'}`);
+      log.info('Lambda responded', { functionName, statusCode: responseBody.statusCode || null });
       
       // If Lambda returned an error status code, throw an error
       if (responseBody.statusCode && responseBody.statusCode >= 400) {
         const errorBody = typeof responseBody.body === 'string' 
           ? JSON.parse(responseBody.body) 
           : responseBody.body;
-        console.error(`[lambda-invoke] Lambda error:`, errorBody);
+        log.error('Lambda returned an error', { functionName, body: errorBody });
         throw new Error(errorBody.message || errorBody.error || 'Lambda function returned an error');
       }
 
@@ -56,7 +49,7 @@ async function invokeLambda(functionName, payload, region = process.env.AWS_REGI
         }
       }
 
-      console.log(`[lambda-invoke] Lambda response body:`, JSON.stringify(responseBody.body, null, 2));
+      log.debug('Lambda response body', { functionName, body: responseBody.body });
       return responseBody;
     }
 
@@ -73,7 +66,24 @@ async function invokeLambda(functionName, payload, region = process.env.AWS_REGI
   }
 }
 
+/**
+ * Looks up a Lambda function without invoking it, to check that it exists and can be reached
+ * @param {string} functionName - Name of the Lambda function
+ * @param {string} region - AWS region (defaults to us-east-1)
+ * @returns {Promise<Object>} { state } of the function, e.g. 'Active'
+ */
+async function getLambdaFunctionState(functionName, region = process.env.AWS_REGION || 'us-east-1') {
+  const client = new LambdaClient({ region });
+  const response = await client.send(new GetFunctionCommand({ FunctionName: functionName }));
+  const state = response.Configuration && response.Configuration.State;
+  if (state === 'Failed') {
+    throw new Error(`Lambda function ${functionName} is in the Failed state`);
+  }
+  return { state: state || 'Unknown' };
+}
+
 module.exports = {
+  getLambdaFunctionState,
   invokeLambda
 };
 
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { maskCpfs } = require('./cpf');
+
+/**
+ * Structured logger: every entry is one JSON line such as
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","component":"auth","requestId":"...","message":"...", ...fields}
+ *
+ * Entries are redacted before they are written: values of sensitive keys (authorization,
+ * cookies, signatures, secrets, tokens and the fields configured with configureLogger) are
+ * replaced, JWTs and bearer tokens inside strings are removed, CPFs are masked and long strings
+ * are truncated.
+ */
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+// Keys whose values never appear in logs, compared in lowercase at any depth
+const DEFAULT_REDACTED_KEYS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-hmac-signature',
+  'x-api-key',
+  'jwtsecret',
+  'secret',
+  'password',
+  'token',
+  'access_token',
+  'refresh_token',
+  'id_token'
+];
+const REDACTED = '[REDACTED]';
+// JWTs start with a base64url-encoded '{"'
+const JWT_PATTERN = /\beyJ[\w-]*\.[\w-]*\.[\w-]*/g;
+const BEARER_PATTERN = /\b(Bearer)\s+[\w\-.~+/]+=*/gi;
+const MAX_STRING_LENGTH = 2000;
+const MAX_DEPTH = 6;
+
+const REQUEST_ID_HEADER = 'x-request-id';
+// Incoming request IDs are only trusted when they are short and cannot break log lines or headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const settings = {
+  level: 'info',
+  redactedKeys: new Set(DEFAULT_REDACTED_KEYS)
+};
+
+/**
+ * Sets the minimum level and the extra fields to redact, for every logger
+ * @param {Object} options - Logger settings
+ * @param {string} [options.level] - 'debug', 'info', 'warn' or 'error'
+ * @param {string[]} [options.redactFields=[]] - Additional keys to redact (e.g. body fields)
+ */
+function configureLogger(options = {}) {
+  const { level, redactFields = [] } = options;
+  if (level !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+      throw new Error(`Unknown log level: ${level} (expected one of: ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    settings.level = level;
+  }
+  settings.redactedKeys = new Set([...DEFAULT_REDACTED_KEYS, ...redactFields.map(field => field.toLowerCase())]);
+}
+
+function redactString(text) {
+  const redacted = maskCpfs(text.replace(JWT_PATTERN, REDACTED).replace(BEARER_PATTERN, `$1 ${REDACTED}`));
+  if (redacted.length > MAX_STRING_LENGTH) {
+    return `${redacted.slice(0, MAX_STRING_LENGTH)}... [truncated, total ${redacted.length} chars]`;
+  }
+  return redacted;
+}
+
+/**
+ * Returns a copy of a value that is safe to log
+ * Errors are reduced to their name, message and code, buffers and streams to a description.
+ * @param {*} value - Value to log
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactString(value.message), ...(value.code && { code: value.code }) };
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Binary data: ${value.length} bytes]`;
+  }
+  if (typeof value.pipe === 'function') {
+    return '[Streamed body]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = settings.redactedKeys.has(key.toLowerCase()) ? REDACTED : redact(value[key], depth + 1);
+  });
+  return result;
+}
+
+function write(level, line) {
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Creates a logger whose entries all carry the given context fields
+ * @param {Object} [context={}] - Fields added to every entry (e.g. component, requestId)
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} Logger
+ */
+function createLogger(context = {}) {
+  function log(level, message, fields) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[settings.level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      ...context,
+      message: redactString(String(message)),
+      ...redact(fields || {})
+    };
+    write(level, JSON.stringify(entry));
+  }
+
+  return {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    child: fields => createLogger({ ...context, ...fields })
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Returns the logger for a component, with the request ID when the request has one
+ * @param {Object} [req] - Express request (see createRequestIdMiddleware)
+ * @param {string} component - Component name, e.g. 'auth'
+ * @returns {Object} Logger
+ */
+function getRequestLogger(req, component) {
+  return (req && req.log ? req.log : logger).child({ component });
+}
+
+/**
+ * Creates an Express middleware that gives every request an ID
+ * The ID is taken from the incoming x-request-id header when it is well-formed and generated
+ * otherwise. It is set on req.id, kept in the x-request-id request header (so it is forwarded
+ * upstream), returned in the X-Request-Id response header and added to the entries of req.log.
+ * @returns {Function} Express middleware
+ */
+function createRequestIdMiddleware() {
+  return function requestIdMiddleware(req, res, next) {
+    const incoming = req.headers[REQUEST_ID_HEADER];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+    req.id = requestId;
+    req.headers[REQUEST_ID_HEADER] = requestId;
+    req.log = logger.child({ requestId });
+    res.setHeader('X-Request-Id', requestId);
+    next();
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  REQUEST_ID_HEADER,
+  configureLogger,
+  createLogger,
+  createRequestIdMiddleware,
+  getRequestLogger,
+  logger,
+  redact
+};
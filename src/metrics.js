@@ -0,0 +1,257 @@
+/**
+ * Minimal Prometheus metrics: counters and histograms with labels, rendered in the text
+ * exposition format (version 0.0.4) served by /metrics.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Validates a metric definition and returns a function building series keys from label values
+ * @param {Object} definition - { name, help, labelNames }
+ * @returns {Function} (labels) => [key, label pairs]
+ */
+function createLabeler(definition) {
+  const { name, help, labelNames = [] } = definition;
+  if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name || '')) {
+    throw new Error(`Invalid metric name: ${name}`);
+  }
+  if (!help) {
+    throw new Error(`Metric ${name} needs a help text`);
+  }
+
+  return (labels = {}) => {
+    const pairs = labelNames.map(label => {
+      if (labels[label] === undefined || labels[label] === null) {
+        throw new Error(`Metric ${name} is missing label ${label}`);
+      }
+      return [label, labels[label]];
+    });
+    return [JSON.stringify(pairs.map(([, value]) => String(value))), pairs];
+  };
+}
+
+/**
+ * Creates a registry of metrics
+ * @returns {{counter: Function, histogram: Function, render: Function, reset: Function}} Metrics registry
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  /**
+   * Registers a counter
+   * @param {Object} definition - Counter definition
+   * @param {string} definition.name - Metric name, e.g. 'http_requests_total'
+   * @param {string} definition.help - Description
+   * @param {string[]} [definition.labelNames=[]] - Label names
+   * @returns {{inc: Function, get: Function}} Counter
+   */
+  function counter(definition) {
+    const labeler = createLabeler(definition);
+    const series = new Map();
+
+    const metric = {
+      definition,
+      type: 'counter',
+      inc(labels, value = 1) {
+        if (!(value >= 0)) {
+          throw new Error(`Counter ${definition.name} can only increase`);
+        }
+        const [key, pairs] = labeler(labels);
+        const entry = series.get(key) || { pairs, value: 0 };
+        entry.value += value;
+        series.set(key, entry);
+      },
+      get(labels) {
+        const entry = series.get(labeler(labels)[0]);
+        return entry ? entry.value : 0;
+      },
+      lines() {
+        return [...series.values()].map(({ pairs, value }) => `${definition.name}${formatLabels(pairs)} ${formatValue(value)}`);
+      },
+      reset() {
+        series.clear();
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Registers a histogram
+   * @param {Object} definition - Histogram definition
+   * @param {string} definition.name - Metric name, e.g. 'http_request_duration_seconds'
+   * @param {string} definition.help - Description
+   * @param {string[]} [definition.labelNames=[]] - Label names
+   * @param {number[]} [definition.buckets] - Upper bounds of the buckets, in increasing order
+   * @returns {{observe: Function, get: Function}} Histogram
+   */
+  function histogram(definition) {
+    const labeler = createLabeler(definition);
+    const buckets = definition.buckets || DEFAULT_BUCKETS;
+    if (buckets.some((bound, index) => index > 0 && bound <= buckets[index - 1])) {
+      throw new Error(`Histogram ${definition.name} buckets must be in increasing order`);
+    }
+    const bounds = [...buckets, Infinity];
+    const series = new Map();
+
+    const metric = {
+      definition,
+      type: 'histogram',
+      observe(labels, value) {
+        const [key, pairs] = labeler(labels);
+        const entry = series.get(key) || { pairs, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+      get(labels) {
+        const entry = series.get(labeler(labels)[0]);
+        return entry ? { count: entry.count, sum: entry.sum } : { count: 0, sum: 0 };
+      },
+      lines() {
+        const lines = [];
+        series.forEach(({ pairs, counts, sum, count }) => {
+          bounds.forEach((bound, index) => {
+            lines.push(`${definition.name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${counts[index]}`);
+          });
+          lines.push(`${definition.name}_sum${formatLabels(pairs)} ${sum}`);
+          lines.push(`${definition.name}_count${formatLabels(pairs)} ${count}`);
+        });
+        return lines;
+      },
+      reset() {
+        series.clear();
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  function render() {
+    const lines = [];
+    metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.definition.name} ${metric.definition.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.definition.name} ${metric.type}`);
+      lines.push(...metric.lines());
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Clears every series (for tests)
+  function reset() {
+    metrics.forEach(metric => metric.reset());
+  }
+
+  return { counter, histogram, render, reset };
+}
+
+/**
+ * Classifies a failed upstream call for the upstream error counter
+ * @param {Object} result - { error } for calls that threw, or { status } for responses
+ * @returns {string|null} 'connection_refused', 'timeout', 'upstream_5xx', 'other', or null when the upstream did not fail
+ */
+function upstreamErrorKind({ error, status }) {
+  if (error && !error.response) {
+    if (error.code === 'ECONNREFUSED') {
+      return 'connection_refused';
+    }
+    if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+      return 'timeout';
+    }
+    return 'other';
+  }
+  const responseStatus = error ? error.response.status : status;
+  return responseStatus >= 500 ? 'upstream_5xx' : null;
+}
+
+/**
+ * Creates the registry of the proxy's metrics
+ * @returns {Object} Registry and metrics
+ */
+function createProxyMetrics() {
+  const registry = createMetricsRegistry();
+  return {
+    registry,
+    httpRequests: registry.counter({
+      name: 'http_requests_total',
+      help: 'Requests handled by the proxy, by route, method and response status',
+      labelNames: ['route', 'method', 'status']
+    }),
+    httpRequestDuration: registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time to respond to requests, by route, method and response status',
+      labelNames: ['route', 'method', 'status']
+    }),
+    upstreamDuration: registry.histogram({
+      name: 'upstream_request_duration_seconds',
+      help: 'Time until the upstream responded, by route, method and upstream status',
+      labelNames: ['route', 'method', 'status']
+    }),
+    upstreamErrors: registry.counter({
+      name: 'upstream_errors_total',
+      help: 'Failed upstream calls, by route and kind (connection_refused, timeout, upstream_5xx, other)',
+      labelNames: ['route', 'kind']
+    }),
+    upstreamRetries: registry.counter({
+      name: 'upstream_retries_total',
+      help: 'Upstream calls sent again after a retryable failure, by route',
+      labelNames: ['route']
+    }),
+    circuitRejections: registry.counter({
+      name: 'upstream_circuit_open_total',
+      help: 'Upstream calls refused without being sent because the upstream circuit was open, by route',
+      labelNames: ['route']
+    }),
+    secretCache: registry.counter({
+      name: 'secret_cache_requests_total',
+      help: 'Secret lookups served from the cache (hit) or fetched from the provider (miss)',
+      labelNames: ['secret', 'result']
+    }),
+    secretRefreshes: registry.counter({
+      name: 'secret_refreshes_total',
+      help: 'Fetches of secrets from the provider, by outcome (success, error)',
+      labelNames: ['secret', 'outcome']
+    }),
+    authOutcomes: registry.counter({
+      name: 'auth_requests_total',
+      help: 'Outcomes of the auth endpoints (token: POST /auth/:cpf, refresh: POST /auth/refresh)',
+      labelNames: ['endpoint', 'outcome']
+    })
+  };
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+  createProxyMetrics,
+  upstreamErrorKind
+};
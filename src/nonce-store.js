@@ -0,0 +1,31 @@
+const { createMemoryTtlStore } = require('./ttl-store');
+
+/**
+ * Nonce stores remember nonces of verified requests so that a captured request
+ * cannot be replayed while its timestamp is still inside the skew window.
+ *
+ * Any object with the following method can be used as a store (e.g. a Redis-backed one
+ * built on `SET key 1 PX ttl NX`):
+ *
+ *   add(nonce: string, ttlMs: number): Promise<boolean>
+ *     Records the nonce for ttlMs and resolves true, or resolves false if it was already seen.
+ */
+
+/**
+ * Creates an in-memory nonce store (see ttl-store.js)
+ * @param {Object} [options] - Store options (see createMemoryTtlStore)
+ * @returns {{add: Function, size: Function, clear: Function}} Nonce store
+ */
+function createMemoryNonceStore(options = {}) {
+  const store = createMemoryTtlStore(options);
+
+  return {
+    add: (nonce, ttlMs) => store.add(nonce, true, ttlMs),
+    size: store.size,
+    clear: store.clear
+  };
+}
+
+module.exports = {
+  createMemoryNonceStore
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { getRequestLogger, logger } = require('./logger');
+
+const log = logger.child({ component: 'rate-limit' });
+
+/**
+ * Rate limit stores hold token buckets and lockout state until they are no longer needed.
+ * The default is createMemoryTtlStore (see ttl-store.js).
+ *
+ * Any object with the following methods can be used as a store (e.g. a Redis-backed one
+ * built on `SET key value PX ttl` and `GET key`, with values serialized as JSON):
+ *
+ *   set(key: string, value: Object, ttlMs: number): Promise<void>
+ *     Stores the value for ttlMs, replacing any previous value.
+ *   get(key: string): Promise<Object|null>
+ *     Resolves the value, or null when it is missing or expired.
+ *
+ * Updates are a get followed by a set, so concurrent requests on several tasks can each
+ * spend the same token; limits are enforced exactly only within one process.
+ */
+
+// What a route's requests are counted by: the caller's IP, or the verified JWT subject
+// (falling back to the IP on anonymous requests)
+const RATE_LIMIT_KEYS = {
+  IP: 'ip',
+  USER: 'user'
+};
+
+/**
+ * Validates a rate limit: { burst, perMinute, by }
+ * @param {Object} config - Rate limit configuration
+ * @param {string} label - What the limit applies to (for error messages), e.g. 'Route cars'
+ * @returns {{burst: number, perMinute: number, by: string}} Normalized rate limit
+ */
+function parseRateLimit(config, label) {
+  const { burst, perMinute, by = RATE_LIMIT_KEYS.IP } = config || {};
+  if (!Number.isInteger(burst) || burst <= 0) {
+    throw new Error(`${label} has an invalid rate limit burst: ${burst}`);
+  }
+  if (typeof perMinute !== 'number' || !(perMinute > 0)) {
+    throw new Error(`${label} has an invalid rate limit perMinute: ${perMinute}`);
+  }
+  if (!Object.values(RATE_LIMIT_KEYS).includes(by)) {
+    throw new Error(`${label} has an invalid rate limit key: ${by} (expected one of: ${Object.values(RATE_LIMIT_KEYS).join(', ')})`);
+  }
+  return { burst, perMinute, by };
+}
+
+/**
+ * Creates a token bucket limiter: each key gets `burst` tokens, refilled at `perMinute`
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Rate limit store (see above)
+ * @param {number} options.burst - Bucket size (requests allowed at once)
+ * @param {number} options.perMinute - Sustained requests per minute
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {{consume: Function}} Token bucket limiter
+ */
+function createTokenBucketLimiter(options) {
+  const { store, now = Date.now } = options;
+  const { burst, perMinute } = parseRateLimit(options, 'Limiter');
+  const refillPerMs = perMinute / 60000;
+  // A bucket left alone this long is full again, so it does not need to be stored
+  const ttlMs = Math.ceil(burst / refillPerMs);
+
+  /**
+   * Takes a token from a key's bucket
+   * @param {string} key - Bucket key
+   * @returns {Promise<Object>} { allowed, remaining, retryAfterSeconds }
+   */
+  async function consume(key) {
+    const currentTime = now();
+    const state = await store.get(key);
+    const tokens = state
+      ? Math.min(burst, state.tokens + (currentTime - state.updatedAt) * refillPerMs)
+      : burst;
+
+    if (tokens < 1) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((1 - tokens) / refillPerMs / 1000))
+      };
+    }
+
+    await store.set(key, { tokens: tokens - 1, updatedAt: currentTime }, ttlMs);
+    return { allowed: true, remaining: Math.floor(tokens - 1), retryAfterSeconds: 0 };
+  }
+
+  return { consume };
+}
+
+/**
+ * Creates a progressive lockout: every maxFailures failures lock the key out, for lockoutSeconds
+ * the first time and twice as long on each further lockout, up to maxLockoutSeconds. Failures
+ * and lockouts are forgotten after maxLockoutSeconds without failures (or once the lockout ends,
+ * if that is later). Successes do not reset the count, so they cannot be interleaved to avoid it.
+ * @param {Object} options - Lockout options
+ * @param {Object} options.store - Rate limit store (see above)
+ * @param {number} [options.maxFailures=5] - Failures that trigger a lockout
+ * @param {number} [options.lockoutSeconds=60] - Duration of the first lockout
+ * @param {number} [options.maxLockoutSeconds=3600] - Longest lockout
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {{check: Function, recordFailure: Function}} Lockout
+ */
+function createLockout(options) {
+  const { store, maxFailures = 5, lockoutSeconds = 60, maxLockoutSeconds = 3600, now = Date.now } = options;
+  [['maxFailures', maxFailures], ['lockoutSeconds', lockoutSeconds], ['maxLockoutSeconds', maxLockoutSeconds]]
+    .forEach(([name, value]) => {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`Invalid lockout ${name}: ${value}`);
+      }
+    });
+
+  function lockStatus(state, currentTime) {
+    if (!state || state.lockedUntil <= currentTime) {
+      return { locked: false, retryAfterSeconds: 0 };
+    }
+    return { locked: true, retryAfterSeconds: Math.ceil((state.lockedUntil - currentTime) / 1000) };
+  }
+
+  /**
+   * Checks whether a key is locked out
+   * @param {string} key - Lockout key
+   * @returns {Promise<Object>} { locked, retryAfterSeconds }
+   */
+  async function check(key) {
+    return lockStatus(await store.get(key), now());
+  }
+
+  /**
+   * Counts a failure for a key, locking it out when maxFailures is reached
+   * @param {string} key - Lockout key
+   * @returns {Promise<Object>} { locked, retryAfterSeconds }
+   */
+  async function recordFailure(key) {
+    const currentTime = now();
+    const state = (await store.get(key)) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+    state.failures += 1;
+    if (state.failures >= maxFailures) {
+      state.lockouts += 1;
+      state.failures = 0;
+      const seconds = Math.min(lockoutSeconds * 2 ** (state.lockouts - 1), maxLockoutSeconds);
+      state.lockedUntil = currentTime + seconds * 1000;
+    }
+    const ttlMs = Math.max(state.lockedUntil - currentTime, 0) + maxLockoutSeconds * 1000;
+    await store.set(key, state, ttlMs);
+    return lockStatus(state, currentTime);
+  }
+
+  return { check, recordFailure };
+}
+
+/**
+ * Sends a 429 response with a Retry-After header
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterSeconds - Seconds until the caller may retry
+ * @param {string} message - Error message
+ */
+function sendTooManyRequests(res, retryAfterSeconds, message) {
+  res.setHeader('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message
+  });
+}
+
+/**
+ * Creates the brute-force protection of /auth: token buckets per IP and per CPF, and a
+ * progressive lockout of IPs whose lookups keep failing (invalid or unknown CPFs)
+ * The checks fail open: when the store cannot be reached, requests are let through.
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Rate limit store (see above)
+ * @param {Object} options.ip - { burst, perMinute } per client IP
+ * @param {Object} options.cpf - { burst, perMinute } per CPF
+ * @param {Object} options.lockout - { maxFailures, lockoutSeconds, maxLockoutSeconds } per client IP
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {{checkIp: Function, checkCpf: Function, recordFailure: Function}} Auth rate limiter
+ */
+function createAuthRateLimiter(options) {
+  const { store, now } = options;
+  const ipBucket = createTokenBucketLimiter({ store, now, ...options.ip });
+  const cpfBucket = createTokenBucketLimiter({ store, now, ...options.cpf });
+  const lockout = createLockout({ store, now, ...options.lockout });
+
+  async function failOpen(operation, check) {
+    try {
+      return await check();
+    } catch (error) {
+      log.warn(`Error ${operation}, not limiting`, { error });
+      return null;
+    }
+  }
+
+  return {
+    /**
+     * Checks the IP lockout and takes a token from the IP's bucket
+     * @param {string} ip - Client IP
+     * @returns {Promise<Object|null>} { retryAfterSeconds, message } when the request is limited
+     */
+    checkIp(ip) {
+      return failOpen('checking IP limits', async () => {
+        const status = await lockout.check(`auth:lockout:${ip}`);
+        if (status.locked) {
+          return { retryAfterSeconds: status.retryAfterSeconds, message: 'Too many failed attempts' };
+        }
+        const result = await ipBucket.consume(`auth:ip:${ip}`);
+        return result.allowed ? null : { retryAfterSeconds: result.retryAfterSeconds, message: 'Too many requests' };
+      });
+    },
+
+    /**
+     * Takes a token from a CPF's bucket (keyed by a hash, so store keys do not show CPFs in clear)
+     * @param {string} cpf - Normalized CPF
+     * @returns {Promise<Object|null>} { retryAfterSeconds, message } when the request is limited
+     */
+    checkCpf(cpf) {
+      return failOpen('checking CPF limits', async () => {
+        const hash = crypto.createHash('sha256').update(cpf).digest('hex');
+        const result = await cpfBucket.consume(`auth:cpf:${hash}`);
+        return result.allowed ? null : { retryAfterSeconds: result.retryAfterSeconds, message: 'Too many requests for this CPF' };
+      });
+    },
+
+    /**
+     * Counts a failed attempt from an IP towards its lockout
+     * @param {string} ip - Client IP
+     * @returns {Promise<Object|null>} Lockout status ({ locked, retryAfterSeconds })
+     */
+    recordFailure(ip) {
+      return failOpen('recording a failed attempt', () => lockout.recordFailure(`auth:lockout:${ip}`));
+    }
+  };
+}
+
+/**
+ * Creates an Express middleware enforcing the rateLimit of the matched route (req.proxyRoute)
+ * Runs after JWT authentication, so routes limited by user can use req.user.
+ * @param {Object} options - Middleware options
+ * @param {Object} options.store - Rate limit store (see above)
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {Function} Express middleware
+ */
+function createRouteRateLimitMiddleware(options) {
+  const { store, now } = options;
+  // Limiters by route name, created on first use
+  const limiters = new Map();
+
+  return async function routeRateLimitMiddleware(req, res, next) {
+    const route = req.proxyRoute;
+    if (!route || !route.rateLimit) {
+      return next();
+    }
+    if (!limiters.has(route.name)) {
+      limiters.set(route.name, createTokenBucketLimiter({ store, now, ...route.rateLimit }));
+    }
+
+    const byUser = route.rateLimit.by === RATE_LIMIT_KEYS.USER && req.user;
+    const key = byUser ? `route:${route.name}:user:${req.user.id}` : `route:${route.name}:ip:${req.ip}`;
+    let result;
+    try {
+      result = await limiters.get(route.name).consume(key);
+    } catch (error) {
+      getRequestLogger(req, 'rate-limit').warn('Error checking route limits, not limiting', { error });
+      return next();
+    }
+
+    res.setHeader('RateLimit-Limit', String(route.rateLimit.burst));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    if (!result.allowed) {
+      getRequestLogger(req, 'rate-limit').warn('Limited request', {
+        method: req.method,
+        path: req.originalUrl,
+        route: route.name,
+        ...(byUser ? { userId: req.user.id } : { ip: req.ip })
+      });
+      return sendTooManyRequests(res, result.retryAfterSeconds, 'Too many requests');
+    }
+    next();
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_KEYS,
+  createAuthRateLimiter,
+  createLockout,
+  createRouteRateLimitMiddleware,
+  createTokenBucketLimiter,
+  parseRateLimit,
+  sendTooManyRequests
+};
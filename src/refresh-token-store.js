@@ -0,0 +1,64 @@
+const { createMemoryTtlStore } = require('./ttl-store');
+
+/**
+ * Refresh token stores keep issued refresh tokens (by the hash of the token, never the token
+ * itself) so they can be rotated, and remember used tokens until they expire so that reuse
+ * of a rotated token can be detected.
+ *
+ * Any object with the following methods can be used as a store (e.g. a Redis-backed one):
+ *
+ *   save(tokenId: string, record: Object, ttlMs: number): Promise<void>
+ *     Stores a new token; record is { familyId, claims }.
+ *   consume(tokenId: string): Promise<{record: Object, reused: boolean}|null>
+ *     Atomically marks the token as used. Resolves null for unknown or expired tokens, and
+ *     reused: true when the token had already been used.
+ *   revokeFamily(familyId: string, ttlMs: number): Promise<void>
+ *     Revokes every token of a rotation family for ttlMs.
+ *   isFamilyRevoked(familyId: string): Promise<boolean>
+ */
+
+/**
+ * Creates an in-memory refresh token store (see ttl-store.js)
+ * @param {Object} [options] - Store options (see createMemoryTtlStore)
+ * @returns {{save: Function, consume: Function, revokeFamily: Function, isFamilyRevoked: Function, size: Function, clear: Function}} Refresh token store
+ */
+function createMemoryRefreshTokenStore(options = {}) {
+  const tokens = createMemoryTtlStore(options);
+  const revokedFamilies = createMemoryTtlStore(options);
+
+  return {
+    async save(tokenId, record, ttlMs) {
+      await tokens.set(tokenId, { record, used: false }, ttlMs);
+    },
+
+    async consume(tokenId) {
+      const entry = await tokens.get(tokenId);
+      if (!entry) {
+        return null;
+      }
+      // Read and marked in one step, so concurrent uses of a token cannot both see it unused
+      const reused = entry.used;
+      entry.used = true;
+      return { record: entry.record, reused };
+    },
+
+    async revokeFamily(familyId, ttlMs) {
+      await revokedFamilies.set(familyId, true, ttlMs);
+    },
+
+    async isFamilyRevoked(familyId) {
+      return (await revokedFamilies.get(familyId)) !== null;
+    },
+
+    size: tokens.size,
+
+    clear() {
+      tokens.clear();
+      revokedFamilies.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryRefreshTokenStore
+};
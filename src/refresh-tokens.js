@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+/**
+ * Hashes a refresh token into the ID it is stored under, so a leaked store holds no usable tokens
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} Hex SHA-256 of the token
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Creates the refresh token flow: opaque random tokens that are rotated on every use
+ * Every token belongs to a rotation family started at login. Presenting a token that was
+ * already rotated means it was copied, so the whole family is revoked and the client
+ * has to log in again.
+ * @param {Object} options - Service options
+ * @param {Object} options.store - Refresh token store (see refresh-token-store.js)
+ * @param {number} [options.ttlSeconds=2592000] - Lifetime of each refresh token (30 days)
+ * @param {Object} [options.denylist] - Token denylist (see token-denylist.js); families started
+ *   before their user was revoked are rejected
+ * @returns {{issue: Function, rotate: Function, revoke: Function}} Refresh token service
+ */
+function createRefreshTokenService(options) {
+  const { store, ttlSeconds = 30 * 24 * 3600, denylist } = options;
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds <= 0) {
+    throw new Error(`Invalid refresh token lifetime: ${ttlSeconds}`);
+  }
+  const ttlMs = ttlSeconds * 1000;
+
+  /**
+   * Issues a refresh token for the given claims
+   * @param {Object} claims - Claims of the access tokens issued with it
+   * @param {Object} [family] - Rotation family { familyId, issuedAt } with issuedAt in milliseconds
+   *   (a new one is started when omitted)
+   * @returns {Promise<{refreshToken: string, expiresIn: number}>} Token and lifetime in seconds
+   */
+  async function issue(claims, family = { familyId: crypto.randomUUID(), issuedAt: Date.now() }) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    await store.save(hashRefreshToken(refreshToken), { ...family, claims }, ttlMs);
+    return { refreshToken, expiresIn: ttlSeconds };
+  }
+
+  /**
+   * Exchanges a refresh token for a new one of the same family
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @returns {Promise<Object>} { valid: true, claims, refreshToken, expiresIn } or
+   *   { valid: false, reason, reused } (reused is true when the family was revoked because of reuse)
+   */
+  async function rotate(refreshToken) {
+    const consumed = await store.consume(hashRefreshToken(refreshToken));
+    if (!consumed) {
+      return { valid: false, reason: 'Invalid or expired refresh token', reused: false };
+    }
+
+    const { familyId, issuedAt, claims } = consumed.record;
+    if (consumed.reused) {
+      await store.revokeFamily(familyId, ttlMs);
+      return { valid: false, reason: 'Refresh token has already been used', reused: true };
+    }
+    if (await store.isFamilyRevoked(familyId) ||
+      (denylist && await denylist.isUserRevoked(String(claims.userId), issuedAt))) {
+      return { valid: false, reason: 'Refresh token has been revoked', reused: false };
+    }
+
+    const next = await issue(claims, { familyId, issuedAt });
+    return { valid: true, claims, ...next };
+  }
+
+  /**
+   * Revokes the family of a refresh token (e.g. on logout)
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @returns {Promise<boolean>} Whether the token was known
+   */
+  async function revoke(refreshToken) {
+    const consumed = await store.consume(hashRefreshToken(refreshToken));
+    if (!consumed) {
+      return false;
+    }
+    await store.revokeFamily(consumed.record.familyId, ttlMs);
+    return true;
+  }
+
+  return { issue, rotate, revoke };
+}
+
+module.exports = {
+  createRefreshTokenService,
+  hashRefreshToken
+};
@@ -0,0 +1,121 @@
+// Methods that can be sent twice without changing the outcome (RFC 9110, section 9.2.2)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+// Callers mark other requests (e.g. a POST creating an order) as safe to repeat with this header
+const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+// Failures where the request most likely did not reach the upstream, or the upstream asks to try again
+const RETRYABLE_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+const RETRYABLE_STATUSES = [502, 503, 504];
+
+const DEFAULT_BASE_DELAY_MS = 100;
+const DEFAULT_MAX_DELAY_MS = 2000;
+
+/**
+ * Validates a retry policy: { retries, baseDelayMs, maxDelayMs }
+ * @param {Object} config - Retry policy
+ * @param {string} label - What the policy applies to (for error messages), e.g. 'Route cars'
+ * @returns {{retries: number, baseDelayMs: number, maxDelayMs: number}} Normalized retry policy
+ */
+function parseRetryPolicy(config, label) {
+  const { retries, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS } = config || {};
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error(`${label} has an invalid retry count: ${retries}`);
+  }
+  if (!Number.isInteger(baseDelayMs) || baseDelayMs <= 0) {
+    throw new Error(`${label} has an invalid retry baseDelayMs: ${baseDelayMs}`);
+  }
+  if (!Number.isInteger(maxDelayMs) || maxDelayMs < baseDelayMs) {
+    throw new Error(`${label} has an invalid retry maxDelayMs: ${maxDelayMs} (must be at least baseDelayMs)`);
+  }
+  return { retries, baseDelayMs, maxDelayMs };
+}
+
+/**
+ * Checks whether a request may be sent again: idempotent methods, and requests with an idempotency key
+ * @param {string} method - HTTP method
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {boolean} Whether the request can be retried
+ */
+function isRetryableRequest(method, headers = {}) {
+  return IDEMPOTENT_METHODS.includes(String(method).toUpperCase()) || Boolean(headers[IDEMPOTENCY_KEY_HEADER]);
+}
+
+/**
+ * Checks whether a failed attempt is worth retrying: connection failures, timeouts and 502/503/504
+ * @param {Object} outcome - { error } for attempts that threw, or { response }
+ * @returns {boolean} Whether to retry
+ */
+function isRetryableFailure({ error, response }) {
+  if (error) {
+    return error.response
+      ? RETRYABLE_STATUSES.includes(error.response.status)
+      : RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+  return RETRYABLE_STATUSES.includes(response.status);
+}
+
+/**
+ * Computes the wait before a retry with "full jitter": a random delay up to an exponentially
+ * growing cap, so that callers who failed together do not retry together
+ * @param {number} attempt - Number of the retry (0 for the first one)
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @param {Function} [random=Math.random] - Random number generator in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelayMs(attempt, policy, random = Math.random) {
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.floor(random() * cap);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs an operation, retrying it with jittered exponential backoff while it fails in a retryable way
+ * The last outcome is returned (or thrown) once the retries are used up.
+ * @param {Function} operation - Async function called with the attempt number (0 for the first call)
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Cap of the first backoff delay
+ * @param {number} options.maxDelayMs - Largest backoff delay
+ * @param {Function} [options.shouldRetry=isRetryableFailure] - Receives { error } or { response }
+ * @param {Function} [options.onRetry] - Called with { attempt, delayMs, error, response } before each retry
+ * @param {Function} [options.random] - Random number generator in [0, 1)
+ * @param {Function} [options.sleep] - Async function waiting for the given milliseconds
+ * @returns {Promise<*>} Result of the last attempt
+ */
+async function retryWithBackoff(operation, options) {
+  const { retries, shouldRetry = isRetryableFailure, onRetry, random = Math.random, sleep: wait = sleep } = options;
+
+  for (let attempt = 0; ; attempt += 1) {
+    let outcome;
+    try {
+      outcome = { response: await operation(attempt) };
+    } catch (error) {
+      outcome = { error };
+    }
+
+    if (attempt >= retries || !shouldRetry(outcome)) {
+      if (outcome.error) {
+        throw outcome.error;
+      }
+      return outcome.response;
+    }
+
+    const delayMs = backoffDelayMs(attempt, options, random);
+    if (onRetry) {
+      onRetry({ attempt: attempt + 1, delayMs, ...outcome });
+    }
+    await wait(delayMs);
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_KEY_HEADER,
+  IDEMPOTENT_METHODS,
+  backoffDelayMs,
+  isRetryableFailure,
+  isRetryableRequest,
+  parseRetryPolicy,
+  retryWithBackoff
+};
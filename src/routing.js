@@ -0,0 +1,192 @@
+const fs = require('fs');
+const { parseRateLimit } = require('./rate-limiter');
+const { parseRetryPolicy } = require('./retry');
+const { parseTransforms, rewritePath } = require('./transforms');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Normalizes a path prefix: leading slash, no trailing slash ('/' stays '/')
+ * @param {string} prefix - Path prefix
+ * @returns {string} Normalized prefix
+ */
+function normalizePrefix(prefix) {
+  const withSlash = prefix.startsWith('/') ? prefix : `/${prefix}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+}
+
+/**
+ * Validates and normalizes a routing table
+ * Each route maps a path prefix and/or a host to an upstream:
+ *   { name, pathPrefix, host, target, secretName, timeoutMs, stripPrefix, roles,
+ *     rateLimit, retry, rewrite, requestHeaders, responseHeaders }
+ * (see transforms.js for the rewrite and header rules; roles limits the JWT roles
+ * accepted on the route, see jwt-auth.js; rateLimit is { burst, perMinute, by },
+ * see rate-limiter.js; retry is { retries, baseDelayMs, maxDelayMs }, see retry.js)
+ * @param {Array|Object} config - Array of routes, or an object with a `routes` array
+ * @param {Object} [defaults] - Defaults applied to every route
+ * @param {string} [defaults.secretName] - Secret reference for routes without one
+ * @param {number} [defaults.timeoutMs=30000] - Timeout for routes without one
+ * @returns {Array<Object>} Normalized routes
+ */
+function parseRoutingTable(config, defaults = {}) {
+  const routes = Array.isArray(config) ? config : config && config.routes;
+  if (!Array.isArray(routes) || routes.length === 0) {
+    throw new Error('Routing table must contain at least one route');
+  }
+
+  return routes.map((route, index) => {
+    const name = route.name || `route-${index}`;
+    if (!route.pathPrefix && !route.host) {
+      throw new Error(`Route ${name} needs a pathPrefix or a host`);
+    }
+    if (!route.target || !/^https?:\/\//.test(route.target)) {
+      throw new Error(`Route ${name} needs an http(s) target URL`);
+    }
+
+    const secretName = route.secretName || defaults.secretName;
+    if (!secretName) {
+      throw new Error(`Route ${name} needs a secretName`);
+    }
+
+    const timeoutMs = route.timeoutMs === undefined ? (defaults.timeoutMs || DEFAULT_TIMEOUT_MS) : route.timeoutMs;
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      throw new Error(`Route ${name} has an invalid timeoutMs`);
+    }
+
+    if (route.roles !== undefined && (!Array.isArray(route.roles) || route.roles.some(role => typeof role !== 'string'))) {
+      throw new Error(`Route ${name} has invalid roles (expected a list of role names)`);
+    }
+
+    return {
+      name,
+      pathPrefix: normalizePrefix(route.pathPrefix || '/'),
+      host: route.host ? route.host.toLowerCase() : null,
+      target: route.target.replace(/\/+$/, ''),
+      secretName,
+      timeoutMs,
+      stripPrefix: Boolean(route.stripPrefix),
+      roles: route.roles || null,
+      rateLimit: route.rateLimit === undefined ? null : parseRateLimit(route.rateLimit, `Route ${name}`),
+      retry: route.retry === undefined ? null : parseRetryPolicy(route.retry, `Route ${name}`),
+      ...parseTransforms(route, name)
+    };
+  });
+}
+
+/**
+ * Loads a routing table from inline JSON or from a JSON file
+ * @param {string} source - JSON text (starting with '[' or '{') or a file path
+ * @param {Object} [defaults] - Defaults passed to parseRoutingTable
+ * @returns {Array<Object>} Normalized routes
+ */
+function loadRoutingTable(source, defaults = {}) {
+  const trimmed = source.trim();
+  const text = trimmed.startsWith('[') || trimmed.startsWith('{')
+    ? trimmed
+    : fs.readFileSync(trimmed, 'utf-8');
+  return parseRoutingTable(JSON.parse(text), defaults);
+}
+
+/**
+ * Checks whether a path falls under a prefix, on a segment boundary
+ * @param {string} path - Request path (without query string)
+ * @param {string} prefix - Normalized prefix
+ * @returns {boolean} Whether the path matches
+ */
+function pathMatchesPrefix(path, prefix) {
+  if (prefix === '/') {
+    return true;
+  }
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
+
+/**
+ * Checks whether a path has '.' or '..' segments, also percent-encoded ('%2e%2e') or
+ * separated by backslashes, which WHATWG URL parsers (and so axios) resolve. Such a path
+ * reaches the upstream as a different path than the one routes and prefixes were matched on.
+ * @param {string} path - Request path, optionally with a query string
+ * @returns {boolean} Whether the path has dot segments
+ */
+function hasDotSegments(path) {
+  return path.split('?')[0].split(/[/\\]/).some(segment => {
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (error) {
+      // Malformed percent-encoding cannot spell a dot
+    }
+    return decoded === '.' || decoded === '..';
+  });
+}
+
+// Percent-encoded letters, digits, '-', '.', '_' and '~' (RFC 3986 unreserved characters)
+const ENCODED_UNRESERVED_PATTERN = /%(?:[46][1-9a-f]|[57][0-9a]|3[0-9]|2[de]|5f|7e)/i;
+
+/**
+ * Checks whether a path percent-encodes characters that never need it ('/%69nternal').
+ * Express and the prefixes match the raw path while the upstream may decode it, so such a
+ * path can skip a prefix check and still reach the prefixed resource.
+ * @param {string} path - Request path, optionally with a query string
+ * @returns {boolean} Whether the path has percent-encoded unreserved characters
+ */
+function hasEncodedUnreservedCharacters(path) {
+  return ENCODED_UNRESERVED_PATTERN.test(path.split('?')[0]);
+}
+
+/**
+ * Finds the route for a request
+ * Routes bound to the request's host win over host-agnostic ones; among those,
+ * the longest matching path prefix wins.
+ * @param {Array<Object>} routes - Normalized routes
+ * @param {Object} request - Request to match
+ * @param {string} [request.host] - Host name (a port is ignored)
+ * @param {string} request.path - Path, optionally with a query string
+ * @returns {Object|null} Matching route, or null
+ */
+function matchRoute(routes, { host, path }) {
+  const hostName = host ? host.toLowerCase().replace(/:\d+$/, '') : null;
+  const pathOnly = path.split('?')[0];
+
+  let best = null;
+  let bestScore = -1;
+  routes.forEach(route => {
+    if (route.host && route.host !== hostName) {
+      return;
+    }
+    if (!pathMatchesPrefix(pathOnly, route.pathPrefix)) {
+      return;
+    }
+    const score = (route.host ? 100000 : 0) + route.pathPrefix.length;
+    if (score > bestScore) {
+      best = route;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Builds the path and query sent upstream: the route prefix is stripped when configured,
+ * then the first matching rewrite rule is applied
+ * @param {Object} route - Matched route
+ * @param {string} pathAndQuery - Incoming path and query string
+ * @returns {string} Upstream path and query string
+ */
+function buildUpstreamPath(route, pathAndQuery) {
+  let upstreamPath = pathAndQuery;
+  if (route.stripPrefix && route.pathPrefix !== '/') {
+    const stripped = pathAndQuery.slice(route.pathPrefix.length);
+    upstreamPath = stripped.startsWith('/') ? stripped : `/${stripped}`;
+  }
+  return rewritePath(route.rewrite || [], upstreamPath);
+}
+
+module.exports = {
+  buildUpstreamPath,
+  hasDotSegments,
+  hasEncodedUnreservedCharacters,
+  loadRoutingTable,
+  matchRoute,
+  parseRoutingTable
+};
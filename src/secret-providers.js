@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+/**
+ * Secret providers load raw secret values for getSecret, which handles caching.
+ * A provider is any object with:
+ *
+ *   description: string                 - Used in error messages (e.g. 'AWS Secrets Manager')
+ *   fetchSecret(secretName, region, version): Promise<string>
+ *
+ * version is { versionStage, versionId } when a specific version was requested; providers
+ * without versions reject such requests.
+ */
+
+const PROVIDER_TYPES = {
+  AWS: 'aws',
+  ENV: 'env',
+  FILE: 'file',
+  MEMORY: 'memory'
+};
+
+/**
+ * Rejects version selection for providers that only hold one value per secret
+ * @param {string} secretName - Secret name
+ * @param {Object} [version] - Requested version
+ */
+function assertNoVersion(secretName, version = {}) {
+  if (version.versionStage || version.versionId) {
+    throw new Error(`Secret ${secretName}: version selection is only supported by AWS Secrets Manager`);
+  }
+}
+
+/**
+ * Creates a provider backed by AWS Secrets Manager
+ * @returns {Object} Secret provider
+ */
+function createAwsSecretsManagerProvider() {
+  return {
+    description: 'AWS Secrets Manager',
+    async fetchSecret(secretName, region, version = {}) {
+      const client = new SecretsManagerClient({ region });
+      const command = new GetSecretValueCommand({
+        SecretId: secretName,
+        ...(version.versionStage && { VersionStage: version.versionStage }),
+        ...(version.versionId && { VersionId: version.versionId })
+      });
+      const response = await client.send(command);
+
+      if (response.SecretString) {
+        return response.SecretString;
+      }
+      return Buffer.from(response.SecretBinary, 'base64').toString('utf-8');
+    }
+  };
+}
+
+/**
+ * Converts a secret name into an environment variable name
+ * e.g. 'carshop/hmac-secret' -> 'CARSHOP_HMAC_SECRET'
+ * @param {string} secretName - Secret name
+ * @returns {string} Environment variable name
+ */
+function toEnvName(secretName) {
+  return secretName.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+}
+
+/**
+ * Creates a provider that reads secrets from environment variables
+ * The variable is looked up by the exact secret name first, then by its
+ * normalized form (see toEnvName), both with the optional prefix.
+ * @param {Object} [options] - Provider options
+ * @param {Object} [options.env=process.env] - Environment to read from
+ * @param {string} [options.prefix=''] - Prefix added to variable names (e.g. 'SECRET_')
+ * @returns {Object} Secret provider
+ */
+function createEnvProvider(options = {}) {
+  const env = options.env || process.env;
+  const prefix = options.prefix || '';
+
+  return {
+    description: 'environment variables',
+    async fetchSecret(secretName, region, version) {
+      assertNoVersion(secretName, version);
+      const candidates = [`${prefix}${secretName}`, `${prefix}${toEnvName(secretName)}`];
+      const name = candidates.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+      if (!name) {
+        throw new Error(`Secret ${secretName} not found (set ${candidates[candidates.length - 1]})`);
+      }
+      return env[name];
+    }
+  };
+}
+
+/**
+ * Parses dotenv-style content (KEY=value lines, # comments, optional quotes and `export`)
+ * @param {string} content - File content
+ * @returns {Object} Parsed key/value pairs
+ */
+function parseDotenv(content) {
+  const values = {};
+  content.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const match = trimmed.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match) {
+      return;
+    }
+    let value = match[2];
+    const quoted = value.match(/^(['"])(.*)\1$/);
+    if (quoted) {
+      value = quoted[2];
+    }
+    values[match[1]] = value;
+  });
+  return values;
+}
+
+/**
+ * Parses a secrets file: a JSON object, or dotenv content for any other file
+ * Non-string JSON values (e.g. keyrings) are returned as their JSON text.
+ * @param {string} filePath - Path of the file (used to detect JSON by extension)
+ * @param {string} content - File content
+ * @returns {Object} Secret values by name
+ */
+function parseSecretsFile(filePath, content) {
+  const isJson = path.extname(filePath).toLowerCase() === '.json' || content.trim().startsWith('{');
+  if (!isJson) {
+    return parseDotenv(content);
+  }
+
+  const parsed = JSON.parse(content);
+  const values = {};
+  Object.keys(parsed).forEach(name => {
+    const value = parsed[name];
+    values[name] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+  return values;
+}
+
+/**
+ * Creates a provider that reads secrets from a local JSON or dotenv file
+ * The file is read on every fetch, so edits are picked up when the cache expires.
+ * @param {Object} options - Provider options
+ * @param {string} options.filePath - Path of the secrets file
+ * @returns {Object} Secret provider
+ */
+function createFileProvider(options = {}) {
+  if (!options.filePath) {
+    throw new Error('File secret provider requires a file path');
+  }
+  const filePath = path.resolve(options.filePath);
+
+  return {
+    description: `secrets file ${filePath}`,
+    async fetchSecret(secretName, region, version) {
+      assertNoVersion(secretName, version);
+      const content = await fs.promises.readFile(filePath, 'utf-8');
+      const values = parseSecretsFile(filePath, content);
+      if (values[secretName] === undefined) {
+        throw new Error(`Secret ${secretName} not found`);
+      }
+      return values[secretName];
+    }
+  };
+}
+
+/**
+ * Creates an in-memory provider, mainly for tests
+ * @param {Object} [initialSecrets] - Secret values by name
+ * @returns {Object} Secret provider with additional set(name, value) and delete(name) methods
+ */
+function createMemoryProvider(initialSecrets = {}) {
+  const secrets = { ...initialSecrets };
+
+  return {
+    description: 'in-memory secrets',
+    async fetchSecret(secretName, region, version) {
+      assertNoVersion(secretName, version);
+      if (secrets[secretName] === undefined) {
+        throw new Error(`Secret ${secretName} not found`);
+      }
+      return secrets[secretName];
+    },
+    set(secretName, value) {
+      secrets[secretName] = value;
+    },
+    delete(secretName) {
+      delete secrets[secretName];
+    }
+  };
+}
+
+/**
+ * Creates a provider from configuration
+ * @param {Object} [config] - Provider configuration
+ * @param {string} [config.type='aws'] - One of 'aws', 'env', 'file' or 'memory'
+ * @param {string} [config.filePath] - Secrets file ('file' provider)
+ * @param {string} [config.prefix] - Variable name prefix ('env' provider)
+ * @param {Object} [config.secrets] - Initial values ('memory' provider)
+ * @returns {Object} Secret provider
+ */
+function createSecretProvider(config = {}) {
+  const type = config.type || PROVIDER_TYPES.AWS;
+  switch (type) {
+    case PROVIDER_TYPES.AWS:
+      return createAwsSecretsManagerProvider();
+    case PROVIDER_TYPES.ENV:
+      return createEnvProvider({ prefix: config.prefix });
+    case PROVIDER_TYPES.FILE:
+      return createFileProvider({ filePath: config.filePath });
+    case PROVIDER_TYPES.MEMORY:
+      return createMemoryProvider(config.secrets);
+    default:
+      throw new Error(`Unknown secret provider: ${type} (expected one of: ${Object.values(PROVIDER_TYPES).join(', ')})`);
+  }
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  createAwsSecretsManagerProvider,
+  createEnvProvider,
+  createFileProvider,
+  createMemoryProvider,
+  createSecretProvider,
+  parseDotenv,
+  toEnvName
+};
@@ -1,55 +1,176 @@
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { EventEmitter } = require('events');
+const { createAwsSecretsManagerProvider } = require('./secret-providers');
+
+// Backend that secrets are loaded from (AWS Secrets Manager unless replaced with setSecretProvider)
+let secretProvider = createAwsSecretsManagerProvider();
 
 // Cache secrets by key (secretName:region)
+// Each entry is { value, expiresAt, retryAfter }
 const cachedSecrets = {};
 const secretPromises = {};
 
+// Cache timings, overridable with configureSecretCache
+const cacheSettings = {
+  // How long a fetched secret is considered fresh
+  ttlMs: parseInt(process.env.SECRET_CACHE_TTL_SECONDS || '300', 10) * 1000,
+  // Window before expiry in which a read triggers a background refresh
+  refreshAheadMs: parseInt(process.env.SECRET_CACHE_REFRESH_AHEAD_SECONDS || '60', 10) * 1000,
+  // How long after expiry the last good value is still served while refreshes fail
+  maxStaleMs: parseInt(process.env.SECRET_CACHE_MAX_STALE_SECONDS || '900', 10) * 1000,
+  // Minimum time between refresh attempts after a failure
+  retryIntervalMs: parseInt(process.env.SECRET_CACHE_RETRY_SECONDS || '30', 10) * 1000
+};
+
+/**
+ * Emits cache lifecycle events:
+ * - 'hit' { secretName, region } when getSecret is served from the cache
+ * - 'miss' { secretName, region } when getSecret has to fetch the secret
+ * - 'refresh' { secretName, region } after a secret was fetched
+ * - 'refreshError' { secretName, region, error, stale } when a fetch failed;
+ *   stale is true when the last good value is served instead
+ */
+const secretEvents = new EventEmitter();
+
+/**
+ * Overrides the cache timings
+ * @param {Object} options - Any of ttlMs, refreshAheadMs, maxStaleMs and retryIntervalMs
+ */
+function configureSecretCache(options = {}) {
+  Object.keys(cacheSettings).forEach(key => {
+    if (options[key] !== undefined) {
+      cacheSettings[key] = options[key];
+    }
+  });
+}
+
 /**
- * Fetches a secret from AWS Secrets Manager
- * @param {string} secretName - Name of the secret in AWS Secrets Manager
+ * Replaces the backend secrets are loaded from and clears the cache
+ * @param {Object} provider - Secret provider (see secret-providers.js)
+ */
+function setSecretProvider(provider) {
+  secretProvider = provider;
+  clearCache();
+}
+
+/**
+ * Parses a secret reference of the form <secretId>[?versionStage=<stage>|versionId=<id>][#<field>]
+ * e.g. 'carshop/app#hmac' or 'carshop/app?versionStage=AWSPREVIOUS#hmac'
+ * ('?' and '#' cannot appear in Secrets Manager names, so plain names are unaffected)
+ * @param {string} reference - Secret reference
+ * @returns {{secretId: string, field: (string|undefined), versionStage: (string|undefined), versionId: (string|undefined)}}
+ */
+function parseSecretReference(reference) {
+  const fieldStart = reference.indexOf('#');
+  const withoutField = fieldStart === -1 ? reference : reference.slice(0, fieldStart);
+  const field = fieldStart === -1 ? undefined : reference.slice(fieldStart + 1);
+  const [secretId, query] = withoutField.split('?');
+
+  if (!secretId) {
+    throw new Error(`Invalid secret reference: ${reference}`);
+  }
+  if (field === '') {
+    throw new Error(`Invalid secret reference: ${reference} (empty field name)`);
+  }
+
+  const parsed = { secretId, field, versionStage: undefined, versionId: undefined };
+  if (query) {
+    query.split('&').forEach(pair => {
+      const [name, value] = pair.split('=');
+      if (name === 'versionStage' && value) {
+        parsed.versionStage = value;
+      } else if (name === 'versionId' && value) {
+        parsed.versionId = value;
+      } else {
+        throw new Error(`Invalid secret reference: ${reference} (unknown option ${pair})`);
+      }
+    });
+  }
+  return parsed;
+}
+
+/**
+ * Selects a field of a JSON secret
+ * @param {string} secretId - Secret name (for error messages)
+ * @param {string} secret - Secret value
+ * @param {string} field - Top-level field name
+ * @returns {string} Field value (non-string values are returned as JSON)
+ */
+function selectSecretField(secretId, secret, field) {
+  let parsed;
+  try {
+    parsed = JSON.parse(secret);
+  } catch (error) {
+    throw new Error(`Secret ${secretId} is not a JSON object, cannot select field "${field}"`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(`Secret ${secretId} is not a JSON object, cannot select field "${field}"`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(parsed, field) || parsed[field] === null) {
+    throw new Error(`Secret ${secretId} has no field "${field}" (available: ${Object.keys(parsed).join(', ') || 'none'})`);
+  }
+
+  const value = parsed[field];
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Fetches a secret value from the current provider, bypassing the cache
+ * @param {string} reference - Secret reference (see parseSecretReference)
  * @param {string} region - AWS region
- * @returns {Promise<string>} The secret value
+ * @returns {Promise<string>} The trimmed secret value
  */
-async function getSecret(secretName, region = process.env.AWS_REGION || 'us-east-1') {
-  // Create a cache key from secret name and region
-  const cacheKey = `${secretName}:${region}`;
+async function fetchSecretValue(reference, region) {
+  const { secretId, field, versionStage, versionId } = parseSecretReference(reference);
+  let secret = String(await secretProvider.fetchSecret(secretId, region, { versionStage, versionId }));
 
-  // Return cached secret if available
-  if (cachedSecrets[cacheKey]) {
-    return cachedSecrets[cacheKey];
+  if (field !== undefined) {
+    secret = selectSecretField(secretId, secret, field);
   }
 
+  // Trim whitespace and newlines from the secret (AWS Secrets Manager may add trailing newlines)
+  return secret.trim();
+}
+
+/**
+ * Fetches a secret and updates its cache entry, sharing one fetch between concurrent callers
+ * Falls back to the cached value while it is within the stale period.
+ * @param {string} secretName - Name of the secret
+ * @param {string} region - AWS region
+ * @param {string} cacheKey - Cache key of the secret
+ * @returns {Promise<string>} The secret value
+ */
+function refreshSecret(secretName, region, cacheKey) {
   // If a fetch is already in progress for this secret, wait for it
   if (secretPromises[cacheKey]) {
     return secretPromises[cacheKey];
   }
 
-  // Start fetching the secret
   secretPromises[cacheKey] = (async () => {
     try {
-      const client = new SecretsManagerClient({ region });
-      const command = new GetSecretValueCommand({ SecretId: secretName });
-      const response = await client.send(command);
-
-      let secret;
-      if (response.SecretString) {
-        secret = response.SecretString;
-      } else {
-        secret = Buffer.from(response.SecretBinary, 'base64').toString('utf-8');
-      }
-
-      // Trim whitespace and newlines from the secret (AWS Secrets Manager may add trailing newlines)
-      secret = secret.trim();
+      const secret = await fetchSecretValue(secretName, region);
 
       // Cache the secret by key
-      cachedSecrets[cacheKey] = secret;
+      cachedSecrets[cacheKey] = {
+        value: secret,
+        expiresAt: Date.now() + cacheSettings.ttlMs,
+        retryAfter: 0
+      };
+      secretEvents.emit('refresh', { secretName, region });
       return secret;
     } catch (error) {
-      // Clear the promise so we can retry
-      delete secretPromises[cacheKey];
-      throw new Error(`Failed to fetch secret from AWS Secrets Manager: ${error.message}`);
+      const wrapped = new Error(`Failed to fetch secret from ${secretProvider.description}: ${error.message}`);
+      const entry = cachedSecrets[cacheKey];
+      const now = Date.now();
+      const stale = Boolean(entry) && now < entry.expiresAt + cacheSettings.maxStaleMs;
+
+      secretEvents.emit('refreshError', { secretName, region, error: wrapped, stale });
+      if (stale) {
+        entry.retryAfter = now + cacheSettings.retryIntervalMs;
+        return entry.value;
+      }
+      throw wrapped;
     } finally {
-      // Clear the promise after completion (success or failure)
+      // Clear the promise after completion (success or failure) so later calls can retry
       delete secretPromises[cacheKey];
     }
   })();
@@ -57,6 +178,47 @@ async function getSecret(secretName, region = process.env.AWS_REGION || 'us-east
   return secretPromises[cacheKey];
 }
 
+/**
+ * Fetches a secret from the configured provider (AWS Secrets Manager by default)
+ * The name may select a version and a field of a JSON secret (see parseSecretReference);
+ * each reference is cached separately. Values are cached for the configured TTL and refreshed in the background shortly before
+ * they expire. If the provider cannot be reached, the last good value keeps being served
+ * for up to maxStaleMs after expiry.
+ * @param {string} secretName - Name of the secret, or a reference such as 'name#field'
+ * @param {string} region - AWS region
+ * @returns {Promise<string>} The secret value
+ */
+async function getSecret(secretName, region = process.env.AWS_REGION || 'us-east-1') {
+  // Create a cache key from secret name and region
+  const cacheKey = `${secretName}:${region}`;
+  const entry = cachedSecrets[cacheKey];
+  const now = Date.now();
+
+  if (entry) {
+    const fresh = now < entry.expiresAt;
+    const usable = now < entry.expiresAt + cacheSettings.maxStaleMs;
+    const backingOff = now < entry.retryAfter;
+
+    // Return the cached secret, refreshing it in the background when it is about to expire
+    if (fresh) {
+      if (now >= entry.expiresAt - cacheSettings.refreshAheadMs && !backingOff) {
+        refreshSecret(secretName, region, cacheKey).catch(() => {});
+      }
+      secretEvents.emit('hit', { secretName, region });
+      return entry.value;
+    }
+
+    // Expired: keep serving the stale value without retrying while a recent refresh failed
+    if (usable && backingOff) {
+      secretEvents.emit('hit', { secretName, region });
+      return entry.value;
+    }
+  }
+
+  secretEvents.emit('miss', { secretName, region });
+  return refreshSecret(secretName, region, cacheKey);
+}
+
 /**
  * Clears the cached secret (useful for testing or refresh scenarios)
  * @param {string} secretName - Optional secret name to clear specific secret, or clears all if not provided
@@ -76,6 +238,9 @@ function clearCache(secretName = null, region = process.env.AWS_REGION || 'us-ea
 
 module.exports = {
   getSecret,
-  clearCache
+  clearCache,
+  configureSecretCache,
+  parseSecretReference,
+  setSecretProvider,
+  secretEvents
 };
-
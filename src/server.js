@@ -1,8 +1,46 @@
+const { STATUS_CODES } = require('http');
+const { pipeline } = require('stream');
 const express = require('express');
 const axios = require('axios');
-const { getSecret } = require('./secrets');
-const { signRequest } = require('./signing');
-const { invokeLambda } = require('./lambda-invoke');
+const { getSecret, secretEvents, setSecretProvider } = require('./secrets');
+const { createSecretProvider } = require('./secret-providers');
+const { SIGNATURE_VERSIONS, createSignatureHeaders, normalizeHeaderNames } = require('./signing');
+const { TOKEN_ISSUER_TYPES, createTokenIssuer } = require('./token-issuers');
+const { IDENTITY_HEADERS, createJwtAuthMiddleware } = require('./jwt-auth');
+const { createRefreshTokenService } = require('./refresh-tokens');
+const { createMemoryRefreshTokenStore } = require('./refresh-token-store');
+const { createTokenDenylist } = require('./token-denylist');
+const { createMemoryDenylistStore } = require('./denylist-store');
+const { maskCpf, validateCpf } = require('./cpf');
+const {
+  REQUEST_ID_HEADER,
+  configureLogger,
+  createRequestIdMiddleware,
+  getRequestLogger,
+  logger
+} = require('./logger');
+const { createAuthRateLimiter, createRouteRateLimitMiddleware, sendTooManyRequests } = require('./rate-limiter');
+const { createMemoryTtlStore } = require('./ttl-store');
+const { createClientLookupCache } = require('./client-lookup-cache');
+const { createMemoryClientCacheStore } = require('./client-cache-store');
+const { createLivenessHandler, createReadinessHandler } = require('./health');
+const { isRetryableRequest, parseRetryPolicy, retryWithBackoff } = require('./retry');
+const { CIRCUIT_OPEN_ERROR_CODE, CIRCUIT_STATES, createCircuitBreakerGroup, createCircuitOpenError } = require('./circuit-breaker');
+const { getLambdaFunctionState } = require('./lambda-invoke');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createProxyMetrics, upstreamErrorKind } = require('./metrics');
+const { DEFAULT_CLAIMS_MAPPING, loadClaimsMapping, mapClaims, parseClaimsMapping } = require('./claims-mapping');
+const { createHmacVerificationMiddleware } = require('./hmac-verification');
+const { createMemoryNonceStore } = require('./nonce-store');
+const { getActiveKey, parseKeyring } = require('./keyring');
+const {
+  buildUpstreamPath,
+  hasDotSegments,
+  hasEncodedUnreservedCharacters,
+  loadRoutingTable,
+  matchRoute,
+  parseRoutingTable
+} = require('./routing');
+const { applyRequestHeaderRules, applyResponseHeaderRules, fillPathTemplate } = require('./transforms');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,46 +48,661 @@ const TARGET_BASE_URL = process.env.TARGET_BASE_URL;
 const HMAC_SECRET_NAME = process.env.HMAC_SECRET_NAME;
 const JWT_SECRET_NAME = process.env.JWT_SECRET_NAME;
 const LAMBDA_FUNCTION_NAME = process.env.LAMBDA_FUNCTION_NAME;
+// How /auth tokens are signed: 'lambda' (JWT Lambda function) or 'local' (in-process)
+const TOKEN_ISSUER = process.env.TOKEN_ISSUER || TOKEN_ISSUER_TYPES.LAMBDA;
+const JWT_ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const JWT_EXPIRES_IN_SECONDS = parseInt(process.env.JWT_EXPIRES_IN_SECONDS || '3600', 10);
+const JWT_ISSUER = process.env.JWT_ISSUER;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE;
+// Mapping of client lookup fields to token claims, as inline JSON or a path to a JSON file
+const JWT_CLAIMS_MAPPING = process.env.JWT_CLAIMS_MAPPING;
+// Issue rotating refresh tokens with /auth tokens, exchanged at POST /auth/refresh
+const REFRESH_TOKEN_ENABLED = process.env.REFRESH_TOKEN_ENABLED === 'true';
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '2592000', 10);
+// Revocations must outlive every token they cover, including refresh tokens
+const TOKEN_REVOCATION_TTL_SECONDS = parseInt(
+  process.env.TOKEN_REVOCATION_TTL_SECONDS ||
+    String(Math.max(JWT_EXPIRES_IN_SECONDS, REFRESH_TOKEN_ENABLED ? REFRESH_TOKEN_TTL_SECONDS : 0)),
+  10
+);
+// Cache the client lookups made by /auth (found clients and, briefly, unknown CPFs)
+const CLIENT_CACHE_ENABLED = process.env.CLIENT_CACHE_ENABLED === 'true';
+const CLIENT_CACHE_TTL_SECONDS = parseInt(process.env.CLIENT_CACHE_TTL_SECONDS || '60', 10);
+const CLIENT_CACHE_NOT_FOUND_TTL_SECONDS = parseInt(process.env.CLIENT_CACHE_NOT_FOUND_TTL_SECONDS || '10', 10);
+const CLIENT_CACHE_MAX_ENTRIES = parseInt(process.env.CLIENT_CACHE_MAX_ENTRIES || '10000', 10);
+// Throttle /auth per client IP and per CPF, and lock out IPs whose lookups keep failing
+const AUTH_RATE_LIMIT_ENABLED = process.env.AUTH_RATE_LIMIT_ENABLED === 'true';
+const AUTH_RATE_LIMIT_IP_BURST = parseInt(process.env.AUTH_RATE_LIMIT_IP_BURST || '10', 10);
+const AUTH_RATE_LIMIT_IP_PER_MINUTE = parseFloat(process.env.AUTH_RATE_LIMIT_IP_PER_MINUTE || '10');
+const AUTH_RATE_LIMIT_CPF_BURST = parseInt(process.env.AUTH_RATE_LIMIT_CPF_BURST || '5', 10);
+const AUTH_RATE_LIMIT_CPF_PER_MINUTE = parseFloat(process.env.AUTH_RATE_LIMIT_CPF_PER_MINUTE || '2');
+const AUTH_LOCKOUT_MAX_FAILURES = parseInt(process.env.AUTH_LOCKOUT_MAX_FAILURES || '5', 10);
+const AUTH_LOCKOUT_SECONDS = parseInt(process.env.AUTH_LOCKOUT_SECONDS || '60', 10);
+const AUTH_LOCKOUT_MAX_SECONDS = parseInt(process.env.AUTH_LOCKOUT_MAX_SECONDS || '3600', 10);
+// Express "trust proxy" setting, so req.ip is the client behind a load balancer
+// ('true', a number of hops, or a list of trusted addresses)
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Role a token needs to revoke other tokens through POST /auth/revoke
+const JWT_ADMIN_ROLE = process.env.JWT_ADMIN_ROLE || 'admin';
+// Require a bearer JWT on proxied requests, except on the anonymous path prefixes
+const JWT_AUTH_ENABLED = process.env.JWT_AUTH_ENABLED === 'true';
+const JWT_VERIFY_SECRET_NAME = process.env.JWT_VERIFY_SECRET_NAME || JWT_SECRET_NAME;
+const JWT_ANONYMOUS_PATHS = (process.env.JWT_ANONYMOUS_PATHS || '')
+  .split(',')
+  .map(path => path.trim())
+  .filter(Boolean);
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+// Minimum log level, extra fields whose values are never logged, and the fields of JSON request
+// bodies whose values are logged at debug level
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_REDACT_FIELDS = (process.env.LOG_REDACT_FIELDS || '')
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean);
+const LOG_BODY_FIELDS = (process.env.LOG_BODY_FIELDS || '')
+  .split(',')
+  .map(field => field.trim())
+  .filter(Boolean);
+// Expose Prometheus metrics at METRICS_PATH, on the proxy's port or on a separate METRICS_PORT
+const METRICS_ENABLED = process.env.METRICS_ENABLED === 'true';
+const METRICS_PATH = process.env.METRICS_PATH || '/metrics';
+const METRICS_PORT = process.env.METRICS_PORT;
+// Retry upstream calls that fail to connect, time out or answer 502/503/504, for idempotent
+// methods and requests with an Idempotency-Key header (routes can override the policy)
+const UPSTREAM_RETRIES = parseInt(process.env.UPSTREAM_RETRIES || '0', 10);
+const UPSTREAM_RETRY_BASE_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS || '100', 10);
+const UPSTREAM_RETRY_MAX_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY_MS || '2000', 10);
+// Refuse calls to an upstream with 503 for a while after it failed repeatedly
+const CIRCUIT_BREAKER_ENABLED = process.env.CIRCUIT_BREAKER_ENABLED === 'true';
+const CIRCUIT_BREAKER_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || '5', 10);
+const CIRCUIT_BREAKER_RESET_SECONDS = parseInt(process.env.CIRCUIT_BREAKER_RESET_SECONDS || '30', 10);
+// Readiness (/readyz) probes: a path requested on every upstream (none by default), and the Lambda
+const READINESS_UPSTREAM_PATH = process.env.READINESS_UPSTREAM_PATH;
+const READINESS_CHECK_LAMBDA = process.env.READINESS_CHECK_LAMBDA === 'true';
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS || '2000', 10);
+const SECRET_PROVIDER = process.env.SECRET_PROVIDER || 'aws';
+const SECRETS_FILE = process.env.SECRETS_FILE;
+const SECRET_ENV_PREFIX = process.env.SECRET_ENV_PREFIX || '';
+const HMAC_SIGNATURE_VERSION = process.env.HMAC_SIGNATURE_VERSION || SIGNATURE_VERSIONS.V1;
+const HMAC_SIGNED_HEADERS = normalizeHeaderNames(process.env.HMAC_SIGNED_HEADERS || '');
+const HMAC_NORMALIZE_PATH = process.env.HMAC_NORMALIZE_PATH === 'true';
+// Path prefixes on which internal callers must send their own valid HMAC signature
+const HMAC_VERIFY_PATHS = (process.env.HMAC_VERIFY_PATHS || '')
+  .split(',')
+  .map(path => path.trim())
+  .filter(Boolean);
+const HMAC_VERIFY_SECRET_NAME = process.env.HMAC_VERIFY_SECRET_NAME || HMAC_SECRET_NAME;
+const HMAC_MAX_CLOCK_SKEW_SECONDS = parseInt(process.env.HMAC_MAX_CLOCK_SKEW_SECONDS || '300', 10);
+const HMAC_NONCE_ENABLED = process.env.HMAC_NONCE_ENABLED === 'true';
+const HMAC_VERIFY_REQUIRE_NONCE = process.env.HMAC_VERIFY_REQUIRE_NONCE === 'true';
+const PROXY_STREAMING = process.env.PROXY_STREAMING === 'true';
+const PROXY_BODY_LIMIT = process.env.PROXY_BODY_LIMIT || '10mb';
+// Routing table as inline JSON or a path to a JSON file; without it every request goes to TARGET_BASE_URL
+const PROXY_ROUTES = process.env.PROXY_ROUTES;
+// v2 signs a digest of the body, which has to be computed before the request is sent,
+// so request bodies can only be streamed straight through with v1 signatures
+const STREAM_REQUEST_BODIES = PROXY_STREAMING && HMAC_SIGNATURE_VERSION !== SIGNATURE_VERSIONS.V2;
+// Path of the client lookup made by /auth; routes can rewrite it to the backend's own path
+const CLIENT_LOOKUP_PATH = '/api/v1/client/cpf/:cpf';
 
-if (!TARGET_BASE_URL) {
-  console.error('ERROR: TARGET_BASE_URL environment variable is required');
+const log = logger.child({ component: 'server' });
+try {
+  configureLogger({ level: LOG_LEVEL, redactFields: LOG_REDACT_FIELDS });
+} catch (error) {
+  log.error(`Invalid LOG_LEVEL: ${error.message}`);
   process.exit(1);
 }
 
-if (!HMAC_SECRET_NAME) {
-  console.error('ERROR: HMAC_SECRET_NAME environment variable is required');
+if (!PROXY_ROUTES && !TARGET_BASE_URL) {
+  log.error('TARGET_BASE_URL environment variable is required (or PROXY_ROUTES)');
   process.exit(1);
 }
 
-// Middleware to parse JSON bodies while preserving raw body access
-// Note: For accurate signing, we don't include body in canonical string per requirements
-app.use(express.json());
-app.use(express.text());
-app.use(express.raw({ type: 'application/octet-stream' }));
+if (!PROXY_ROUTES && !HMAC_SECRET_NAME) {
+  log.error('HMAC_SECRET_NAME environment variable is required (or PROXY_ROUTES)');
+  process.exit(1);
+}
+
+// Upstreams by path prefix and/or host, each signed with its own secret
+let routes;
+try {
+  routes = PROXY_ROUTES
+    ? loadRoutingTable(PROXY_ROUTES, { secretName: HMAC_SECRET_NAME })
+    : parseRoutingTable([{ name: 'default', pathPrefix: '/', target: TARGET_BASE_URL, secretName: HMAC_SECRET_NAME }]);
+} catch (error) {
+  log.error(`Invalid PROXY_ROUTES: ${error.message}`);
+  process.exit(1);
+}
+
+if (JWT_AUTH_ENABLED && !JWT_VERIFY_SECRET_NAME) {
+  log.error('JWT_VERIFY_SECRET_NAME or JWT_SECRET_NAME is required when JWT_AUTH_ENABLED is true');
+  process.exit(1);
+}
+
+// The identity headers derived from the JWT are always signed, so the upstream can trust them
+const SIGNED_HEADERS = JWT_AUTH_ENABLED
+  ? normalizeHeaderNames([...HMAC_SIGNED_HEADERS, ...IDENTITY_HEADERS])
+  : HMAC_SIGNED_HEADERS;
+
+if (HMAC_VERIFY_PATHS.length > 0 && !HMAC_VERIFY_SECRET_NAME) {
+  log.error('HMAC_VERIFY_SECRET_NAME is required for HMAC_VERIFY_PATHS when HMAC_SECRET_NAME is not set');
+  process.exit(1);
+}
+
+if (METRICS_ENABLED && !METRICS_PATH.startsWith('/')) {
+  log.error(`METRICS_PATH must start with /: ${METRICS_PATH}`);
+  process.exit(1);
+}
+
+if (READINESS_UPSTREAM_PATH !== undefined && !READINESS_UPSTREAM_PATH.startsWith('/')) {
+  log.error(`READINESS_UPSTREAM_PATH must start with /: ${READINESS_UPSTREAM_PATH}`);
+  process.exit(1);
+}
+
+if (READINESS_CHECK_LAMBDA && !LAMBDA_FUNCTION_NAME) {
+  log.error('LAMBDA_FUNCTION_NAME is required when READINESS_CHECK_LAMBDA is true');
+  process.exit(1);
+}
+
+if (!Object.values(SIGNATURE_VERSIONS).includes(HMAC_SIGNATURE_VERSION)) {
+  log.error(`HMAC_SIGNATURE_VERSION must be one of: ${Object.values(SIGNATURE_VERSIONS).join(', ')}`);
+  process.exit(1);
+}
+
+// Load the route secrets and JWT_SECRET_NAME from the configured secret provider
+try {
+  setSecretProvider(createSecretProvider({
+    type: SECRET_PROVIDER,
+    filePath: SECRETS_FILE,
+    prefix: SECRET_ENV_PREFIX
+  }));
+} catch (error) {
+  log.error(`Invalid secret provider configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Issues the tokens returned by /auth, signed with JWT_SECRET_NAME
+let tokenIssuer;
+try {
+  tokenIssuer = createTokenIssuer({
+    type: TOKEN_ISSUER,
+    functionName: LAMBDA_FUNCTION_NAME,
+    region: AWS_REGION,
+    getSecret: () => getSecret(JWT_SECRET_NAME, AWS_REGION),
+    algorithm: JWT_ALGORITHM,
+    expiresInSeconds: JWT_EXPIRES_IN_SECONDS,
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE
+  });
+} catch (error) {
+  log.error(`Invalid token issuer configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Claims of /auth tokens, whichever issuer signs them
+let claimsMapping;
+try {
+  claimsMapping = JWT_CLAIMS_MAPPING
+    ? loadClaimsMapping(JWT_CLAIMS_MAPPING)
+    : parseClaimsMapping(DEFAULT_CLAIMS_MAPPING);
+} catch (error) {
+  log.error(`Invalid JWT_CLAIMS_MAPPING: ${error.message}`);
+  process.exit(1);
+}
+
+// Revoked tokens and users, kept in memory per process and consulted wherever JWTs are accepted
+let tokenDenylist;
+try {
+  tokenDenylist = createTokenDenylist({
+    store: createMemoryDenylistStore(),
+    maxTokenLifetimeSeconds: TOKEN_REVOCATION_TTL_SECONDS
+  });
+} catch (error) {
+  log.error(`Invalid token revocation configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Refresh tokens are kept in memory, per process
+let refreshTokens = null;
+if (REFRESH_TOKEN_ENABLED) {
+  try {
+    refreshTokens = createRefreshTokenService({
+      store: createMemoryRefreshTokenStore(),
+      ttlSeconds: REFRESH_TOKEN_TTL_SECONDS,
+      denylist: tokenDenylist
+    });
+  } catch (error) {
+    log.error(`Invalid refresh token configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Rate limit buckets and lockouts are kept in memory, per process
+const rateLimitStore = createMemoryTtlStore();
+let authRateLimiter = null;
+if (AUTH_RATE_LIMIT_ENABLED) {
+  try {
+    authRateLimiter = createAuthRateLimiter({
+      store: rateLimitStore,
+      ip: { burst: AUTH_RATE_LIMIT_IP_BURST, perMinute: AUTH_RATE_LIMIT_IP_PER_MINUTE },
+      cpf: { burst: AUTH_RATE_LIMIT_CPF_BURST, perMinute: AUTH_RATE_LIMIT_CPF_PER_MINUTE },
+      lockout: {
+        maxFailures: AUTH_LOCKOUT_MAX_FAILURES,
+        lockoutSeconds: AUTH_LOCKOUT_SECONDS,
+        maxLockoutSeconds: AUTH_LOCKOUT_MAX_SECONDS
+      }
+    });
+  } catch (error) {
+    log.error(`Invalid auth rate limit configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (TRUST_PROXY) {
+  if (TRUST_PROXY === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(TRUST_PROXY)) {
+    app.set('trust proxy', parseInt(TRUST_PROXY, 10));
+  } else {
+    app.set('trust proxy', TRUST_PROXY);
+  }
+}
+
+let upstreamRetry;
+try {
+  upstreamRetry = parseRetryPolicy({
+    retries: UPSTREAM_RETRIES,
+    baseDelayMs: UPSTREAM_RETRY_BASE_DELAY_MS,
+    maxDelayMs: UPSTREAM_RETRY_MAX_DELAY_MS
+  }, 'UPSTREAM_RETRIES');
+} catch (error) {
+  log.error(`Invalid upstream retry configuration: ${error.message}`);
+  process.exit(1);
+}
+
+// Circuit breakers by upstream target URL, kept in memory per process
+let circuitBreakers = null;
+if (CIRCUIT_BREAKER_ENABLED) {
+  const circuitLog = logger.child({ component: 'circuit-breaker' });
+  try {
+    circuitBreakers = createCircuitBreakerGroup({
+      failureThreshold: CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+      resetTimeoutMs: CIRCUIT_BREAKER_RESET_SECONDS * 1000,
+      onStateChange: (target, state, previousState) => {
+        const level = state === CIRCUIT_STATES.OPEN ? 'warn' : 'info';
+        circuitLog[level]('Circuit state changed', { target, state, previousState });
+      }
+    });
+  } catch (error) {
+    log.error(`Invalid circuit breaker configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Client lookups are cached in memory, per process
+let clientCache = null;
+if (CLIENT_CACHE_ENABLED) {
+  try {
+    clientCache = createClientLookupCache({
+      store: createMemoryClientCacheStore({ maxEntries: CLIENT_CACHE_MAX_ENTRIES }),
+      ttlSeconds: CLIENT_CACHE_TTL_SECONDS,
+      notFoundTtlSeconds: CLIENT_CACHE_NOT_FOUND_TTL_SECONDS
+    });
+  } catch (error) {
+    log.error(`Invalid client cache configuration: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Metrics are always collected, and served when METRICS_ENABLED is set
+const metrics = createProxyMetrics();
+
+// Report secret cache refreshes so secret provider outages show up in the logs and metrics
+const secretsLog = logger.child({ component: 'secrets' });
+secretEvents.on('hit', ({ secretName }) => {
+  metrics.secretCache.inc({ secret: secretName, result: 'hit' });
+});
+secretEvents.on('miss', ({ secretName }) => {
+  metrics.secretCache.inc({ secret: secretName, result: 'miss' });
+});
+secretEvents.on('refresh', ({ secretName }) => {
+  metrics.secretRefreshes.inc({ secret: secretName, outcome: 'success' });
+  secretsLog.info('Refreshed secret', { secretName });
+});
+secretEvents.on('refreshError', ({ secretName, error, stale }) => {
+  metrics.secretRefreshes.inc({ secret: secretName, outcome: 'error' });
+  secretsLog.error(`Refresh of secret failed${stale ? ' (serving cached value)' : ''}`, { secretName, error });
+});
+
+function secondsSince(start) {
+  return (Date.now() - start) / 1000;
+}
+
+// Route label of a request's metrics: the upstream route it was proxied to, the path of the
+// endpoint that handled it (e.g. /auth/:cpf), or 'unrouted'
+function metricsRouteLabel(req) {
+  if (req.proxyRoute) {
+    return req.proxyRoute.name;
+  }
+  if (req.route && req.route.path !== '*') {
+    return req.route.path;
+  }
+  return 'unrouted';
+}
+
+// Middleware counting every request, by route, method and status, once its response is done
+function requestMetricsMiddleware(req, res, next) {
+  const start = Date.now();
+  res.once('close', () => {
+    const labels = { route: metricsRouteLabel(req), method: req.method, status: String(res.statusCode) };
+    metrics.httpRequests.inc(labels);
+    metrics.httpRequestDuration.observe(labels, secondsSince(start));
+  });
+  next();
+}
+
+function metricsHandler(req, res) {
+  res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.registry.render());
+}
+
+// Records the latency and failures of an upstream call, and reports them to its circuit breaker
+function recordUpstreamOutcome(route, config, breaker, result, start) {
+  const status = result.error ? result.error.response && result.error.response.status : result.status;
+  if (status) {
+    metrics.upstreamDuration.observe(
+      { route: route.name, method: config.method, status: String(status) },
+      secondsSince(start)
+    );
+  }
+  const kind = upstreamErrorKind(result);
+  if (kind) {
+    metrics.upstreamErrors.inc({ route: route.name, kind });
+  }
+  if (breaker) {
+    if (kind) {
+      breaker.recordFailure();
+    } else {
+      breaker.recordSuccess();
+    }
+  }
+}
+
+// Sends one request to an upstream, unless its circuit is open
+async function attemptUpstream(route, config) {
+  const breaker = circuitBreakers ? circuitBreakers.get(route.target) : null;
+  if (breaker) {
+    const permit = breaker.allowRequest();
+    if (!permit.allowed) {
+      metrics.circuitRejections.inc({ route: route.name });
+      throw createCircuitOpenError(route.name, permit.retryAfterSeconds);
+    }
+  }
+
+  const start = Date.now();
+  let response;
+  try {
+    response = await axios(config);
+  } catch (error) {
+    recordUpstreamOutcome(route, config, breaker, { error }, start);
+    throw error;
+  }
+  recordUpstreamOutcome(route, config, breaker, { status: response.status }, start);
+  return response;
+}
+
+/**
+ * Calls a route's upstream, retrying retryable requests with jittered backoff (see retry.js)
+ * @param {Object} route - Route of the upstream
+ * @param {Function} buildConfig - Async function returning the axios config of an attempt (0 for the first)
+ * @param {Object} options - Call options
+ * @param {boolean} options.retryable - Whether the request may be sent more than once
+ * @param {Object} options.log - Logger of the request
+ * @returns {Promise<Object>} Axios response of the last attempt
+ */
+function callUpstream(route, buildConfig, options) {
+  const policy = route.retry || upstreamRetry;
+  return retryWithBackoff(async attempt => attemptUpstream(route, await buildConfig(attempt)), {
+    ...policy,
+    retries: options.retryable ? policy.retries : 0,
+    onRetry: ({ attempt, delayMs, error, response }) => {
+      metrics.upstreamRetries.inc({ route: route.name });
+      options.log.warn('Retrying upstream request', {
+        route: route.name,
+        attempt,
+        delayMs,
+        ...(error ? { error } : { status: response.status })
+      });
+      // A streamed response that is not forwarded still holds its connection
+      if (response && response.data && typeof response.data.destroy === 'function') {
+        response.data.destroy();
+      }
+    }
+  });
+}
+
+function countAuth(endpoint, outcome) {
+  metrics.authOutcomes.inc({ endpoint, outcome });
+}
+
+// Keep the exact bytes received so the v2 signature covers what is actually forwarded
+function captureRawBody(req, res, buf) {
+  if (buf.length > 0) {
+    req.rawBody = buf;
+  }
+}
+
+// Reads bodies as raw bytes without decompressing them: a gzip body is forwarded (and hashed)
+// as the compressed bytes the client sent, along with its Content-Encoding. body-parser rejects
+// encoded bodies when inflate is off, so the header is hidden from it while the body is read.
+function createRawBodyParser(options) {
+  const parser = express.raw({ ...options, inflate: false });
+  return function rawBodyParser(req, res, next) {
+    const contentEncoding = req.headers['content-encoding'];
+    if (contentEncoding === undefined) {
+      return parser(req, res, next);
+    }
+    delete req.headers['content-encoding'];
+    parser(req, res, error => {
+      req.headers['content-encoding'] = contentEncoding;
+      next(error);
+    });
+  };
+}
+
+// What /readyz checks: every route's signing key, the upstreams when READINESS_UPSTREAM_PATH
+// is set (any answer below 500 counts as up) and the Lambda when READINESS_CHECK_LAMBDA is set
+const readinessChecks = [
+  ...[...new Set(routes.map(route => route.secretName))].map(secretName => ({
+    check: 'secret',
+    name: secretName,
+    run: async () => {
+      await getSigningKey(secretName);
+    }
+  })),
+  ...(READINESS_UPSTREAM_PATH === undefined ? [] : routes.map(route => ({
+    check: 'upstream',
+    name: route.name,
+    run: async () => {
+      const response = await axios({
+        method: 'GET',
+        url: `${route.target}${READINESS_UPSTREAM_PATH}`,
+        headers: await signedGetHeaders(route, READINESS_UPSTREAM_PATH, {}),
+        validateStatus: () => true,
+        timeout: READINESS_TIMEOUT_MS
+      });
+      if (response.status >= 500) {
+        throw new Error(`Upstream answered ${response.status}`);
+      }
+      return { httpStatus: response.status };
+    }
+  }))),
+  ...(READINESS_CHECK_LAMBDA ? [{
+    check: 'lambda',
+    name: LAMBDA_FUNCTION_NAME,
+    run: () => getLambdaFunctionState(LAMBDA_FUNCTION_NAME, AWS_REGION)
+  }] : [])
+];
+
+// Every request gets an ID for its log entries, forwarded upstream and returned to the caller
+app.use(createRequestIdMiddleware());
+
+// Health checks and scrapes are answered by the proxy itself, before anything else, and are
+// not counted in the request metrics
+app.get('/healthz', createLivenessHandler());
+app.get('/readyz', createReadinessHandler({ checks: readinessChecks, timeoutMs: READINESS_TIMEOUT_MS }));
+if (METRICS_ENABLED && !METRICS_PORT) {
+  app.get(METRICS_PATH, metricsHandler);
+} else if (METRICS_ENABLED) {
+  // Served on METRICS_PORT instead, but still never forwarded upstream
+  app.all(METRICS_PATH, (req, res) => {
+    res.status(404).json({
+      error: 'Not Found',
+      message: 'Metrics are not served on this port'
+    });
+  });
+}
+app.use(requestMetricsMiddleware);
+
+// Reject paths with dot segments or needlessly percent-encoded characters before any path-based
+// decision (verified paths, routes, anonymous paths, signing): they would match the prefixes
+// as one path and reach the upstream as another
+app.use((req, res, next) => {
+  const path = req.originalUrl || req.url;
+  if (hasDotSegments(path)) {
+    getRequestLogger(req, 'proxy').warn('Rejected path with dot segments', { method: req.method, path });
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Path must not contain . or .. segments'
+    });
+  }
+  if (hasEncodedUnreservedCharacters(path)) {
+    getRequestLogger(req, 'proxy').warn('Rejected path with percent-encoded unreserved characters', {
+      method: req.method,
+      path
+    });
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Path must not percent-encode letters, digits or -._~'
+    });
+  }
+  next();
+});
+
+// Token management requests are small JSON documents; parsing them here skips the raw parser below
+app.use(['/auth/refresh', '/auth/logout', '/auth/revoke'], express.json({ limit: '16kb' }));
+
+// Middleware to read bodies of every content type as raw bytes, so that JSON, forms and
+// multipart uploads (with their boundaries) are forwarded exactly as received
+const bodyParsers = [
+  createRawBodyParser({ type: () => true, limit: PROXY_BODY_LIMIT, verify: captureRawBody })
+];
+if (!STREAM_REQUEST_BODIES) {
+  app.use(bodyParsers);
+} else if (HMAC_VERIFY_PATHS.length > 0) {
+  // Incoming v2 signatures are checked against the body, so verified paths are still buffered
+  app.use(HMAC_VERIFY_PATHS, bodyParsers);
+}
+
+// Require signed calls on the configured paths (checked before the proxy replaces x-hmac-* headers)
+if (HMAC_VERIFY_PATHS.length > 0) {
+  app.use(HMAC_VERIFY_PATHS, createHmacVerificationMiddleware({
+    getSecret: () => getSecret(HMAC_VERIFY_SECRET_NAME, AWS_REGION),
+    maxSkewMs: HMAC_MAX_CLOCK_SKEW_SECONDS * 1000,
+    normalizePath: HMAC_NORMALIZE_PATH,
+    nonceStore: HMAC_VERIFY_REQUIRE_NONCE ? createMemoryNonceStore() : undefined
+  }));
+}
+
+// Loads a route's HMAC secret (a plain secret or a JSON keyring) and returns the key that signs requests
+async function getSigningKey(secretName) {
+  const secret = await getSecret(secretName, AWS_REGION);
+  return getActiveKey(parseKeyring(secret));
+}
+
+// Headers of a GET the proxy sends on its own behalf (client lookups, readiness probes),
+// with the route's header rules applied and signed with the route's key
+async function signedGetHeaders(route, path, headers) {
+  const signingKey = await getSigningKey(route.secretName);
+  const ownReq = {
+    method: 'GET',
+    originalUrl: path,
+    url: path,
+    headers: applyRequestHeaderRules(headers, route.requestHeaders)
+  };
+  const signatureHeaders = createSignatureHeaders(signingKey.secret, ownReq, {
+    keyId: signingKey.id,
+    version: HMAC_SIGNATURE_VERSION,
+    signedHeaders: SIGNED_HEADERS,
+    normalizePath: HMAC_NORMALIZE_PATH,
+    nonce: HMAC_NONCE_ENABLED
+  });
+  return { ...ownReq.headers, ...signatureHeaders };
+}
+
+// Middleware to pick the upstream route; unmatched requests are not proxied anywhere
+function resolveRouteMiddleware(req, res, next) {
+  const pathAndQuery = req.originalUrl || req.url;
+  const route = matchRoute(routes, { host: req.headers.host, path: pathAndQuery });
+  if (!route) {
+    getRequestLogger(req, 'proxy').warn('No route for request', { method: req.method, host: req.headers.host, path: pathAndQuery });
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No upstream route matches ${req.method} ${pathAndQuery}`
+    });
+  }
+
+  // Rewrite the path before signing, so the signature covers what the upstream receives
+  req.proxyRoute = route;
+  req.upstreamPath = buildUpstreamPath(route, pathAndQuery);
+  next();
+}
+
+// Signs a proxied request over the path sent upstream (the timestamp, and nonce, are always
+// generated on server side), returning the x-hmac-* headers expected by the target API
+async function signProxyRequest(req) {
+  const signingKey = await getSigningKey(req.proxyRoute.secretName);
+  const upstreamReq = {
+    method: req.method,
+    originalUrl: req.upstreamPath,
+    headers: req.headers,
+    rawBody: req.rawBody
+  };
+  const signatureHeaders = createSignatureHeaders(signingKey.secret, upstreamReq, {
+    keyId: signingKey.id,
+    version: HMAC_SIGNATURE_VERSION,
+    signedHeaders: SIGNED_HEADERS,
+    normalizePath: HMAC_NORMALIZE_PATH,
+    nonce: HMAC_NONCE_ENABLED
+  });
+  return { signingKey, signatureHeaders };
+}
 
 // Middleware to add HMAC headers
 async function createSignatureMiddleware(req, res, next) {
   try {
-    // Always generate timestamp on server side
-    const timestamp = new Date().toISOString();
-    // Set the header name expected by the target API
-    req.headers['x-hmac-timestamp'] = timestamp;
+    // Never forward signature headers supplied by the caller
+    Object.keys(req.headers)
+      .filter(key => key.startsWith('x-hmac-'))
+      .forEach(key => delete req.headers[key]);
 
-    // Get the secret from AWS Secrets Manager
-    const secret = await getSecret(HMAC_SECRET_NAME, AWS_REGION);
+    // Apply the route's header rules last, so they are covered by the signature
+    applyRequestHeaderRules(req.headers, req.proxyRoute.requestHeaders);
 
-    // Compute the signature
-    const signature = signRequest(secret, req, timestamp);
-    const sigPreview = signature.slice(0, 8);
+    // Sign with the route's active signing key from the secret provider
+    const { signingKey, signatureHeaders } = await signProxyRequest(req);
+    Object.assign(req.headers, signatureHeaders);
 
-    // Add signature to request headers for forwarding (header name expected by target API)
-    req.headers['x-hmac-signature'] = signature;
-    console.log(`[signature] ${req.method} ${req.originalUrl || req.url} sig=${sigPreview}...`);
+    getRequestLogger(req, 'signature').debug('Signed request', {
+      method: req.method,
+      path: req.upstreamPath,
+      route: req.proxyRoute.name,
+      keyId: signingKey.id
+    });
 
     next();
   } catch (error) {
-    console.error('Error creating signature:', error.message);
+    getRequestLogger(req, 'signature').error('Error creating signature', { error });
     return res.status(500).json({
       error: 'Failed to create signature',
       message: error.message
@@ -57,162 +710,419 @@ async function createSignatureMiddleware(req, res, next) {
   }
 }
 
-// Helper function to format request details for logging
-function formatRequestForLogging(method, url, headers, body) {
-  const lines = [];
-  lines.push(`${method} ${url} HTTP/1.1`);
-  
-  // Log headers (sanitize sensitive values)
-  Object.keys(headers).forEach(key => {
-    let value = headers[key];
-    // Truncate HMAC signature in logs for security
-    if (key.toLowerCase() === 'x-hmac-signature' && typeof value === 'string' && value.length > 8) {
-      value = `${value.slice(0, 8)}...`;
+// Whether an unread request still carries a body that can be piped to the target
+function hasUnreadBody(req) {
+  if (req.rawBody !== undefined || req.readableEnded) {
+    return false;
+  }
+  const contentLength = req.headers['content-length'];
+  return req.headers['transfer-encoding'] !== undefined ||
+    (contentLength !== undefined && contentLength !== '0');
+}
+
+// Request body as logged at debug level: its size and content type, plus the LOG_BODY_FIELDS of
+// a JSON body. Any other field may hold personal or payment data, so its value is never logged
+function bodyForLogging(body, contentType) {
+  if (!Buffer.isBuffer(body)) {
+    return body;
+  }
+  const summary = { size: body.length, ...(contentType && { contentType }) };
+  if (LOG_BODY_FIELDS.length === 0 || !/\bjson\b/i.test(contentType || '')) {
+    return summary;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    return summary;
+  }
+  if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return summary;
+  }
+  const fields = {};
+  LOG_BODY_FIELDS.forEach(field => {
+    if (Object.prototype.hasOwnProperty.call(parsed, field)) {
+      fields[field] = parsed[field];
+    }
+  });
+  return { ...summary, fields };
+}
+
+// Refresh endpoint: POST /auth/refresh with {"refresh_token": "..."}
+// (registered before /auth/:cpf, which would otherwise treat "refresh" as a CPF)
+app.post('/auth/refresh', async (req, res) => {
+  const start = Date.now();
+  const log = getRequestLogger(req, 'auth');
+  if (!refreshTokens) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Refresh tokens are not enabled'
+    });
+  }
+
+  const refreshToken = req.body && req.body.refresh_token;
+  if (typeof refreshToken !== 'string' || refreshToken === '') {
+    countAuth('refresh', 'invalid_request');
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'refresh_token is required'
+    });
+  }
+
+  let result;
+  try {
+    result = await refreshTokens.rotate(refreshToken);
+  } catch (error) {
+    log.error('Error rotating refresh token', { error });
+    countAuth('refresh', 'error');
+    return res.status(500).json({
+      error: 'Token refresh failed',
+      message: error.message
+    });
+  }
+
+  if (!result.valid) {
+    if (result.reused) {
+      log.warn('Refresh token reuse detected, token family revoked');
     }
-    lines.push(`${key}: ${value}`);
+    countAuth('refresh', result.reused ? 'reused' : 'invalid_token');
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: result.reason
+    });
+  }
+
+  let tokenResponse;
+  try {
+    tokenResponse = await tokenIssuer.issueToken(result.claims);
+  } catch (error) {
+    log.error('Error issuing token', { error });
+    countAuth('refresh', 'issuer_error');
+    return res.status(500).json({
+      error: 'JWT generation failed',
+      message: error.message
+    });
+  }
+
+  res.status(200).json({
+    ...tokenResponse,
+    refresh_token: result.refreshToken,
+    refresh_expires_in: result.expiresIn
   });
-  
-  lines.push(''); // Empty line before body
-  
-  // Log body if present
-  if (body !== undefined && body !== null && body !== '') {
-    let bodyStr = '';
-    if (Buffer.isBuffer(body)) {
-      bodyStr = `[Binary data: ${body.length} bytes]`;
-    } else if (typeof body === 'object') {
-      bodyStr = JSON.stringify(body, null, 2);
+  countAuth('refresh', 'refreshed');
+  log.info('Token refreshed', { durationMs: Date.now() - start });
+});
+
+// Bearer JWT check for the token management endpoints below
+const bearerTokenMiddleware = createJwtAuthMiddleware({
+  getSecret: () => getSecret(JWT_VERIFY_SECRET_NAME, AWS_REGION),
+  algorithms: [JWT_ALGORITHM],
+  issuer: JWT_ISSUER,
+  audience: JWT_AUDIENCE,
+  denylist: tokenDenylist
+});
+
+function requireJwtVerificationKey(req, res, next) {
+  if (!JWT_VERIFY_SECRET_NAME) {
+    getRequestLogger(req, 'auth').error('JWT_VERIFY_SECRET_NAME or JWT_SECRET_NAME environment variable is not set');
+    return res.status(500).json({
+      error: 'Configuration error',
+      message: 'JWT secret name not configured'
+    });
+  }
+  next();
+}
+
+// Logout endpoint: POST /auth/logout with the access token as bearer token and
+// optionally {"refresh_token": "..."} to end the refresh token family too
+app.post('/auth/logout', requireJwtVerificationKey, bearerTokenMiddleware, async (req, res) => {
+  const log = getRequestLogger(req, 'auth');
+  const { jti, exp } = req.user.claims;
+  const refreshToken = req.body && req.body.refresh_token;
+  try {
+    // Tokens without a jti cannot be revoked one by one, so all of the user's tokens are
+    if (jti) {
+      await tokenDenylist.revokeToken(jti, exp);
     } else {
-      bodyStr = String(body);
+      await tokenDenylist.revokeUser(req.user.id);
     }
-    
-    // Limit body size in logs to avoid huge log entries
-    const maxBodyLogSize = 2000;
-    if (bodyStr.length > maxBodyLogSize) {
-      bodyStr = bodyStr.substring(0, maxBodyLogSize) + `\n... [truncated, total ${bodyStr.length} chars]`;
+    if (refreshTokens && typeof refreshToken === 'string' && refreshToken !== '') {
+      await refreshTokens.revoke(refreshToken);
+    }
+  } catch (error) {
+    log.error('Error logging out', { error });
+    return res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+
+  log.info(`User logged out${jti ? '' : ' (all tokens revoked, token has no jti)'}`, { userId: req.user.id });
+  res.status(204).end();
+});
+
+// Admin revocation endpoint: POST /auth/revoke with {"jti": "...", "expiresAt": <exp>} and/or {"userId": "..."}
+app.post('/auth/revoke', requireJwtVerificationKey, bearerTokenMiddleware, async (req, res) => {
+  const log = getRequestLogger(req, 'auth');
+  if (req.user.role !== JWT_ADMIN_ROLE) {
+    log.warn('Non-admin user tried to revoke tokens', { userId: req.user.id, role: req.user.role });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Revoking tokens requires the ${JWT_ADMIN_ROLE} role`
+    });
+  }
+
+  const { jti, userId, expiresAt } = req.body || {};
+  if (!jti && !userId) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'jti or userId is required'
+    });
+  }
+  if (expiresAt !== undefined && (!Number.isInteger(expiresAt) || expiresAt <= 0)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'expiresAt must be a Unix time in seconds'
+    });
+  }
+
+  try {
+    if (jti) {
+      await tokenDenylist.revokeToken(String(jti), expiresAt);
+    }
+    if (userId) {
+      await tokenDenylist.revokeUser(String(userId));
     }
-    lines.push(bodyStr);
+  } catch (error) {
+    log.error('Error revoking tokens', { error });
+    return res.status(500).json({
+      error: 'Revocation failed',
+      message: error.message
+    });
+  }
+
+  const revoked = [jti && `token ${jti}`, userId && `all tokens of user ${userId}`].filter(Boolean).join(' and ');
+  log.warn(`Admin revoked ${revoked}`, { userId: req.user.id });
+  res.status(204).end();
+});
+
+// Admin client cache invalidation endpoint: DELETE /auth/clients/:cpf, for clients whose
+// data changed upstream and should be looked up again on their next /auth
+app.delete('/auth/clients/:cpf', requireJwtVerificationKey, bearerTokenMiddleware, async (req, res) => {
+  const log = getRequestLogger(req, 'auth');
+  if (req.user.role !== JWT_ADMIN_ROLE) {
+    log.warn('Non-admin user tried to invalidate a client lookup', { userId: req.user.id, role: req.user.role });
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Invalidating client lookups requires the ${JWT_ADMIN_ROLE} role`
+    });
+  }
+  if (!clientCache) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Client cache is not enabled'
+    });
+  }
+
+  const validation = validateCpf(req.params.cpf);
+  if (!validation.valid) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: validation.reason,
+      field: 'cpf'
+    });
+  }
+
+  try {
+    await clientCache.invalidate(validation.cpf);
+  } catch (error) {
+    log.error('Error invalidating client lookup', { error });
+    return res.status(500).json({
+      error: 'Invalidation failed',
+      message: error.message
+    });
+  }
+
+  log.warn('Admin invalidated a cached client lookup', { userId: req.user.id, cpf: maskCpf(validation.cpf) });
+  res.status(204).end();
+});
+
+function rejectRateLimitedAuth(req, res, limited) {
+  countAuth('token', 'rate_limited');
+  getRequestLogger(req, 'auth').warn('Rate limited', {
+    ip: req.ip,
+    reason: limited.message,
+    retryAfterSeconds: limited.retryAfterSeconds
+  });
+  sendTooManyRequests(res, limited.retryAfterSeconds, limited.message);
+}
+
+// Invalid and unknown CPFs count towards the lockout of the caller's IP, which stops CPF enumeration
+async function recordFailedAuth(req) {
+  if (!authRateLimiter) {
+    return;
+  }
+  const status = await authRateLimiter.recordFailure(req.ip);
+  if (status && status.locked) {
+    getRequestLogger(req, 'auth').warn('Locked out after repeated failed lookups', {
+      ip: req.ip,
+      retryAfterSeconds: status.retryAfterSeconds
+    });
   }
-  
-  return lines.join('\n');
 }
 
 // JWT generation endpoint: POST /auth/:cpf
-app.post('/auth/:cpf', createSignatureMiddleware, async (req, res) => {
+app.post('/auth/:cpf', async (req, res) => {
   const start = Date.now();
-  try {
-    const cpf = req.params.cpf;
+  const log = getRequestLogger(req, 'auth');
+  if (authRateLimiter) {
+    const limited = await authRateLimiter.checkIp(req.ip);
+    if (limited) {
+      return rejectRateLimitedAuth(req, res, limited);
+    }
+  }
+
+  // Reject malformed CPFs before anything is signed or sent upstream
+  const validation = validateCpf(req.params.cpf);
+  if (!validation.valid) {
+    log.warn('Rejected CPF', { cpf: maskCpf(req.params.cpf), reason: validation.reason });
+    await recordFailedAuth(req);
+    countAuth('token', 'invalid_cpf');
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: validation.reason,
+      field: 'cpf'
+    });
+  }
+  const cpf = validation.cpf;
+
+  if (authRateLimiter) {
+    const limited = await authRateLimiter.checkCpf(cpf);
+    if (limited) {
+      return rejectRateLimitedAuth(req, res, limited);
+    }
+  }
 
-    if (!cpf) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'CPF parameter is required'
+  try {
+    // 1. Lookup client from target API with HMAC signature, routed like a proxied request
+    const clientLookupPath = fillPathTemplate(CLIENT_LOOKUP_PATH, { cpf });
+    const clientRoute = matchRoute(routes, { host: req.headers.host, path: clientLookupPath });
+    if (!clientRoute) {
+      log.error('No route for client lookup path', { path: clientLookupPath });
+      countAuth('token', 'config_error');
+      return res.status(500).json({
+        error: 'Configuration error',
+        message: 'No upstream route for client lookup'
       });
     }
+    const upstreamLookupPath = buildUpstreamPath(clientRoute, clientLookupPath);
+    const clientLookupUrl = `${clientRoute.target}${upstreamLookupPath}`;
+
+    const fetchClient = async () => {
+      log.info('Looking up client', { url: clientLookupUrl });
 
-    // 1. Lookup client from target API with HMAC signature
-    const clientLookupPath = `/api/v1/client/cpf/${cpf}`;
-    const clientLookupUrl = `${TARGET_BASE_URL}${clientLookupPath}`;
-    console.log(`[auth] Looking up client: ${clientLookupUrl}`);
-
-    // Generate signature for the client lookup request
-    const hmacSecret = await getSecret(HMAC_SECRET_NAME, AWS_REGION);
-    const timestamp = new Date().toISOString();
-    const mockReq = {
-      method: 'GET',
-      originalUrl: clientLookupPath,
-      url: clientLookupPath
+      // Sign every attempt of the client lookup request (a GET, so it can be retried)
+      const response = await callUpstream(clientRoute, async () => ({
+        method: 'GET',
+        url: clientLookupUrl,
+        headers: await signedGetHeaders(clientRoute, upstreamLookupPath, { [REQUEST_ID_HEADER]: req.id }),
+        validateStatus: () => true,
+        timeout: clientRoute.timeoutMs
+      }), { retryable: true, log });
+      return { status: response.status, data: response.data };
     };
-    const clientSignature = signRequest(hmacSecret, mockReq, timestamp);
 
-    const clientResponse = await axios({
-      method: 'GET',
-      url: clientLookupUrl,
-      headers: {
-        'x-hmac-signature': clientSignature,
-        'x-hmac-timestamp': timestamp
-      },
-      validateStatus: () => true,
-      timeout: 30000
-    });
+    const clientResponse = clientCache ? await clientCache.lookup(cpf, fetchClient) : await fetchClient();
+    if (clientResponse.cached) {
+      log.info('Client lookup served from cache', { cpf: maskCpf(cpf), status: clientResponse.status });
+    }
 
     if (clientResponse.status !== 200) {
-      console.error(`[auth] Client lookup failed: ${clientResponse.status}`, clientResponse.data);
+      log.error('Client lookup failed', { status: clientResponse.status, body: clientResponse.data });
+      if (clientResponse.status === 404) {
+        await recordFailedAuth(req);
+      }
+      countAuth('token', clientResponse.status === 404 ? 'not_found' : 'lookup_failed');
       return res.status(clientResponse.status).json({
         error: 'Client lookup failed',
         message: clientResponse.data?.message || 'Failed to retrieve client information'
       });
     }
 
-    // Extract client data from nested data property
+    // Extract client data from nested data property and map it to token claims
     const client = clientResponse.data?.data || clientResponse.data;
-    
-    // Validate client data
-    if (!client.id || !client.email) {
-      console.error('[auth] Invalid client data:', client);
+    const mapped = mapClaims(claimsMapping, client);
+    if (!mapped.valid) {
+      log.error('Invalid client data', { reason: mapped.reason, client });
+      countAuth('token', 'invalid_client');
       return res.status(500).json({
         error: 'Invalid client data',
-        message: 'Client data missing required fields (id, email)'
+        message: mapped.reason
       });
     }
+    const { claims } = mapped;
 
-    // 2. Fetch JWT secret from AWS Secrets Manager
+    // 2. Check the token issuer configuration
     if (!JWT_SECRET_NAME) {
-      console.error('[auth] JWT_SECRET_NAME environment variable is not set');
+      log.error('JWT_SECRET_NAME environment variable is not set');
+      countAuth('token', 'config_error');
       return res.status(500).json({
         error: 'Configuration error',
         message: 'JWT secret name not configured'
       });
     }
 
-    const jwtSecret = await getSecret(JWT_SECRET_NAME, AWS_REGION);
-    
-    // Log secret retrieval (truncated for security)
-    if (jwtSecret) {
-      const secretPreview = jwtSecret.length > 8 ? `${jwtSecret.slice(0, 8)}...` : '***';
-      console.log(`[auth] JWT secret retrieved (length: ${jwtSecret.length}, preview: ${secretPreview})`);
-    } else {
-      console.error('[auth] JWT secret is null or undefined');
-    }
-
-    // 3. Invoke Lambda function to generate JWT
-    if (!LAMBDA_FUNCTION_NAME) {
-      console.error('[auth] LAMBDA_FUNCTION_NAME environment variable is not set');
+    if (TOKEN_ISSUER === TOKEN_ISSUER_TYPES.LAMBDA && !LAMBDA_FUNCTION_NAME) {
+      log.error('LAMBDA_FUNCTION_NAME environment variable is not set');
+      countAuth('token', 'config_error');
       return res.status(500).json({
         error: 'Configuration error',
         message: 'Lambda function name not configured'
       });
     }
 
-    const lambdaPayload = {
-      userId: client.id,
-      email: client.email,
-      role: client.role || 'user', // Provide default role if not present
-      jwtSecret: jwtSecret
-    };
-
-    console.log(`[auth] Invoking Lambda function: ${LAMBDA_FUNCTION_NAME}`);
-    const lambdaResponse = await invokeLambda(LAMBDA_FUNCTION_NAME, lambdaPayload, AWS_REGION);
+    // 3. Issue the JWT
+    log.info('Issuing token', { issuer: tokenIssuer.description });
+    let tokenResponse;
+    try {
+      tokenResponse = await tokenIssuer.issueToken(claims);
+    } catch (error) {
+      log.error('Error issuing token', { error });
+      countAuth('token', 'issuer_error');
+      return res.status(500).json({
+        error: 'JWT generation failed',
+        message: error.message
+      });
+    }
 
-    // 4. Return Lambda response to client
-    if (lambdaResponse.statusCode === 200 && lambdaResponse.body) {
-      res.status(200).json(lambdaResponse.body);
-      console.log(`[auth] JWT generated successfully for CPF ${cpf} (${Date.now() - start}ms)`);
-    } else {
-      throw new Error('Lambda function returned an error');
+    // 4. Start a refresh token family for the client
+    if (refreshTokens) {
+      const refresh = await refreshTokens.issue(claims);
+      tokenResponse = {
+        ...tokenResponse,
+        refresh_token: refresh.refreshToken,
+        refresh_expires_in: refresh.expiresIn
+      };
     }
+
+    // 5. Return the token to the client
+    res.status(200).json(tokenResponse);
+    countAuth('token', 'issued');
+    log.info('JWT generated', { cpf: maskCpf(cpf), durationMs: Date.now() - start });
   } catch (error) {
-    console.error('[auth] Error generating JWT:', error.message);
-    
+    log.error('Error generating JWT', { error });
+    countAuth('token', error.response || error.code ? 'lookup_failed' : 'error');
+
     if (error.response) {
       // Error from target API
       res.status(error.response.status || 500).json({
         error: 'Client lookup failed',
         message: error.response.data?.message || error.message
       });
-    } else if (error.message.includes('Lambda function')) {
-      // Lambda-specific errors
-      res.status(500).json({
-        error: 'JWT generation failed',
+    } else if (error.code === CIRCUIT_OPEN_ERROR_CODE) {
+      res.setHeader('Retry-After', String(error.retryAfterSeconds));
+      res.status(503).json({
+        error: 'Client lookup failed',
         message: error.message
       });
     } else {
@@ -225,23 +1135,40 @@ app.post('/auth/:cpf', createSignatureMiddleware, async (req, res) => {
   }
 });
 
-// Catch-all route to proxy requests
-app.all('*', createSignatureMiddleware, async (req, res) => {
+// Bearer JWT check for proxied requests (a no-op unless JWT_AUTH_ENABLED is set)
+const jwtAuthMiddleware = JWT_AUTH_ENABLED
+  ? createJwtAuthMiddleware({
+    getSecret: () => getSecret(JWT_VERIFY_SECRET_NAME, AWS_REGION),
+    algorithms: [JWT_ALGORITHM],
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    anonymousPaths: JWT_ANONYMOUS_PATHS,
+    denylist: tokenDenylist
+  })
+  : (req, res, next) => next();
+
+// Per-route limits from the routing table (a no-op on routes without rateLimit)
+const routeRateLimitMiddleware = createRouteRateLimitMiddleware({ store: rateLimitStore });
+
+// Catch-all route to proxy requests to the matching upstream
+app.all('*', resolveRouteMiddleware, jwtAuthMiddleware, routeRateLimitMiddleware, createSignatureMiddleware, async (req, res) => {
   const start = Date.now();
+  const log = getRequestLogger(req, 'proxy');
+  const route = req.proxyRoute;
   try {
     // Construct target URL
-    const targetUrl = `${TARGET_BASE_URL}${req.originalUrl || req.url}`;
+    const targetUrl = `${route.target}${req.upstreamPath}`;
+
+    // Bodies that were not buffered are piped straight from the incoming request
+    const streamBody = STREAM_REQUEST_BODIES && hasUnreadBody(req);
 
     // Prepare headers - copy from request but clean up problematic ones
     const headers = { ...req.headers };
     
     // Remove headers that shouldn't be forwarded or will be set by axios
     delete headers.host;
-    delete headers['content-length']; // Let axios calculate this automatically
-    
-    // Ensure Content-Type is set for JSON bodies
-    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) && !headers['content-type']) {
-      headers['content-type'] = 'application/json';
+    if (!streamBody) {
+      delete headers['content-length']; // Let axios calculate this automatically
     }
 
     // Prepare request configuration
@@ -254,26 +1181,48 @@ app.all('*', createSignatureMiddleware, async (req, res) => {
         'x-hmac-signature': req.headers['x-hmac-signature'],
         'x-hmac-timestamp': req.headers['x-hmac-timestamp']
       },
-      // Forward the body if present
-      data: req.body,
+      // Forward the exact body bytes that were signed, if present
+      data: streamBody ? req : req.rawBody,
       // Don't validate status - forward all status codes
       validateStatus: () => true,
       // Set timeout
-      timeout: 30000
+      timeout: route.timeoutMs
     };
 
-    // Log the full request being forwarded
-    console.log('[proxy] Forwarding request to target:');
-    console.log(formatRequestForLogging(config.method, config.url, config.headers, config.data));
+    if (PROXY_STREAMING) {
+      // Pass the response through untouched, including its content encoding
+      config.responseType = 'stream';
+      config.decompress = false;
+      config.maxBodyLength = Infinity;
+      config.maxContentLength = Infinity;
+    }
+
+    // Log the request being forwarded (the logger redacts credentials and signatures)
+    log.debug('Forwarding request', {
+      method: config.method,
+      url: config.url,
+      headers: config.headers,
+      body: bodyForLogging(config.data, config.headers['content-type'])
+    });
 
-    // Forward the request
-    const response = await axios(config);
+    // Forward the request, retrying it when it is safe to send again and its body is buffered
+    const response = await callUpstream(route, async attempt => {
+      if (attempt === 0) {
+        return config;
+      }
+      // Retries are signed again, so they carry a fresh timestamp and nonce
+      const { signatureHeaders } = await signProxyRequest(req);
+      return { ...config, headers: { ...config.headers, ...signatureHeaders } };
+    }, { retryable: !streamBody && isRetryableRequest(req.method, req.headers), log });
 
     // Forward status code
     res.status(response.status);
 
     // Forward response headers (filter out some that shouldn't be forwarded)
-    const headersToSkip = ['connection', 'transfer-encoding', 'content-encoding'];
+    // A streamed response keeps its original encoding, so content-encoding is forwarded too
+    const headersToSkip = PROXY_STREAMING
+      ? ['connection', 'transfer-encoding']
+      : ['connection', 'transfer-encoding', 'content-encoding'];
     if (response.headers) {
       Object.keys(response.headers).forEach(header => {
         if (!headersToSkip.includes(header.toLowerCase())) {
@@ -281,24 +1230,58 @@ app.all('*', createSignatureMiddleware, async (req, res) => {
         }
       });
     }
+    applyResponseHeaderRules(res, route.responseHeaders);
 
     // Forward response body
-    res.send(response.data);
+    if (PROXY_STREAMING) {
+      pipeline(response.data, res, (streamError) => {
+        if (streamError) {
+          log.error('Response stream failed', { method: req.method, url: targetUrl, error: streamError });
+        }
+      });
+    } else {
+      res.send(response.data);
+    }
 
-    console.log(
-      `[proxy] ${req.method} ${targetUrl} -> ${response.status} (${Date.now() - start}ms)`
-    );
+    log.info('Proxied request', {
+      method: req.method,
+      url: targetUrl,
+      route: route.name,
+      status: response.status,
+      durationMs: Date.now() - start
+    });
   } catch (error) {
-    console.error('Error proxying request:', error.message);
-    
-    if (error.response) {
+    if (error.code === CIRCUIT_OPEN_ERROR_CODE) {
+      log.warn('Upstream circuit open, request refused', { method: req.method, route: route.name });
+    } else {
+      log.error('Error proxying request', { method: req.method, route: route.name, error });
+    }
+
+    if (res.headersSent) {
+      // The response has already started streaming, so the status can no longer be changed
+      res.destroy(error);
+    } else if (error.response) {
       // Forward error response from target
       res.status(error.response.status);
-      res.send(error.response.data);
+      if (error.response.data && typeof error.response.data.pipe === 'function') {
+        error.response.data.pipe(res);
+      } else {
+        res.send(error.response.data);
+      }
 
-      console.log(
-        `[proxy] ${req.method} ${req.originalUrl || req.url} -> upstream ${error.response.status} (${Date.now() - start}ms)`
-      );
+      log.info('Proxied request', {
+        method: req.method,
+        path: req.originalUrl || req.url,
+        route: route.name,
+        status: error.response.status,
+        durationMs: Date.now() - start
+      });
+    } else if (error.code === CIRCUIT_OPEN_ERROR_CODE) {
+      res.setHeader('Retry-After', String(error.retryAfterSeconds));
+      res.status(503).json({
+        error: 'Service Unavailable',
+        message: error.message
+      });
     } else if (error.code === 'ECONNREFUSED') {
       res.status(502).json({
         error: 'Bad Gateway',
@@ -318,11 +1301,12 @@ app.all('*', createSignatureMiddleware, async (req, res) => {
   }
 });
 
-// Error handling middleware
+// Error handling middleware (body parsing errors carry their own status, e.g. 413)
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal Server Error',
+  getRequestLogger(req, 'server').error('Unhandled error', { error: err });
+  const status = err.status || err.statusCode || 500;
+  res.status(status).json({
+    error: STATUS_CODES[status] || 'Internal Server Error',
     message: err.message
   });
 });
@@ -330,11 +1314,59 @@ app.use((err, req, res, next) => {
 // Start server only if this file is run directly (not when imported for tests)
 if (require.main === module) {
   app.listen(PORT, () => {
-    console.log(`Express HMAC Proxy server listening on port ${PORT}`);
-    console.log(`Target base URL: ${TARGET_BASE_URL}`);
-    console.log(`HMAC Secret Name: ${HMAC_SECRET_NAME}`);
-    console.log(`AWS Region: ${AWS_REGION}`);
+    log.info('Express HMAC Proxy server listening', { port: Number(PORT) });
+    routes.forEach(route => {
+      log.info('Route', {
+        route: route.name,
+        match: `${route.host || '*'}${route.pathPrefix}`,
+        target: route.target,
+        secretName: route.secretName,
+        timeoutMs: route.timeoutMs,
+        stripPrefix: route.stripPrefix,
+        rateLimit: route.rateLimit,
+        retry: route.retry
+      });
+    });
+    log.info('Configuration', {
+      hmacSignatureVersion: HMAC_SIGNATURE_VERSION,
+      hmacSignedHeaders: SIGNED_HEADERS,
+      hmacNormalizePath: HMAC_NORMALIZE_PATH,
+      hmacNonce: HMAC_NONCE_ENABLED,
+      hmacVerifyPaths: HMAC_VERIFY_PATHS,
+      awsRegion: AWS_REGION,
+      secretProvider: SECRET_PROVIDER,
+      tokenIssuer: tokenIssuer.description,
+      authRateLimit: AUTH_RATE_LIMIT_ENABLED
+        ? { ipPerMinute: AUTH_RATE_LIMIT_IP_PER_MINUTE, cpfPerMinute: AUTH_RATE_LIMIT_CPF_PER_MINUTE }
+        : false,
+      clientCache: CLIENT_CACHE_ENABLED
+        ? { ttlSeconds: CLIENT_CACHE_TTL_SECONDS, notFoundTtlSeconds: CLIENT_CACHE_NOT_FOUND_TTL_SECONDS }
+        : false,
+      refreshTokens: REFRESH_TOKEN_ENABLED ? { ttlSeconds: REFRESH_TOKEN_TTL_SECONDS } : false,
+      jwtAuth: JWT_AUTH_ENABLED ? { anonymousPaths: JWT_ANONYMOUS_PATHS } : false,
+      streaming: PROXY_STREAMING ? { requestBodies: STREAM_REQUEST_BODIES ? 'streamed' : 'buffered for v2 signing' } : false,
+      readiness: {
+        upstreamPath: READINESS_UPSTREAM_PATH || false,
+        lambda: READINESS_CHECK_LAMBDA,
+        timeoutMs: READINESS_TIMEOUT_MS
+      },
+      upstreamRetries: upstreamRetry.retries > 0 ? upstreamRetry : false,
+      circuitBreaker: CIRCUIT_BREAKER_ENABLED
+        ? { failureThreshold: CIRCUIT_BREAKER_FAILURE_THRESHOLD, resetSeconds: CIRCUIT_BREAKER_RESET_SECONDS }
+        : false,
+      metrics: METRICS_ENABLED ? { path: METRICS_PATH, port: METRICS_PORT ? Number(METRICS_PORT) : Number(PORT) } : false,
+      logLevel: LOG_LEVEL
+    });
   });
+
+  // Metrics on their own port stay out of reach of the proxy's callers
+  if (METRICS_ENABLED && METRICS_PORT) {
+    const metricsApp = express();
+    metricsApp.get(METRICS_PATH, metricsHandler);
+    metricsApp.listen(METRICS_PORT, () => {
+      log.info('Metrics server listening', { port: Number(METRICS_PORT), path: METRICS_PATH });
+    });
+  }
 }
 
 module.exports = app;
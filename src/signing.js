@@ -1,16 +1,127 @@
 const crypto = require('crypto');
 
+// Supported canonical string formats, sent to the target in x-hmac-version
+const SIGNATURE_VERSIONS = {
+  V1: 'v1',
+  V2: 'v2'
+};
+
 /**
  * Builds the canonical string for HMAC signing
- * Format: <HTTP_METHOD>\n<PATH_AND_QUERY>\n<TIMESTAMP>\n
+ * v1 format (unchanged, so existing targets keep verifying): <HTTP_METHOD>\n<PATH_AND_QUERY>\n<TIMESTAMP>\n
+ *   followed by <NONCE>\n when a nonce is sent, then <CANONICAL_HEADERS>\n<SIGNED_HEADERS>\n
+ *   when headers are signed.
+ * v2 format: every line has a fixed position and an absent value leaves its line empty, so no
+ *   value can move into another line's slot (e.g. a content hash resent as a nonce), and the
+ *   leading version keeps a v2 string from ever reading as a v1 one (methods are uppercase):
+ *   v2\n<HTTP_METHOD>\n<PATH_AND_QUERY>\n<TIMESTAMP>\n<CONTENT_SHA256>\n<NONCE>\n<CANONICAL_HEADERS>\n<SIGNED_HEADERS>\n
+ * CANONICAL_HEADERS holds one line per name in SIGNED_HEADERS.
  * 
  * @param {string} method - HTTP method (e.g., 'GET', 'POST')
  * @param {string} pathAndQuery - Path and query string (e.g., '/api/users?page=1')
  * @param {string} timestamp - Timestamp string
+ * @param {Object} [extras] - Optional canonical string components
+ * @param {string} [extras.version] - Signature version (defaults to v2 when contentHash is given, else v1)
+ * @param {string} [extras.contentHash] - Hex SHA-256 of the body (v2 only)
+ * @param {string} [extras.nonce] - Single-use random value sent in x-hmac-nonce
+ * @param {string} [extras.canonicalHeaders] - Normalized `name:value` lines (see canonicalizeHeaders)
+ * @param {string} [extras.signedHeaders] - Semicolon-separated list of the signed header names
  * @returns {string} Canonical string
  */
-function buildCanonicalString(method, pathAndQuery, timestamp) {
-  return `${method}\n${pathAndQuery}\n${timestamp}\n`;
+function buildCanonicalString(method, pathAndQuery, timestamp, extras = {}) {
+  const version = extras.version
+    || (extras.contentHash !== undefined ? SIGNATURE_VERSIONS.V2 : SIGNATURE_VERSIONS.V1);
+  const signedHeaders = extras.signedHeaders || '';
+  const canonicalHeaders = signedHeaders ? extras.canonicalHeaders : '';
+
+  if (version === SIGNATURE_VERSIONS.V1) {
+    let canonicalString = `${method}\n${pathAndQuery}\n${timestamp}\n`;
+    if (extras.nonce) {
+      canonicalString += `${extras.nonce}\n`;
+    }
+    if (signedHeaders) {
+      canonicalString += `${canonicalHeaders}\n${signedHeaders}\n`;
+    }
+    return canonicalString;
+  }
+
+  return [
+    version,
+    method,
+    pathAndQuery,
+    timestamp,
+    extras.contentHash || '',
+    extras.nonce || '',
+    canonicalHeaders,
+    signedHeaders
+  ].map(line => `${line}\n`).join('');
+}
+
+/**
+ * Computes the SHA-256 digest of a request body
+ * A missing body is hashed as an empty payload.
+ * 
+ * @param {Buffer|string} [body] - Exact body bytes that are forwarded
+ * @returns {string} Hexadecimal digest
+ */
+function hashBody(body) {
+  const hash = crypto.createHash('sha256');
+  hash.update(body === undefined || body === null ? '' : body);
+  return hash.digest('hex');
+}
+
+/**
+ * Generates a random nonce for replay protection
+ * 
+ * @returns {string} 32-character hexadecimal nonce
+ */
+function generateNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Normalizes a list of header names: lowercased, trimmed, deduplicated and sorted
+ * 
+ * @param {string[]|string} names - Header names, or a comma/semicolon-separated string
+ * @returns {string[]} Normalized header names
+ */
+function normalizeHeaderNames(names) {
+  const list = typeof names === 'string' ? names.split(/[,;]/) : (names || []);
+  const normalized = list
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(normalized)].sort();
+}
+
+/**
+ * Builds the canonical header block for the given header names
+ * Values are trimmed with inner whitespace collapsed; repeated headers are joined with ','.
+ * A header that is missing from the request is signed with an empty value.
+ * 
+ * @param {Object} headers - Request headers (keys are matched case-insensitively)
+ * @param {string[]|string} names - Header names to sign
+ * @returns {{canonicalHeaders: string, signedHeaders: string}} Canonical header lines and the signed name list
+ */
+function canonicalizeHeaders(headers = {}, names) {
+  const lowerCased = {};
+  Object.keys(headers).forEach(key => {
+    lowerCased[key.toLowerCase()] = headers[key];
+  });
+
+  const signedNames = normalizeHeaderNames(names);
+  const canonicalHeaders = signedNames.map(name => {
+    const raw = lowerCased[name];
+    const values = Array.isArray(raw) ? raw : [raw === undefined || raw === null ? '' : raw];
+    const value = values
+      .map(v => String(v).trim().replace(/\s+/g, ' '))
+      .join(',');
+    return `${name}:${value}`;
+  });
+
+  return {
+    canonicalHeaders: canonicalHeaders.join('\n'),
+    signedHeaders: signedNames.join(';')
+  };
 }
 
 /**
@@ -26,15 +137,120 @@ function computeSignature(secret, canonicalString) {
   return hmac.digest('hex');
 }
 
+/**
+ * Percent-encodes a string per RFC 3986 (only unreserved characters are left as-is)
+ * 
+ * @param {string} value - Decoded value
+ * @returns {string} Encoded value
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Decodes a URL component, leaving malformed percent-encoding untouched
+ * 
+ * @param {string} value - Encoded value
+ * @param {boolean} [plusAsSpace=false] - Treat '+' as an encoded space (query strings)
+ * @returns {string} Decoded value
+ */
+function safeDecode(value, plusAsSpace = false) {
+  const input = plusAsSpace ? value.replace(/\+/g, ' ') : value;
+  try {
+    return decodeURIComponent(input);
+  } catch (error) {
+    return input;
+  }
+}
+
+/**
+ * Normalizes a URL path: collapses repeated slashes, decodes every segment, then resolves
+ * '.' and '..' segments (RFC 3986, sections 6.2.2.2 and 5.2.4) and re-encodes the segments
+ * per RFC 3986. Encoded dot segments such as '%2e%2e' are resolved too, as WHATWG URL parsers
+ * (and so axios) do. A trailing slash is kept.
+ * 
+ * @param {string} path - Path without query string
+ * @returns {string} Normalized path
+ */
+function normalizePath(path) {
+  const decodedSegments = path.split('/').map(segment => safeDecode(segment));
+  const segments = [];
+  decodedSegments.forEach(segment => {
+    if (segment === '' || segment === '.') {
+      return;
+    }
+    if (segment === '..') {
+      segments.pop();
+      return;
+    }
+    segments.push(encodeRfc3986(segment));
+  });
+
+  const lastSegment = decodedSegments[decodedSegments.length - 1];
+  const trailingSlash = segments.length > 0 && ['', '.', '..'].includes(lastSegment);
+  return `/${segments.join('/')}${trailingSlash ? '/' : ''}`;
+}
+
+/**
+ * Normalizes a query string: decodes '+' and percent-encoding, re-encodes per RFC 3986
+ * and sorts parameters by name, then value. Repeated names are kept; empty pairs are dropped.
+ * 
+ * @param {string} query - Query string without the leading '?'
+ * @returns {string} Normalized query string
+ */
+function normalizeQuery(query) {
+  return query
+    .split('&')
+    .filter(pair => pair !== '')
+    .map(pair => {
+      const separator = pair.indexOf('=');
+      const name = separator === -1 ? pair : pair.slice(0, separator);
+      const value = separator === -1 ? '' : pair.slice(separator + 1);
+      return [encodeRfc3986(safeDecode(name, true)), encodeRfc3986(safeDecode(value, true))];
+    })
+    .sort(([nameA, valueA], [nameB, valueB]) => {
+      if (nameA !== nameB) {
+        return nameA < nameB ? -1 : 1;
+      }
+      if (valueA !== valueB) {
+        return valueA < valueB ? -1 : 1;
+      }
+      return 0;
+    })
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+}
+
+/**
+ * Normalizes a path and query string so that equivalent URLs produce the same canonical string
+ * 
+ * @param {string} url - Path and optional query string (e.g., '/api//users/?b=2&a=1')
+ * @returns {string} Normalized path and query string
+ */
+function normalizePathAndQuery(url) {
+  const withoutFragment = url.split('#')[0];
+  const queryStart = withoutFragment.indexOf('?');
+  const path = queryStart === -1 ? withoutFragment : withoutFragment.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : normalizeQuery(withoutFragment.slice(queryStart + 1));
+
+  const normalizedPath = normalizePath(path);
+  return query ? `${normalizedPath}?${query}` : normalizedPath;
+}
+
 /**
  * Extracts path and query from request URL
  * 
  * @param {Object} req - Express request object
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.normalize=false] - Apply normalizePathAndQuery to the URL
  * @returns {string} Path and query string
  */
-function extractPathAndQuery(req) {
+function extractPathAndQuery(req, options = {}) {
   // Use originalUrl which includes the query string, or fallback to path + query
   const url = req.originalUrl || req.url;
+  if (options.normalize) {
+    return normalizePathAndQuery(url);
+  }
   // Ensure it starts with / if it's a path
   return url.startsWith('/') ? url : `/${url}`;
 }
@@ -43,22 +259,192 @@ function extractPathAndQuery(req) {
  * Creates a signature for the request
  * 
  * @param {string} secret - HMAC secret
- * @param {Object} req - Express request object
+ * @param {Object} req - Express request object (req.rawBody holds the body bytes for v2)
  * @param {string} timestamp - ISO timestamp string
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.version='v1'] - Canonical string version ('v1' or 'v2')
+ * @param {string} [options.contentHash] - Precomputed body digest (v2 only)
+ * @param {string[]|string} [options.signedHeaders] - Header names to include in the canonical string
+ * @param {boolean} [options.normalizePath=false] - Normalize the path and query before signing
+ * @param {string} [options.nonce] - Nonce to include in the canonical string
  * @returns {string} HMAC-SHA256 signature in hexadecimal format
  */
-function signRequest(secret, req, timestamp) {
+function signRequest(secret, req, timestamp, options = {}) {
+  const version = options.version || SIGNATURE_VERSIONS.V1;
+  if (!Object.values(SIGNATURE_VERSIONS).includes(version)) {
+    throw new Error(`Unsupported signature version: ${version}`);
+  }
+
   const method = req.method.toUpperCase();
-  const pathAndQuery = extractPathAndQuery(req);
+  const pathAndQuery = extractPathAndQuery(req, { normalize: options.normalizePath });
+  const contentHash = version === SIGNATURE_VERSIONS.V2
+    ? (options.contentHash || hashBody(req.rawBody))
+    : undefined;
+  const { canonicalHeaders, signedHeaders } = canonicalizeHeaders(req.headers, options.signedHeaders);
 
-  const canonicalString = buildCanonicalString(method, pathAndQuery, timestamp);
+  const canonicalString = buildCanonicalString(method, pathAndQuery, timestamp, {
+    version,
+    contentHash,
+    nonce: options.nonce,
+    canonicalHeaders,
+    signedHeaders
+  });
   return computeSignature(secret, canonicalString);
 }
 
+/**
+ * Builds the full set of x-hmac-* headers to send along with a request
+ * 
+ * @param {string} secret - HMAC secret
+ * @param {Object} req - Express request object, or a { method, originalUrl, headers, rawBody } stand-in
+ * @param {Object} [options] - Signing options
+ * @param {string} [options.version='v1'] - Canonical string version ('v1' or 'v2')
+ * @param {string[]|string} [options.signedHeaders] - Header names to include in the canonical string
+ * @param {boolean} [options.normalizePath=false] - Normalize the path and query before signing
+ * @param {boolean|string} [options.nonce=false] - Send a nonce; true generates one, a string is used as-is
+ * @param {string} [options.keyId] - ID of the signing key, sent in x-hmac-key-id
+ * @param {string} [options.timestamp] - ISO timestamp (defaults to now)
+ * @returns {Object} Headers to merge into the forwarded request
+ */
+function createSignatureHeaders(secret, req, options = {}) {
+  const version = options.version || SIGNATURE_VERSIONS.V1;
+  const timestamp = options.timestamp || new Date().toISOString();
+  const signedHeaders = normalizeHeaderNames(options.signedHeaders);
+
+  const headers = {
+    'x-hmac-timestamp': timestamp,
+    'x-hmac-version': version
+  };
+  if (options.keyId) {
+    headers['x-hmac-key-id'] = options.keyId;
+  }
+
+  let contentHash;
+  if (version === SIGNATURE_VERSIONS.V2) {
+    contentHash = hashBody(req.rawBody);
+    headers['x-hmac-content-sha256'] = contentHash;
+  }
+  const nonce = options.nonce === true ? generateNonce() : (options.nonce || undefined);
+  if (nonce) {
+    headers['x-hmac-nonce'] = nonce;
+  }
+  if (signedHeaders.length > 0) {
+    headers['x-hmac-signed-headers'] = signedHeaders.join(';');
+  }
+
+  headers['x-hmac-signature'] = signRequest(secret, req, timestamp, {
+    version,
+    contentHash,
+    signedHeaders,
+    normalizePath: options.normalizePath,
+    nonce
+  });
+  return headers;
+}
+
+/**
+ * Compares two hex signatures in constant time
+ * 
+ * @param {string} expected - Signature computed locally
+ * @param {string} received - Signature received with the request
+ * @returns {boolean} Whether the signatures match
+ */
+function signaturesMatch(expected, received) {
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(String(received), 'utf8');
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Verifies the x-hmac-* headers of an incoming request
+ * The version, content hash and signed header list are taken from the request headers,
+ * so any request produced by createSignatureHeaders can be checked.
+ * 
+ * @param {string} secret - HMAC secret
+ * @param {Object} req - Express request object (req.rawBody holds the body bytes for v2)
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.maxSkewMs=300000] - Accepted distance between the timestamp and now
+ * @param {boolean} [options.normalizePath=false] - Normalize the path and query before verifying
+ * @param {string[]} [options.allowedVersions] - Accepted signature versions (defaults to all)
+ * @param {string[]|string} [options.requiredSignedHeaders] - Headers that must be part of the signature
+ * @param {boolean} [options.requireNonce=false] - Reject requests without x-hmac-nonce
+ * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+ * @returns {{valid: boolean, reason?: string, nonce?: string, expiresAt?: number}} Verification result;
+ *   valid results carry the nonce and the time at which the timestamp leaves the skew window
+ */
+function verifyRequest(secret, req, options = {}) {
+  const headers = req.headers || {};
+  const maxSkewMs = options.maxSkewMs === undefined ? 5 * 60 * 1000 : options.maxSkewMs;
+  const allowedVersions = options.allowedVersions || Object.values(SIGNATURE_VERSIONS);
+  const now = options.now === undefined ? Date.now() : options.now;
+
+  const signature = headers['x-hmac-signature'];
+  const timestamp = headers['x-hmac-timestamp'];
+  const version = headers['x-hmac-version'] || SIGNATURE_VERSIONS.V1;
+  const nonce = headers['x-hmac-nonce'];
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing x-hmac-signature or x-hmac-timestamp header' };
+  }
+  if (options.requireNonce && !nonce) {
+    return { valid: false, reason: 'Missing x-hmac-nonce header' };
+  }
+  if (!allowedVersions.includes(version)) {
+    return { valid: false, reason: `Unsupported signature version: ${version}` };
+  }
+
+  const signedAt = Date.parse(timestamp);
+  if (Number.isNaN(signedAt)) {
+    return { valid: false, reason: 'Invalid x-hmac-timestamp header' };
+  }
+  if (Math.abs(now - signedAt) > maxSkewMs) {
+    return { valid: false, reason: 'Request timestamp is outside the allowed clock skew' };
+  }
+
+  let contentHash;
+  if (version === SIGNATURE_VERSIONS.V2) {
+    contentHash = hashBody(req.rawBody);
+    const declaredHash = headers['x-hmac-content-sha256'];
+    if (declaredHash !== undefined && !signaturesMatch(contentHash, String(declaredHash).toLowerCase())) {
+      return { valid: false, reason: 'Body does not match x-hmac-content-sha256' };
+    }
+  }
+
+  const signedHeaders = normalizeHeaderNames(headers['x-hmac-signed-headers'] || '');
+  const missingHeaders = normalizeHeaderNames(options.requiredSignedHeaders)
+    .filter(name => !signedHeaders.includes(name));
+  if (missingHeaders.length > 0) {
+    return { valid: false, reason: `Required headers are not signed: ${missingHeaders.join(', ')}` };
+  }
+
+  const expected = signRequest(secret, req, timestamp, {
+    version,
+    contentHash,
+    signedHeaders,
+    normalizePath: options.normalizePath,
+    nonce
+  });
+  if (!signaturesMatch(expected, signature)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true, nonce, expiresAt: signedAt + maxSkewMs };
+}
+
 module.exports = {
+  SIGNATURE_VERSIONS,
   buildCanonicalString,
+  canonicalizeHeaders,
   computeSignature,
+  createSignatureHeaders,
   extractPathAndQuery,
-  signRequest
+  generateNonce,
+  hashBody,
+  normalizeHeaderNames,
+  normalizePathAndQuery,
+  signRequest,
+  verifyRequest
 };
-
@@ -0,0 +1,75 @@
+/**
+ * Creates the token denylist consulted wherever JWTs are accepted
+ * A single token is revoked by its jti until it expires. All tokens of a user are revoked
+ * by remembering when the revocation happened, in milliseconds: tokens (and refresh token
+ * families) issued at or before that moment are rejected for maxTokenLifetimeSeconds, after
+ * which every token issued before the revocation has expired anyway. Tokens are timed by
+ * their iatMs claim; a token with only iat counts as issued at the start of that second, so
+ * a user revoked and logging in again within the same second needs iatMs to be let back in.
+ * @param {Object} options - Denylist options
+ * @param {Object} options.store - Denylist store (see denylist-store.js)
+ * @param {number} options.maxTokenLifetimeSeconds - Longest lifetime of any token the revocation has to cover
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {{revokeToken: Function, revokeUser: Function, isRevoked: Function, isUserRevoked: Function}} Token denylist
+ */
+function createTokenDenylist(options) {
+  const { store, maxTokenLifetimeSeconds, now = Date.now } = options;
+  if (!Number.isInteger(maxTokenLifetimeSeconds) || maxTokenLifetimeSeconds <= 0) {
+    throw new Error(`Invalid token revocation lifetime: ${maxTokenLifetimeSeconds}`);
+  }
+  const maxTtlMs = maxTokenLifetimeSeconds * 1000;
+
+  /**
+   * Revokes one token by its jti
+   * @param {string} jti - Token ID
+   * @param {number} [expiresAt] - exp claim of the token in seconds (the maximum lifetime when unknown)
+   */
+  async function revokeToken(jti, expiresAt) {
+    const ttlMs = expiresAt ? expiresAt * 1000 - now() : maxTtlMs;
+    if (ttlMs > 0) {
+      await store.set(`jti:${jti}`, 1, ttlMs);
+    }
+  }
+
+  /**
+   * Revokes every token issued to a user so far
+   * @param {string} userId - User ID (the sub claim)
+   */
+  async function revokeUser(userId) {
+    await store.set(`user:${userId}`, now(), maxTtlMs);
+  }
+
+  /**
+   * Checks whether tokens issued to a user at the given time have been revoked
+   * @param {string} userId - User ID
+   * @param {number} issuedAtMs - Issue time in milliseconds
+   * @returns {Promise<boolean>} Whether the user's tokens from that time are revoked
+   */
+  async function isUserRevoked(userId, issuedAtMs) {
+    const revokedAt = await store.get(`user:${userId}`);
+    return revokedAt !== null && (issuedAtMs === undefined || issuedAtMs <= revokedAt);
+  }
+
+  /**
+   * Checks whether a verified token has been revoked
+   * @param {Object} payload - Verified token payload
+   * @returns {Promise<boolean>} Whether the token is revoked
+   */
+  async function isRevoked(payload) {
+    if (payload.jti && await store.get(`jti:${payload.jti}`) !== null) {
+      return true;
+    }
+    const userId = payload.sub !== undefined ? payload.sub : payload.userId;
+    let issuedAtMs = payload.iatMs;
+    if (issuedAtMs === undefined && payload.iat !== undefined) {
+      issuedAtMs = payload.iat * 1000;
+    }
+    return userId !== undefined && isUserRevoked(String(userId), issuedAtMs);
+  }
+
+  return { revokeToken, revokeUser, isRevoked, isUserRevoked };
+}
+
+module.exports = {
+  createTokenDenylist
+};
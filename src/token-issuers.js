@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { invokeLambda } = require('./lambda-invoke');
+
+/**
+ * Token issuers create the token returned by /auth for a looked-up client.
+ * An issuer is any object with:
+ *
+ *   description: string                 - Used in logs (e.g. 'Lambda carshop-jwt')
+ *   issueToken(claims): Promise<Object> - Resolves to the response body, e.g.
+ *                                         { token, token_type, expires_in }
+ *
+ * claims comes from the claims mapping (see claims-mapping.js) and always includes userId;
+ * the default mapping gives { userId, email, role }.
+ */
+
+const TOKEN_ISSUER_TYPES = {
+  LAMBDA: 'lambda',
+  LOCAL: 'local'
+};
+
+const JWT_ALGORITHMS = ['HS256', 'RS256'];
+
+/**
+ * Creates an issuer that invokes the JWT Lambda function with the JWT secret
+ * @param {Object} options - Issuer options
+ * @param {string} options.functionName - Lambda function name
+ * @param {string} options.region - AWS region
+ * @param {Function} options.getSecret - Async function returning the JWT secret
+ * @returns {Object} Token issuer
+ */
+function createLambdaTokenIssuer(options) {
+  const { functionName, region, getSecret } = options;
+
+  return {
+    description: `Lambda ${functionName || '(not configured)'}`,
+    async issueToken(claims) {
+      const jwtSecret = await getSecret();
+      const lambdaResponse = await invokeLambda(functionName, { ...claims, jwtSecret }, region);
+      if (lambdaResponse.statusCode !== 200 || !lambdaResponse.body) {
+        throw new Error('Lambda function returned an error');
+      }
+      return lambdaResponse.body;
+    }
+  };
+}
+
+/**
+ * Creates an issuer that signs tokens in-process, so the JWT secret never leaves the container
+ * The key is the shared secret for HS256 and a PEM private key for RS256.
+ * @param {Object} options - Issuer options
+ * @param {Function} options.getSecret - Async function returning the signing key
+ * @param {string} [options.algorithm='HS256'] - 'HS256' or 'RS256'
+ * @param {number} [options.expiresInSeconds=3600] - Token lifetime
+ * @param {string} [options.issuer] - iss claim
+ * @param {string} [options.audience] - aud claim
+ * @returns {Object} Token issuer
+ */
+function createLocalTokenIssuer(options) {
+  const { getSecret, algorithm = 'HS256', expiresInSeconds = 3600, issuer, audience } = options;
+  if (!JWT_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm} (expected one of: ${JWT_ALGORITHMS.join(', ')})`);
+  }
+  if (!Number.isInteger(expiresInSeconds) || expiresInSeconds <= 0) {
+    throw new Error(`Invalid JWT expiry: ${expiresInSeconds}`);
+  }
+
+  return {
+    description: `local ${algorithm}`,
+    async issueToken(claims) {
+      const { userId, ...rest } = claims;
+      const key = await getSecret();
+      const issuedAtMs = Date.now();
+      // iatMs tells a re-login apart from a revocation in the same second (see token-denylist.js)
+      const payload = { ...rest, sub: String(userId), iat: Math.floor(issuedAtMs / 1000), iatMs: issuedAtMs };
+      const token = jwt.sign(payload, key, {
+        algorithm,
+        expiresIn: expiresInSeconds,
+        // A unique jti lets a single token be revoked (see token-denylist.js)
+        jwtid: crypto.randomUUID(),
+        ...(issuer && { issuer }),
+        ...(audience && { audience })
+      });
+      return { token, token_type: 'Bearer', expires_in: expiresInSeconds };
+    }
+  };
+}
+
+/**
+ * Creates a token issuer from configuration
+ * @param {Object} config - Issuer configuration
+ * @param {string} [config.type='lambda'] - 'lambda' or 'local'
+ * @returns {Object} Token issuer
+ */
+function createTokenIssuer(config = {}) {
+  const type = config.type || TOKEN_ISSUER_TYPES.LAMBDA;
+  switch (type) {
+    case TOKEN_ISSUER_TYPES.LAMBDA:
+      return createLambdaTokenIssuer(config);
+    case TOKEN_ISSUER_TYPES.LOCAL:
+      return createLocalTokenIssuer(config);
+    default:
+      throw new Error(`Unknown token issuer: ${type} (expected one of: ${Object.values(TOKEN_ISSUER_TYPES).join(', ')})`);
+  }
+}
+
+module.exports = {
+  JWT_ALGORITHMS,
+  TOKEN_ISSUER_TYPES,
+  createLambdaTokenIssuer,
+  createLocalTokenIssuer,
+  createTokenIssuer
+};
@@ -0,0 +1,197 @@
+/**
+ * Per-route request and response transformations:
+ *
+ *   rewrite: [{ from: '/cars/:id', to: '/api/v1/vehicles/:id' }, ...]
+ *   requestHeaders: { remove: ['cookie'], rename: { 'x-client': 'x-tenant-id' }, add: { 'x-api-version': '2' } }
+ *   responseHeaders: { remove: ['server'], add: { 'cache-control': 'no-store' } }
+ *
+ * Path patterns capture single segments with :name and the rest of the path with a trailing *,
+ * which is referenced as :splat in the target. Header rules are applied remove, rename, add.
+ */
+
+// Headers owned by the proxy: signature headers are always replaced when signing,
+// and the others are set when the request or response is sent
+const PROTECTED_HEADERS = ['host', 'content-length', 'transfer-encoding', 'connection'];
+
+/**
+ * Compiles a path pattern such as '/cars/:id/photos/*' into a regular expression
+ * @param {string} pattern - Path pattern
+ * @returns {{regex: RegExp, names: string[]}} Compiled pattern and capture names
+ */
+function compilePathPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error(`Invalid path pattern: ${pattern} (must start with /)`);
+  }
+
+  const names = [];
+  const source = pattern.split('/').map((segment, index, segments) => {
+    if (segment === '*' && index === segments.length - 1) {
+      names.push('splat');
+      return '(.*)';
+    }
+    if (segment.startsWith(':')) {
+      const name = segment.slice(1);
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || names.includes(name)) {
+        throw new Error(`Invalid path pattern: ${pattern} (bad parameter ${segment})`);
+      }
+      names.push(name);
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Fills :name placeholders of a path template
+ * Values are inserted as given, so callers encode values that did not come from a path.
+ * @param {string} template - Path template, e.g. '/api/v1/client/cpf/:cpf'
+ * @param {Object} params - Values by name
+ * @returns {string} Path
+ */
+function fillPathTemplate(template, params) {
+  return template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) => {
+    if (params[name] === undefined) {
+      throw new Error(`Missing value for ${placeholder} in ${template}`);
+    }
+    return params[name];
+  });
+}
+
+/**
+ * Validates header names: lowercased, and never a proxy-owned or x-hmac-* header
+ * @param {string} routeName - Route name (for error messages)
+ * @param {string[]} names - Header names
+ * @returns {string[]} Lowercased names
+ */
+function normalizeRuleHeaderNames(routeName, names) {
+  return names.map(name => {
+    const lower = String(name).trim().toLowerCase();
+    if (!lower || lower.startsWith('x-hmac-') || PROTECTED_HEADERS.includes(lower)) {
+      throw new Error(`Route ${routeName} cannot change header ${name}`);
+    }
+    return lower;
+  });
+}
+
+/**
+ * Validates header rules
+ * @param {string} routeName - Route name (for error messages)
+ * @param {Object} [rules] - { remove, rename, add }
+ * @param {boolean} allowRename - Whether rename rules are supported
+ * @returns {{remove: string[], rename: Object, add: Object}} Normalized rules
+ */
+function parseHeaderRules(routeName, rules = {}, allowRename) {
+  if (!allowRename && rules.rename) {
+    throw new Error(`Route ${routeName} cannot rename response headers`);
+  }
+
+  const remove = normalizeRuleHeaderNames(routeName, rules.remove || []);
+  const rename = {};
+  Object.keys(rules.rename || {}).forEach(from => {
+    const [fromName, toName] = normalizeRuleHeaderNames(routeName, [from, rules.rename[from]]);
+    rename[fromName] = toName;
+  });
+  const add = {};
+  Object.keys(rules.add || {}).forEach(name => {
+    add[normalizeRuleHeaderNames(routeName, [name])[0]] = String(rules.add[name]);
+  });
+
+  return { remove, rename, add };
+}
+
+/**
+ * Validates the transformation settings of a route
+ * @param {Object} route - Route configuration (see routing.js)
+ * @param {string} routeName - Route name (for error messages)
+ * @returns {{rewrite: Array<Object>, requestHeaders: Object, responseHeaders: Object}} Normalized transforms
+ */
+function parseTransforms(route, routeName) {
+  const rules = route.rewrite === undefined ? [] : [].concat(route.rewrite);
+  const rewrite = rules.map(rule => {
+    if (!rule || typeof rule.to !== 'string' || !rule.to.startsWith('/')) {
+      throw new Error(`Route ${routeName} has a rewrite without a "to" path`);
+    }
+    const pattern = compilePathPattern(rule.from);
+    // Every placeholder of the target has to be captured by the pattern
+    (rule.to.match(/:[A-Za-z_][A-Za-z0-9_]*/g) || []).forEach(placeholder => {
+      if (!pattern.names.includes(placeholder.slice(1))) {
+        throw new Error(`Route ${routeName} rewrite to ${rule.to} uses ${placeholder}, which ${rule.from} does not capture`);
+      }
+    });
+    return { from: rule.from, to: rule.to, pattern };
+  });
+
+  return {
+    rewrite,
+    requestHeaders: parseHeaderRules(routeName, route.requestHeaders, true),
+    responseHeaders: parseHeaderRules(routeName, route.responseHeaders, false)
+  };
+}
+
+/**
+ * Rewrites a path with the first matching rule, keeping the query string
+ * @param {Array<Object>} rules - Rewrite rules from parseTransforms
+ * @param {string} pathAndQuery - Path and query string
+ * @returns {string} Rewritten path and query string
+ */
+function rewritePath(rules, pathAndQuery) {
+  const queryStart = pathAndQuery.indexOf('?');
+  const path = queryStart === -1 ? pathAndQuery : pathAndQuery.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : pathAndQuery.slice(queryStart + 1);
+
+  for (const rule of rules) {
+    const match = path.match(rule.pattern.regex);
+    if (!match) {
+      continue;
+    }
+    const params = {};
+    rule.pattern.names.forEach((name, index) => {
+      params[name] = match[index + 1];
+    });
+    const target = fillPathTemplate(rule.to, params).replace(/\/{2,}/g, '/');
+    if (!query) {
+      return target;
+    }
+    return `${target}${target.includes('?') ? '&' : '?'}${query}`;
+  }
+  return pathAndQuery;
+}
+
+/**
+ * Applies request header rules to a headers object in place
+ * @param {Object} headers - Lowercased request headers
+ * @param {Object} rules - Request header rules from parseTransforms
+ * @returns {Object} The same headers object
+ */
+function applyRequestHeaderRules(headers, rules) {
+  rules.remove.forEach(name => delete headers[name]);
+  Object.keys(rules.rename).forEach(from => {
+    if (headers[from] !== undefined) {
+      headers[rules.rename[from]] = headers[from];
+      delete headers[from];
+    }
+  });
+  Object.assign(headers, rules.add);
+  return headers;
+}
+
+/**
+ * Applies response header rules to an Express response
+ * @param {Object} res - Express response object
+ * @param {Object} rules - Response header rules from parseTransforms
+ */
+function applyResponseHeaderRules(res, rules) {
+  rules.remove.forEach(name => res.removeHeader(name));
+  Object.keys(rules.add).forEach(name => res.setHeader(name, rules.add[name]));
+}
+
+module.exports = {
+  applyRequestHeaderRules,
+  applyResponseHeaderRules,
+  compilePathPattern,
+  fillPathTemplate,
+  parseTransforms,
+  rewritePath
+};
@@ -0,0 +1,118 @@
+/**
+ * In-memory key-value store whose entries expire after a time to live. It is the default
+ * store behind nonces, refresh tokens, the token denylist, the client cache and rate limits.
+ *
+ * Entries live in process memory, so every task has its own. When running several tasks,
+ * plug in a shared store (e.g. Redis) implementing the interface the feature documents.
+ */
+
+/**
+ * Creates an in-memory TTL store
+ * Expired entries are removed at most every sweepIntervalMs, and whenever the store is full.
+ * When maxEntries is reached after that, the oldest entries are evicted.
+ * @param {Object} [options] - Store options
+ * @param {number} [options.sweepIntervalMs=60000] - Minimum time between removals of expired entries
+ * @param {number} [options.maxEntries=Infinity] - Maximum number of entries
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {{set: Function, get: Function, add: Function, delete: Function, size: Function, clear: Function}} TTL store
+ */
+function createMemoryTtlStore(options = {}) {
+  const sweepIntervalMs = options.sweepIntervalMs || 60000;
+  const maxEntries = options.maxEntries || Infinity;
+  const now = options.now || Date.now;
+  const entries = new Map();
+  let nextSweepAt = now() + sweepIntervalMs;
+
+  function sweep(currentTime) {
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= currentTime) {
+        entries.delete(key);
+      }
+    });
+    nextSweepAt = currentTime + sweepIntervalMs;
+  }
+
+  function getLiveEntry(key, currentTime) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= currentTime) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function store(key, value, ttlMs, currentTime) {
+    entries.delete(key);
+    if (currentTime >= nextSweepAt || entries.size >= maxEntries) {
+      sweep(currentTime);
+    }
+    // Maps iterate in insertion order, so the first keys are the oldest entries
+    const keys = entries.keys();
+    while (entries.size >= maxEntries) {
+      entries.delete(keys.next().value);
+    }
+    entries.set(key, { value, expiresAt: currentTime + Math.max(ttlMs, 0) });
+  }
+
+  return {
+    /**
+     * Stores a value for ttlMs, replacing any previous value
+     * @param {string} key - Key
+     * @param {*} value - Value
+     * @param {number} ttlMs - Time to live in milliseconds
+     * @returns {Promise<void>}
+     */
+    async set(key, value, ttlMs) {
+      store(key, value, ttlMs, now());
+    },
+
+    /**
+     * Reads a value
+     * @param {string} key - Key
+     * @returns {Promise<*>} Value, or null when it is missing or expired
+     */
+    async get(key) {
+      const entry = getLiveEntry(key, now());
+      return entry ? entry.value : null;
+    },
+
+    /**
+     * Stores a value for ttlMs unless the key already holds one (like Redis `SET ... NX`)
+     * @param {string} key - Key
+     * @param {*} value - Value
+     * @param {number} ttlMs - Time to live in milliseconds
+     * @returns {Promise<boolean>} Whether the value was stored
+     */
+    async add(key, value, ttlMs) {
+      const currentTime = now();
+      if (getLiveEntry(key, currentTime)) {
+        return false;
+      }
+      store(key, value, ttlMs, currentTime);
+      return true;
+    },
+
+    /**
+     * Removes a value
+     * @param {string} key - Key
+     * @returns {Promise<boolean>} Whether a value was stored
+     */
+    async delete(key) {
+      const stored = Boolean(getLiveEntry(key, now()));
+      entries.delete(key);
+      return stored;
+    },
+
+    size() {
+      return entries.size;
+    },
+
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryTtlStore
+};